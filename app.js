@@ -15,8 +15,8 @@ const requiredEnvVars = [
   "MONGODB_URI",
   "TELEGRAM_BOT_TOKEN",
   "SLACK_BOT_TOKEN",
-  "DEEPSEEK_API_KEY",
   "GEMINI_API_KEY",
+  "SLACK_SIGNING_SECRET",
 ];
 
 const missingVars = requiredEnvVars.filter((varName) => !process.env[varName]);
@@ -28,16 +28,40 @@ if (missingVars.length > 0) {
   process.exit(1);
 }
 
+// Webhook mode needs a public URL and a secret token for Telegram to send
+const useTelegramWebhook = process.env.TELEGRAM_USE_WEBHOOK === "true";
+if (useTelegramWebhook) {
+  const missingWebhookVars = [
+    "TELEGRAM_WEBHOOK_URL",
+    "TELEGRAM_WEBHOOK_SECRET",
+  ].filter((varName) => !process.env[varName]);
+  if (missingWebhookVars.length > 0) {
+    console.error(
+      `ERROR: Telegram webhook mode requires: ${missingWebhookVars.join(", ")}`
+    );
+    process.exit(1);
+  }
+}
+
 // Import controllers
 const telegramController = require("./controllers/telegramController");
 
+// Import background workers
+const deliveryService = require("./services/deliveryService");
+const jobService = require("./services/jobService");
+require("./services/questionPipeline"); // registers the pipeline job handlers
+const analyticsService = require("./services/analyticsService");
+const reminderService = require("./services/reminderService");
+
 // Import routes
 const telegramRoutes = require("./routes/telegram");
 const slackRoutes = require("./routes/slack");
+const apiRoutes = require("./routes/api");
 
 // Import error handlers
 const { errorHandler, notFound } = require("./utils/errorHandler");
 const logger = require("./utils/logger");
+const { captureRawBody } = require("./utils/slackSignature");
 
 // Create required directories
 const dirs = ["logs", "temp"];
@@ -52,14 +76,14 @@ for (const dir of dirs) {
 // Initialize Express app
 const app = express();
 
-// Middleware
-app.use(bodyParser.json());
-app.use(bodyParser.urlencoded({ extended: true }));
+// Middleware (raw body is kept for Slack signature verification)
+app.use(bodyParser.json({ verify: captureRawBody }));
+app.use(bodyParser.urlencoded({ extended: true, verify: captureRawBody }));
 
 // Log environment (redacted)
 logger.info(`NODE_ENV: ${process.env.NODE_ENV}`);
 logger.info(
-  `DEEPSEEK_API_KEY: ${process.env.DEEPSEEK_API_KEY.substring(0, 5)}...`
+  `LLM_PROVIDER_CHAIN: ${process.env.LLM_PROVIDER_CHAIN || "deepseek"}`
 );
 logger.info(
   `TELEGRAM_BOT_TOKEN: ${process.env.TELEGRAM_BOT_TOKEN.substring(0, 5)}...`
@@ -80,13 +104,28 @@ mongoose
   });
 
 function initializeServices() {
-  // Initialize Telegram bot
+  // Initialize Telegram bot (updates arrive via /telegram/webhook in webhook mode)
   const bot = new TelegramBot(process.env.TELEGRAM_BOT_TOKEN, {
-    polling: true,
+    polling: !useTelegramWebhook,
   });
 
-  // Register message handler with the bot
+  // Register message and button handlers with the bot
   bot.on("message", (msg) => telegramController.processMessage(msg, bot));
+  bot.on("callback_query", (query) =>
+    telegramController.processCallbackQuery(query, bot)
+  );
+
+  if (useTelegramWebhook) {
+    // TELEGRAM_WEBHOOK_URL is the public URL of /telegram/webhook
+    bot
+      .setWebHook(process.env.TELEGRAM_WEBHOOK_URL, {
+        secret_token: process.env.TELEGRAM_WEBHOOK_SECRET,
+      })
+      .then(() => logger.info("Telegram webhook registered"))
+      .catch((err) =>
+        logger.error(`Could not register Telegram webhook: ${err.message}`)
+      );
+  }
 
   // Initialize Slack client
   const slack = new WebClient(process.env.SLACK_BOT_TOKEN);
@@ -94,12 +133,30 @@ function initializeServices() {
   // Global variables to share between modules
   app.locals.bot = bot;
   app.locals.slack = slack;
+  app.locals.telegramWebhook = useTelegramWebhook;
+
+  // Process queued questions, resuming any interrupted before a restart
+  jobService.start();
+
+  // Post the weekly teacher summary to Slack
+  analyticsService.scheduleWeeklyReport();
 
-  logger.info("Telegram bot initialized and listening for messages");
+  // Retry answers that could not be delivered to students
+  deliveryService.start();
+
+  // Remind teachers about questions waiting too long for review
+  reminderService.start();
+
+  logger.info(
+    `Telegram bot initialized and listening for messages (${
+      useTelegramWebhook ? "webhook" : "polling"
+    })`
+  );
 
   // Routes
   app.use("/telegram", telegramRoutes);
   app.use("/slack", slackRoutes);
+  app.use("/api", apiRoutes);
 
   // Health check route
   app.get("/health", (req, res) => {
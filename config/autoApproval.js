@@ -0,0 +1,43 @@
+/**
+ * Auto-approval rules. A question whose answer matches any rule is sent to
+ * the student without waiting for a teacher, and posted to Slack as
+ * auto-approved with an Undo button.
+ *
+ * Every condition set on a rule must hold:
+ * - minApprovals: teachers approved the same answer at least this many
+ *   times for the same question, asked word for word and symbol for symbol
+ *   (case, spacing and punctuation aside). Auto-approved answers don't
+ *   count. The past answer is sent instead of the AI's.
+ * - subjects: the question was classified as one of these subjects.
+ * - cohorts: the student belongs to one of these cohorts.
+ *
+ * Rules without a knowledge base condition send the AI answer, so they never
+ * apply when the AI failed. Nothing is auto-approved unless
+ * AUTO_APPROVAL_ENABLED=true.
+ */
+const list = (value) =>
+  (value || "")
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+module.exports = {
+  enabled: process.env.AUTO_APPROVAL_ENABLED === "true",
+  rules: [
+    {
+      name: "repeated_answer",
+      minApprovals: parseInt(
+        process.env.AUTO_APPROVAL_MIN_APPROVALS || "3",
+        10
+      ),
+    },
+    {
+      name: "trusted_subject",
+      subjects: list(process.env.AUTO_APPROVAL_SUBJECTS),
+    },
+    {
+      name: "trusted_cohort",
+      cohorts: list(process.env.AUTO_APPROVAL_COHORTS),
+    },
+  ],
+};
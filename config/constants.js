@@ -0,0 +1,58 @@
+/**
+ * Lifecycle states of a Question record
+ */
+const QUESTION_STATUS = {
+  RECEIVED: "received",
+  AI_FAILED: "ai_failed",
+  PENDING_REVIEW: "pending_review",
+  APPROVED: "approved",
+  EDITED: "edited",
+  REJECTED: "rejected",
+  DELIVERED: "delivered",
+  DELIVERY_FAILED: "delivery_failed",
+};
+
+/**
+ * Allowed status transitions: current status -> statuses it may move to.
+ * Answered questions can go back to pending_review when a teacher reopens
+ * them, e.g. by undoing an auto-approval.
+ */
+const QUESTION_TRANSITIONS = {
+  [QUESTION_STATUS.RECEIVED]: [
+    QUESTION_STATUS.PENDING_REVIEW,
+    QUESTION_STATUS.AI_FAILED,
+  ],
+  [QUESTION_STATUS.AI_FAILED]: [
+    QUESTION_STATUS.PENDING_REVIEW,
+    QUESTION_STATUS.APPROVED,
+    QUESTION_STATUS.EDITED,
+    QUESTION_STATUS.REJECTED,
+  ],
+  [QUESTION_STATUS.PENDING_REVIEW]: [
+    QUESTION_STATUS.APPROVED,
+    QUESTION_STATUS.EDITED,
+    QUESTION_STATUS.REJECTED,
+  ],
+  [QUESTION_STATUS.APPROVED]: [
+    QUESTION_STATUS.DELIVERED,
+    QUESTION_STATUS.DELIVERY_FAILED,
+    QUESTION_STATUS.PENDING_REVIEW,
+  ],
+  [QUESTION_STATUS.EDITED]: [
+    QUESTION_STATUS.DELIVERED,
+    QUESTION_STATUS.DELIVERY_FAILED,
+    QUESTION_STATUS.PENDING_REVIEW,
+  ],
+  [QUESTION_STATUS.DELIVERY_FAILED]: [
+    QUESTION_STATUS.DELIVERED,
+    QUESTION_STATUS.DELIVERY_FAILED,
+    QUESTION_STATUS.PENDING_REVIEW,
+  ],
+  [QUESTION_STATUS.REJECTED]: [],
+  [QUESTION_STATUS.DELIVERED]: [QUESTION_STATUS.PENDING_REVIEW],
+};
+
+module.exports = {
+  QUESTION_STATUS,
+  QUESTION_TRANSITIONS,
+};
@@ -0,0 +1,32 @@
+/**
+ * LLM provider definitions, keyed by the names used in LLM_PROVIDER_CHAIN.
+ *
+ * `type` selects the client implementation:
+ * - openai: any OpenAI-compatible /chat/completions endpoint
+ * - gemini: Google Gemini text models
+ * - ollama: a local Ollama-style server
+ */
+module.exports = {
+  deepseek: {
+    type: "openai",
+    baseUrl: process.env.DEEPSEEK_API_URL || "https://api.deepseek.com/v1",
+    apiKey: process.env.DEEPSEEK_API_KEY,
+    model: process.env.DEEPSEEK_MODEL || "deepseek-chat",
+  },
+  openai: {
+    type: "openai",
+    baseUrl: process.env.OPENAI_API_URL || "https://api.openai.com/v1",
+    apiKey: process.env.OPENAI_API_KEY,
+    model: process.env.OPENAI_MODEL || "gpt-4o-mini",
+  },
+  gemini: {
+    type: "gemini",
+    apiKey: process.env.GEMINI_API_KEY,
+    model: process.env.GEMINI_TEXT_MODEL || "gemini-pro",
+  },
+  ollama: {
+    type: "ollama",
+    baseUrl: process.env.OLLAMA_URL || "http://localhost:11434",
+    model: process.env.OLLAMA_MODEL || "llama3",
+  },
+};
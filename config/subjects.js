@@ -0,0 +1,91 @@
+/**
+ * Subject classification rules and per-subject Slack review channels.
+ *
+ * A question is assigned the subject whose keywords it matches most often,
+ * then the topic within that subject with the most matches. Subjects
+ * without a channel fall back to SLACK_CHANNEL_ID.
+ *
+ * Keywords match whole words and their plurals ("angle" matches "angles",
+ * not "angler"). A keyword ending in "*" is a stem and matches every word
+ * starting with it ("differentiat*" matches "differentiate" and
+ * "differentiation").
+ */
+module.exports = {
+  math: {
+    label: "Math",
+    channelId: process.env.SLACK_CHANNEL_MATH,
+    keywords: [
+      "math",
+      "equation",
+      "formula",
+      "calculat*",
+      "solv*",
+      "derivative",
+      "integral",
+      "function",
+      "graph",
+      "angle",
+      "triangle",
+      "circle",
+      "area",
+      "probability",
+    ],
+    topics: {
+      algebra: [
+        "equation",
+        "solv*",
+        "polynomial",
+        "factor",
+        "factori*",
+        "quadratic",
+      ],
+      calculus: ["derivative", "integral", "limit", "differentiat*"],
+      geometry: ["angle", "triangle", "circle", "area", "perimeter"],
+      statistics: ["probability", "mean", "median", "variance"],
+    },
+  },
+  physics: {
+    label: "Physics",
+    channelId: process.env.SLACK_CHANNEL_PHYSICS,
+    keywords: [
+      "physics",
+      "force",
+      "energy",
+      "motion",
+      "velocity",
+      "acceleration",
+      "momentum",
+      "current",
+      "voltage",
+      "wave",
+    ],
+    topics: {
+      mechanics: ["force", "motion", "velocity", "acceleration", "momentum"],
+      electricity: ["current", "voltage", "resistance", "circuit"],
+      waves: ["wave", "frequency", "wavelength", "light", "sound"],
+      energy: ["energy", "work", "power", "heat"],
+    },
+  },
+  chemistry: {
+    label: "Chemistry",
+    channelId: process.env.SLACK_CHANNEL_CHEMISTRY,
+    keywords: [
+      "chemistry",
+      "reaction",
+      "molecule",
+      "atom",
+      "element",
+      "compound",
+      "acid",
+      "base",
+      "mole",
+      "bond",
+    ],
+    topics: {
+      stoichiometry: ["mole", "mass", "yield", "balance"],
+      "acids and bases": ["acid", "base", "alkali", "neutraliz*"],
+      bonding: ["bond", "ionic", "covalent", "molecule"],
+      "periodic table": ["element", "atom", "periodic", "electron"],
+    },
+  },
+};
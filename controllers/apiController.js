@@ -0,0 +1,456 @@
+const mongoose = require("mongoose");
+const Question = require("../models/question");
+const Delivery = require("../models/delivery");
+const User = require("../models/user");
+const PromptTemplate = require("../models/promptTemplate");
+const analyticsService = require("../services/analyticsService");
+const promptService = require("../services/promptService");
+const userService = require("../services/userService");
+const { QUESTION_STATUS } = require("../config/constants");
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Create an error carrying an HTTP status for the global error handler
+ * @param {number} statusCode - HTTP status
+ * @param {string} message - Error message
+ * @returns {Error}
+ */
+function httpError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Read an optional query parameter as a string. Repeated or bracketed
+ * parameters (?a=1&a=2, ?a[$ne]=1) are parsed into arrays and objects,
+ * which must never reach a Mongo filter.
+ * @param {Object} query - Express query object
+ * @param {string} name - Parameter name
+ * @returns {string|undefined}
+ */
+function queryParam(query, name) {
+  const value = query[name];
+  if (value === undefined) {
+    return undefined;
+  }
+
+  if (typeof value !== "string") {
+    throw httpError(400, `Invalid value for ${name}`);
+  }
+  return value;
+}
+
+/**
+ * Read an optional JSON body field as a string. A parsed body can hold any
+ * JSON value, and an object such as {"$ne": null} must never reach a Mongo
+ * filter or be stored in place of text.
+ * @param {Object} body - Express body object
+ * @param {string} name - Field name
+ * @returns {string|null|undefined}
+ */
+function bodyParam(body, name) {
+  const value = body[name];
+  if (value === undefined || value === null) {
+    return value;
+  }
+
+  if (typeof value !== "string") {
+    throw httpError(400, `${name} must be a string`);
+  }
+  return value;
+}
+
+/**
+ * Parse an optional date query parameter
+ * @param {string} value - Query value
+ * @param {string} name - Parameter name, for the error message
+ * @returns {Date|null}
+ */
+function parseDate(value, name) {
+  if (!value) {
+    return null;
+  }
+
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw httpError(400, `Invalid date for ${name}: ${value}`);
+  }
+  return date;
+}
+
+/**
+ * Build a Question filter from query parameters
+ * @param {Object} query - Express query object
+ * @returns {Object} - Mongo filter
+ */
+function buildQuestionFilter(query) {
+  const filter = {};
+
+  const student = queryParam(query, "student");
+  if (student) {
+    filter.accountId = student;
+  }
+
+  const status = queryParam(query, "status");
+  if (status) {
+    const statuses = status.split(",");
+    const valid = Object.values(QUESTION_STATUS);
+    const invalid = statuses.filter((value) => !valid.includes(value));
+    if (invalid.length > 0) {
+      throw httpError(400, `Invalid status: ${invalid.join(", ")}`);
+    }
+    filter.status = { $in: statuses };
+  }
+
+  const source = queryParam(query, "source");
+  if (source) {
+    if (!["image", "text"].includes(source)) {
+      throw httpError(400, `Invalid source: ${source}`);
+    }
+    filter.isFromImage = source === "image";
+  }
+
+  const approver = queryParam(query, "approver");
+  if (approver) {
+    filter.approvedBy = approver;
+  }
+
+  const from = parseDate(queryParam(query, "from"), "from");
+  const to = parseDate(queryParam(query, "to"), "to");
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = from;
+    if (to) filter.createdAt.$lte = to;
+  }
+
+  const search = queryParam(query, "q");
+  if (search) {
+    filter.$text = { $search: search };
+  }
+
+  return filter;
+}
+
+/**
+ * List questions with filters, full-text search and pagination
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.listQuestions = async (req, res, next) => {
+  try {
+    const filter = buildQuestionFilter(req.query);
+    const page = Math.max(parseInt(queryParam(req.query, "page"), 10) || 1, 1);
+    const limit = Math.min(
+      Math.max(
+        parseInt(queryParam(req.query, "limit"), 10) || DEFAULT_PAGE_SIZE,
+        1
+      ),
+      MAX_PAGE_SIZE
+    );
+
+    // Rank by relevance when searching, newest first otherwise
+    const projection = filter.$text ? { score: { $meta: "textScore" } } : {};
+    const sort = filter.$text
+      ? { score: { $meta: "textScore" }, createdAt: -1 }
+      : { createdAt: -1 };
+
+    const [questions, total] = await Promise.all([
+      Question.find(filter, projection)
+        .select("-statusHistory")
+        .sort(sort)
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Question.countDocuments(filter),
+    ]);
+
+    res.status(200).json({
+      data: questions,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get one question with its status history and delivery attempts
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.getQuestion = async (req, res, next) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      throw httpError(404, "Question not found");
+    }
+
+    const question = await Question.findById(req.params.id).lean();
+    if (!question) {
+      throw httpError(404, "Question not found");
+    }
+
+    const deliveries = await Delivery.find({ questionId: question._id })
+      .sort({ createdAt: 1 })
+      .lean();
+
+    res.status(200).json({ data: { ...question, deliveries } });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Summarise a student's profile and questions
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.getStudent = async (req, res, next) => {
+  try {
+    const accountId = req.params.id;
+
+    const [user, [totals], byStatus, recent] = await Promise.all([
+      User.findOne({ platformId: accountId }).lean(),
+      Question.aggregate([
+        { $match: { accountId } },
+        {
+          $group: {
+            _id: null,
+            total: { $sum: 1 },
+            fromImage: { $sum: { $cond: ["$isFromImage", 1, 0] } },
+            firstAskedAt: { $min: "$createdAt" },
+            lastAskedAt: { $max: "$createdAt" },
+          },
+        },
+      ]),
+      Question.aggregate([
+        { $match: { accountId } },
+        { $group: { _id: "$status", count: { $sum: 1 } } },
+      ]),
+      Question.find({ accountId })
+        .select("question status isFromImage createdAt approvedBy")
+        .sort({ createdAt: -1 })
+        .limit(10)
+        .lean(),
+    ]);
+
+    if (!user && !totals) {
+      throw httpError(404, "Student not found");
+    }
+
+    res.status(200).json({
+      data: {
+        accountId,
+        profile: user,
+        questions: {
+          total: totals ? totals.total : 0,
+          fromImage: totals ? totals.fromImage : 0,
+          firstAskedAt: totals ? totals.firstAskedAt : null,
+          lastAskedAt: totals ? totals.lastAskedAt : null,
+          byStatus: byStatus.reduce((counts, group) => {
+            counts[group._id] = group.count;
+            return counts;
+          }, {}),
+        },
+        recent,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a student's profile. Only the cohort can be changed; the rest of
+ * the profile comes from Telegram and onboarding.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.updateStudent = async (req, res, next) => {
+  try {
+    const body = req.body || {};
+    if (!("cohort" in body)) {
+      throw httpError(400, "cohort is required");
+    }
+
+    const { cohort } = body;
+    if (cohort !== null && typeof cohort !== "string") {
+      throw httpError(400, "cohort must be a string or null");
+    }
+
+    const user = await userService.setCohort(
+      req.params.id,
+      cohort ? cohort.trim() : null
+    );
+    if (!user) {
+      throw httpError(404, "Student not found");
+    }
+
+    res.status(200).json({ data: user });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Stop a student from asking questions
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.blockStudent = async (req, res, next) => {
+  try {
+    const body = req.body || {};
+    const reason = bodyParam(body, "reason");
+    const by = bodyParam(body, "by");
+
+    const user = await userService.block(req.params.id, {
+      by: by || "admin-api",
+      reason,
+    });
+    if (!user) {
+      throw httpError(404, "Student not found");
+    }
+
+    res.status(200).json({ data: user });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Let a blocked student ask questions again
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.unblockStudent = async (req, res, next) => {
+  try {
+    const by = bodyParam(req.body || {}, "by");
+
+    const user = await userService.unblock(req.params.id, {
+      by: by || "admin-api",
+    });
+    if (!user) {
+      throw httpError(404, "Student not found");
+    }
+
+    res.status(200).json({ data: user });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Approval, edit and volume metrics for a date range
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.getAnalytics = async (req, res, next) => {
+  try {
+    const summary = await analyticsService.getSummary({
+      from: parseDate(queryParam(req.query, "from"), "from"),
+      to: parseDate(queryParam(req.query, "to"), "to"),
+    });
+
+    res.status(200).json({ data: summary });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List prompt templates, newest versions first
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.listPromptTemplates = async (req, res, next) => {
+  try {
+    const filter = {};
+    const name = queryParam(req.query, "name");
+    if (name) {
+      filter.name = name;
+    }
+    const active = queryParam(req.query, "active");
+    if (active !== undefined) {
+      filter.active = active === "true";
+    }
+
+    const templates = await PromptTemplate.find(filter)
+      .sort({ name: 1, version: -1 })
+      .lean();
+
+    res.status(200).json({ data: templates });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Save a new version of a prompt template and activate it
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.createPromptTemplate = async (req, res, next) => {
+  try {
+    const body = req.body || {};
+    const name = bodyParam(body, "name");
+    const systemPrompt = bodyParam(body, "systemPrompt");
+    const subject = bodyParam(body, "subject");
+    const cohort = bodyParam(body, "cohort");
+    const createdBy = bodyParam(body, "createdBy");
+
+    if (!name || !systemPrompt) {
+      throw httpError(400, "name and systemPrompt are required");
+    }
+
+    const template = await promptService.createVersion({
+      name,
+      systemPrompt,
+      subject,
+      cohort,
+      createdBy,
+    });
+
+    res.status(201).json({ data: template });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Make an existing prompt template version the active one
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.activatePromptTemplate = async (req, res, next) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      throw httpError(404, "Prompt template not found");
+    }
+
+    const template = await promptService.activate(req.params.id);
+    if (!template) {
+      throw httpError(404, "Prompt template not found");
+    }
+
+    res.status(200).json({ data: template });
+  } catch (error) {
+    next(error);
+  }
+};
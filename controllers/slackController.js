@@ -1,8 +1,15 @@
 const Question = require("../models/question");
 const slackService = require("../services/slackService");
 const telegramService = require("../services/telegramService");
+const deliveryService = require("../services/deliveryService");
 const googleSheetsService = require("../services/googleSheetService");
+const userService = require("../services/userService");
+const knowledgeBaseService = require("../services/knowledgeBaseService");
+const questionPipeline = require("../services/questionPipeline");
+const clarificationService = require("../services/clarificationService");
 const logger = require("../utils/logger");
+const { escapeSlack } = require("../utils/formatters");
+const { QUESTION_STATUS } = require("../config/constants");
 
 /**
  * Handle Slack interaction payloads
@@ -11,7 +18,7 @@ const logger = require("../utils/logger");
  */
 exports.handleInteraction = async (req, res) => {
   try {
-    // Verify Slack request signature (not implemented here for brevity)
+    // Slack request signature is verified by the route middleware
 
     // Parse the payload
     const payload = req.body.payload ? JSON.parse(req.body.payload) : req.body;
@@ -33,6 +40,49 @@ exports.handleInteraction = async (req, res) => {
   }
 };
 
+/**
+ * Handle Slack Events API callbacks. Needs the message.channels (and
+ * message.groups for private channels) event subscriptions.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.handleEvent = async (req, res) => {
+  // Verify Slack challenge
+  if (req.body.type === "url_verification") {
+    return res.status(200).json({ challenge: req.body.challenge });
+  }
+
+  // Acknowledge receipt; Slack retries events that take over 3 seconds
+  res.status(200).send("");
+
+  try {
+    const event = req.body.event;
+    if (
+      req.body.type === "event_callback" &&
+      event &&
+      event.type === "message"
+    ) {
+      await handleMessageEvent(event);
+    }
+  } catch (error) {
+    logger.error(`Error handling Slack event: ${error.message}`);
+  }
+};
+
+/**
+ * Forward teacher replies in approval card threads to the student
+ * @param {Object} event - Slack message event
+ */
+async function handleMessageEvent(event) {
+  // Only human replies in a thread; skip bots (including us), edits and joins
+  const isThreadReply = event.thread_ts && event.thread_ts !== event.ts;
+  if (!isThreadReply || event.bot_id || event.subtype || !event.user) {
+    return;
+  }
+
+  await clarificationService.forwardTeacherMessage(event);
+}
+
 /**
  * Handle block actions (button clicks)
  * @param {Object} payload - Slack payload
@@ -41,7 +91,8 @@ async function handleBlockActions(payload) {
   try {
     // Get the action
     const action = payload.actions[0];
-    const recordId = action.value;
+    // Knowledge base buttons also carry the past question: "<id>:<sourceId>"
+    const [recordId, sourceId] = action.value.split(":");
 
     // Get the record from the database
     const questionRecord = await Question.findById(recordId);
@@ -51,11 +102,35 @@ async function handleBlockActions(payload) {
       return;
     }
 
+    // Blocking is about the student, not the question, so it works any time
+    if (action.action_id === "block_student_button") {
+      await handleBlockStudent(payload, questionRecord);
+      return;
+    } else if (action.action_id === "unblock_student_button") {
+      await handleUnblockStudent(payload, questionRecord);
+      return;
+    } else if (action.action_id === "undo_auto_approval") {
+      await handleUndoAutoApproval(payload, questionRecord);
+      return;
+    }
+
+    // Don't open modals for questions another teacher already handled
+    if (!questionRecord.canTransitionTo(QUESTION_STATUS.APPROVED)) {
+      await replyAlreadyHandled(payload.channel.id, payload.user.id, recordId);
+      return;
+    }
+
     // Handle based on action ID
     if (action.action_id === "approve_button") {
       await handleApproval(payload, questionRecord);
     } else if (action.action_id === "edited_button") {
       await handleEditRequest(payload, questionRecord);
+    } else if (action.action_id === "regenerate_button") {
+      await handleRegenerateRequest(payload, questionRecord);
+    } else if (action.action_id === "reject_button") {
+      await handleRejectRequest(payload, questionRecord);
+    } else if (action.action_id === "use_kb_answer") {
+      await handleUseKnowledgeBaseAnswer(payload, questionRecord, sourceId);
     }
   } catch (error) {
     logger.error(`Error handling block actions: ${error.message}`);
@@ -67,6 +142,21 @@ async function handleBlockActions(payload) {
  * @param {Object} payload - Slack payload
  */
 async function handleViewSubmission(payload) {
+  if (payload.view.callback_id === "reject_response_modal") {
+    return handleRejectSubmission(payload);
+  }
+  if (payload.view.callback_id === "regenerate_modal") {
+    return handleRegenerateSubmission(payload);
+  }
+
+  return handleEditSubmission(payload);
+}
+
+/**
+ * Handle edit modal submission
+ * @param {Object} payload - Slack payload
+ */
+async function handleEditSubmission(payload) {
   try {
     // Parse the private metadata
     const metadata = JSON.parse(payload.view.private_metadata);
@@ -75,29 +165,40 @@ async function handleViewSubmission(payload) {
     const messageTs = metadata.message_ts;
 
     // Get the edited text
-    const editedAnswer =
-      payload.view.state.values.edited_response.response_text.value;
+    const editedAnswer = slackService.getEditedAnswer(
+      payload.view.state.values,
+      metadata.separators
+    );
 
-    // Get the record from the database
-    const questionRecord = await Question.findById(recordId);
+    // Update the record, unless another decision got there first
+    const questionRecord = await Question.transitionAtomically(
+      recordId,
+      QUESTION_STATUS.EDITED,
+      {
+        by: payload.user.id,
+        set: {
+          editedAnswer: editedAnswer,
+          approvedAt: new Date(),
+          approvedBy: payload.user.id,
+        },
+      }
+    );
 
     if (!questionRecord) {
-      logger.error(`Question record not found: ${recordId}`);
+      await replyAlreadyHandled(channelId, payload.user.id, recordId);
       return;
     }
 
-    // Update the record
-    questionRecord.editedAnswer = editedAnswer;
-    questionRecord.isApproved = true;
-    questionRecord.approvedAt = new Date();
-    questionRecord.approvedBy = payload.user.id;
-    await questionRecord.save();
+    // Queue the answer for the student before anything else can fail
+    await deliverAnswer(questionRecord, editedAnswer);
 
     // Update the Slack message
-    await slackService.updateMessage(messageTs, editedAnswer);
-
-    // Send the answer to the student
-    await telegramService.sendMessage(questionRecord.accountId, editedAnswer);
+    await showApprovedAnswer(
+      questionRecord,
+      messageTs,
+      editedAnswer,
+      channelId
+    );
 
     // Save to Google Sheets for training data
     await googleSheetsService.saveRecord({
@@ -109,30 +210,48 @@ async function handleViewSubmission(payload) {
 
     logger.info(`Edited answer sent to student: ${recordId}`);
   } catch (error) {
-    logger.error(`Error handling view submission: ${error.message}`);
+    logger.error(`Error handling edit submission: ${error.message}`);
   }
 }
 
 /**
  * Handle approval button click
  * @param {Object} payload - Slack payload
- * @param {Object} questionRecord - Question database record
+ * @param {Object} pendingRecord - Question database record
  */
-async function handleApproval(payload, questionRecord) {
+async function handleApproval(payload, pendingRecord) {
   try {
-    // Update the record
-    questionRecord.isApproved = true;
-    questionRecord.approvedAt = new Date();
-    questionRecord.approvedBy = payload.user.id;
-    await questionRecord.save();
+    // Update the record, unless another decision got there first
+    const questionRecord = await Question.transitionAtomically(
+      pendingRecord._id,
+      QUESTION_STATUS.APPROVED,
+      {
+        by: payload.user.id,
+        set: {
+          approvedAt: new Date(),
+          approvedBy: payload.user.id,
+        },
+      }
+    );
 
-    // Update the Slack message
-    await slackService.updateMessage(payload.message.ts, questionRecord.answer);
+    if (!questionRecord) {
+      await replyAlreadyHandled(
+        payload.channel.id,
+        payload.user.id,
+        pendingRecord._id
+      );
+      return;
+    }
 
-    // Send the answer to the student
-    await telegramService.sendMessage(
-      questionRecord.accountId,
-      questionRecord.answer
+    // Queue the answer for the student before anything else can fail
+    await deliverAnswer(questionRecord, questionRecord.answer);
+
+    // Update the Slack message
+    await showApprovedAnswer(
+      questionRecord,
+      payload.message.ts,
+      questionRecord.answer,
+      payload.channel.id
     );
 
     // Save to Google Sheets for training data
@@ -148,6 +267,132 @@ async function handleApproval(payload, questionRecord) {
   }
 }
 
+/**
+ * Handle "Use this answer" on a knowledge base match
+ * @param {Object} payload - Slack payload
+ * @param {Object} pendingRecord - Question database record
+ * @param {string} sourceId - ID of the past question whose answer is reused
+ */
+async function handleUseKnowledgeBaseAnswer(payload, pendingRecord, sourceId) {
+  try {
+    const reusedAnswer = await knowledgeBaseService.getAnswer(sourceId);
+    if (!reusedAnswer) {
+      await slackService.postEphemeral(
+        payload.channel.id,
+        payload.user.id,
+        "That answer is no longer available in the knowledge base."
+      );
+      return;
+    }
+
+    // The student gets a different answer than the AI's, so it counts as an edit
+    const questionRecord = await Question.transitionAtomically(
+      pendingRecord._id,
+      QUESTION_STATUS.EDITED,
+      {
+        by: payload.user.id,
+        note: `reused answer from question ${sourceId}`,
+        set: {
+          editedAnswer: reusedAnswer,
+          reusedFrom: sourceId,
+          approvedAt: new Date(),
+          approvedBy: payload.user.id,
+        },
+      }
+    );
+
+    if (!questionRecord) {
+      await replyAlreadyHandled(
+        payload.channel.id,
+        payload.user.id,
+        pendingRecord._id
+      );
+      return;
+    }
+
+    // Queue the answer for the student before anything else can fail
+    await deliverAnswer(questionRecord, reusedAnswer);
+
+    // Update the Slack message
+    await showApprovedAnswer(
+      questionRecord,
+      payload.message.ts,
+      reusedAnswer,
+      payload.channel.id
+    );
+
+    // Save to Google Sheets for training data
+    await googleSheetsService.saveRecord({
+      accountName: questionRecord.accountName,
+      question: questionRecord.question,
+      answer: questionRecord.answer,
+      editedAnswer: reusedAnswer,
+    });
+
+    logger.info(
+      `Reused answer from ${sourceId} sent to student: ${questionRecord._id}`
+    );
+  } catch (error) {
+    logger.error(`Error reusing knowledge base answer: ${error.message}`);
+  }
+}
+
+/**
+ * Tell a teacher, privately, that someone else already decided on a question
+ * @param {string} channelId - Slack channel ID
+ * @param {string} userId - Slack user ID of the teacher who clicked
+ * @param {string} recordId - Database record ID
+ */
+async function replyAlreadyHandled(channelId, userId, recordId) {
+  try {
+    const questionRecord = await Question.findById(recordId);
+    const decision = questionRecord
+      ? [...questionRecord.statusHistory].reverse().find((entry) => entry.by)
+      : null;
+
+    const text = decision
+      ? `This question was already handled by <@${decision.by}> (${decision.status}).`
+      : "This question was already handled.";
+
+    logger.info(`Ignoring repeated decision on question ${recordId}`);
+    await slackService.postEphemeral(channelId, userId, text);
+  } catch (error) {
+    logger.error(`Error replying to repeated decision: ${error.message}`);
+  }
+}
+
+/**
+ * Send an approved answer to the student through the delivery outbox
+ * @param {Object} questionRecord - Question database record
+ * @param {string} text - Answer text to send
+ */
+async function deliverAnswer(questionRecord, text) {
+  // Failed sends stay queued and are retried by the delivery worker
+  await deliveryService.enqueue(questionRecord, text);
+}
+
+/**
+ * Show the approved answer on the card, reusing the thread replies that
+ * already continue it
+ * @param {Object} questionRecord - Question database record
+ * @param {string} messageTs - Slack message timestamp of the card
+ * @param {string} text - Answer sent to the student
+ * @param {string} channelId - Slack channel ID
+ */
+async function showApprovedAnswer(questionRecord, messageTs, text, channelId) {
+  const result = await slackService.updateMessage(
+    messageTs,
+    text,
+    channelId,
+    questionRecord.slackOverflowTs
+  );
+
+  await Question.updateOne(
+    { _id: questionRecord._id },
+    { $set: { slackOverflowTs: result.overflowTs } }
+  );
+}
+
 /**
  * Handle edit request button click
  * @param {Object} payload - Slack payload
@@ -170,3 +415,289 @@ async function handleEditRequest(payload, questionRecord) {
     logger.error(`Error handling edit request: ${error.message}`);
   }
 }
+
+/**
+ * Handle regenerate button click
+ * @param {Object} payload - Slack payload
+ * @param {Object} questionRecord - Question database record
+ */
+async function handleRegenerateRequest(payload, questionRecord) {
+  try {
+    await slackService.openRegenerateModal(
+      payload.trigger_id,
+      questionRecord._id,
+      payload.channel.id,
+      payload.message.ts,
+      questionRecord.question
+    );
+
+    logger.info(`Regenerate modal opened for question: ${questionRecord._id}`);
+  } catch (error) {
+    logger.error(`Error handling regenerate request: ${error.message}`);
+  }
+}
+
+/**
+ * Handle regenerate modal submission
+ * @param {Object} payload - Slack payload
+ */
+async function handleRegenerateSubmission(payload) {
+  try {
+    const metadata = JSON.parse(payload.view.private_metadata);
+    const recordId = metadata.data_key;
+    const instructions =
+      payload.view.state.values.regenerate_instructions.instructions_text.value;
+
+    const questionRecord = await Question.findById(recordId);
+    if (!questionRecord) {
+      logger.error(`Question record not found: ${recordId}`);
+      return;
+    }
+
+    if (!questionRecord.canTransitionTo(QUESTION_STATUS.APPROVED)) {
+      await replyAlreadyHandled(metadata.channel_id, payload.user.id, recordId);
+      return;
+    }
+
+    // The LLM call can take a while, so it runs as a job
+    await questionPipeline.regenerate(questionRecord, {
+      instructions,
+      requestedBy: payload.user.id,
+    });
+
+    await slackService.postEphemeral(
+      metadata.channel_id,
+      payload.user.id,
+      "Regenerating the answer. The card will update with the new draft."
+    );
+
+    logger.info(`Regeneration requested for question: ${recordId}`);
+  } catch (error) {
+    logger.error(`Error handling regenerate submission: ${error.message}`);
+  }
+}
+
+/**
+ * Handle reject button click
+ * @param {Object} payload - Slack payload
+ * @param {Object} questionRecord - Question database record
+ */
+async function handleRejectRequest(payload, questionRecord) {
+  try {
+    await slackService.openRejectModal(
+      payload.trigger_id,
+      questionRecord._id,
+      payload.channel.id,
+      payload.message.ts,
+      questionRecord.question
+    );
+
+    logger.info(`Reject modal opened for question: ${questionRecord._id}`);
+  } catch (error) {
+    logger.error(`Error handling reject request: ${error.message}`);
+  }
+}
+
+/**
+ * Handle undo on an auto-approved answer: retract it and reopen the question
+ * @param {Object} payload - Slack payload
+ * @param {Object} approvedRecord - Question database record
+ */
+async function handleUndoAutoApproval(payload, approvedRecord) {
+  try {
+    const rule = approvedRecord.autoApprovedRule;
+
+    // Only auto-approvals can be undone, and only once
+    const questionRecord = await Question.transitionAtomically(
+      approvedRecord._id,
+      QUESTION_STATUS.PENDING_REVIEW,
+      {
+        by: payload.user.id,
+        note: `auto-approval by rule ${rule} undone`,
+        filter: { autoApprovedRule: { $ne: null } },
+        set: {
+          autoApprovedRule: null,
+          approvedAt: null,
+          editedAnswer: null,
+          reusedFrom: null,
+        },
+      }
+    );
+
+    if (!questionRecord) {
+      await replyAlreadyHandled(
+        payload.channel.id,
+        payload.user.id,
+        approvedRecord._id
+      );
+      return;
+    }
+
+    // Stop unsent retries, and retract anything that got through
+    const reachedStudent = await deliveryService.cancel(questionRecord._id);
+    if (reachedStudent) {
+      await telegramService.sendMessage(
+        questionRecord.accountId,
+        process.env.AUTO_APPROVAL_RETRACTION_MESSAGE ||
+          "Please disregard my last answer. A teacher is taking another look at your question and will get back to you soon."
+      );
+    }
+
+    await slackService.updateMessageAutoApprovalUndone(
+      payload.message.ts,
+      questionRecord.question,
+      payload.user.id,
+      reachedStudent,
+      payload.channel.id
+    );
+
+    // Teachers review it on a fresh approval card
+    await questionPipeline.repost(questionRecord);
+
+    logger.info(`Auto-approval undone for question: ${questionRecord._id}`);
+  } catch (error) {
+    logger.error(`Error undoing auto-approval: ${error.message}`);
+  }
+}
+
+/**
+ * Handle block student button click
+ * @param {Object} payload - Slack payload
+ * @param {Object} questionRecord - Question database record
+ */
+async function handleBlockStudent(payload, questionRecord) {
+  try {
+    const user = await userService.block(questionRecord.accountId, {
+      by: payload.user.id,
+      reason: `Blocked from question ${questionRecord._id}`,
+    });
+
+    if (!user) {
+      logger.error(`Student not found: ${questionRecord.accountId}`);
+      return;
+    }
+
+    const text = `:no_entry: <@${payload.user.id}> blocked ${escapeSlack(
+      questionRecord.accountName
+    )}. They can't ask questions until unblocked.`;
+
+    await slackService.postThreadReply(
+      payload.channel.id,
+      payload.message.ts,
+      text,
+      [
+        {
+          type: "section",
+          text: { type: "mrkdwn", text },
+        },
+        {
+          type: "actions",
+          elements: [
+            {
+              type: "button",
+              text: { type: "plain_text", text: "Unblock" },
+              value: questionRecord._id.toString(),
+              action_id: "unblock_student_button",
+            },
+          ],
+        },
+      ]
+    );
+
+    logger.info(`Student blocked from question: ${questionRecord._id}`);
+  } catch (error) {
+    logger.error(`Error handling block request: ${error.message}`);
+  }
+}
+
+/**
+ * Handle unblock student button click
+ * @param {Object} payload - Slack payload
+ * @param {Object} questionRecord - Question database record
+ */
+async function handleUnblockStudent(payload, questionRecord) {
+  try {
+    const user = await userService.unblock(questionRecord.accountId, {
+      by: payload.user.id,
+    });
+
+    if (!user) {
+      logger.error(`Student not found: ${questionRecord.accountId}`);
+      return;
+    }
+
+    await slackService.postThreadReply(
+      payload.channel.id,
+      payload.message.thread_ts || payload.message.ts,
+      `:white_check_mark: <@${payload.user.id}> unblocked ${escapeSlack(
+        questionRecord.accountName
+      )}.`
+    );
+
+    logger.info(`Student unblocked from question: ${questionRecord._id}`);
+  } catch (error) {
+    logger.error(`Error handling unblock request: ${error.message}`);
+  }
+}
+
+/**
+ * Handle reject modal submission
+ * @param {Object} payload - Slack payload
+ */
+async function handleRejectSubmission(payload) {
+  try {
+    // Parse the private metadata
+    const metadata = JSON.parse(payload.view.private_metadata);
+    const recordId = metadata.data_key;
+    const messageTs = metadata.message_ts;
+
+    const values = payload.view.state.values;
+    const reason = values.reject_reason.reason_text.value;
+    const needsTeacher =
+      values.reject_type.type_choice.selected_option.value === "needs_teacher";
+
+    // Update the record, unless another decision got there first
+    const questionRecord = await Question.transitionAtomically(
+      recordId,
+      QUESTION_STATUS.REJECTED,
+      {
+        by: payload.user.id,
+        note: reason,
+        set: {
+          rejectedAt: new Date(),
+          rejectedBy: payload.user.id,
+          rejectionReason: reason,
+          needsTeacher: needsTeacher,
+        },
+      }
+    );
+
+    if (!questionRecord) {
+      await replyAlreadyHandled(metadata.channel_id, payload.user.id, recordId);
+      return;
+    }
+
+    // Update the Slack message
+    await slackService.updateMessageRejected(
+      messageTs,
+      questionRecord.question,
+      payload.user.id,
+      reason,
+      needsTeacher,
+      metadata.channel_id
+    );
+
+    // Let the student know a teacher will follow up
+    const studentMessage = needsTeacher
+      ? process.env.NEEDS_TEACHER_STUDENT_MESSAGE ||
+        "A teacher is looking at your question personally and will get back to you soon."
+      : process.env.REJECTION_STUDENT_MESSAGE ||
+        "A teacher reviewed your question and will follow up with a better answer soon.";
+
+    await telegramService.sendMessage(questionRecord.accountId, studentMessage);
+
+    logger.info(`Rejected answer for question: ${recordId}`);
+  } catch (error) {
+    logger.error(`Error handling reject submission: ${error.message}`);
+  }
+}
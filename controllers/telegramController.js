@@ -1,11 +1,43 @@
-const path = require("path");
-const fs = require("fs");
-const axios = require("axios");
+const crypto = require("crypto");
 const Question = require("../models/question");
-const GeminiService = require("../services/geminiService");
-const DeepseekService = require("../services/deepseekService");
-const slackService = require("../services/slackService");
+const questionPipeline = require("../services/questionPipeline");
+const conversationService = require("../services/conversationService");
+const userService = require("../services/userService");
+const rateLimitService = require("../services/rateLimitService");
+const clarificationService = require("../services/clarificationService");
+const feedbackService = require("../services/feedbackService");
 const logger = require("../utils/logger");
+const { QUESTION_STATUS } = require("../config/constants");
+
+// How each question status is described to students
+const STATUS_LABELS = {
+  [QUESTION_STATUS.RECEIVED]: "Being processed",
+  [QUESTION_STATUS.AI_FAILED]: "Waiting for a teacher",
+  [QUESTION_STATUS.PENDING_REVIEW]: "Waiting for a teacher",
+  [QUESTION_STATUS.APPROVED]: "Answer on its way",
+  [QUESTION_STATUS.EDITED]: "Answer on its way",
+  [QUESTION_STATUS.DELIVERY_FAILED]: "Answer on its way",
+  [QUESTION_STATUS.DELIVERED]: "Answered",
+  [QUESTION_STATUS.REJECTED]: "A teacher will follow up",
+};
+
+// Statuses in which a question is still waiting for a teacher
+const WAITING_STATUSES = [
+  QUESTION_STATUS.RECEIVED,
+  QUESTION_STATUS.AI_FAILED,
+  QUESTION_STATUS.PENDING_REVIEW,
+];
+
+const HELP_TEXT = [
+  "Send me a question as a text message or a photo.",
+  "An AI tutor drafts an answer and a teacher checks it before it's sent to you, so it can take a little while.",
+  "",
+  "Commands:",
+  "/history - your recent questions",
+  "/status - questions still waiting for a teacher",
+  "/new - start a fresh topic",
+  "/help - show this message",
+].join("\n");
 
 /**
  * Process incoming Telegram message
@@ -20,11 +52,58 @@ exports.processMessage = async (msg, bot) => {
 
     logger.info(`Received message from ${firstName} (${userId})`);
 
-    // Check if message has photo
-    if (msg.photo && msg.photo.length > 0) {
-      await processPhotoMessage(msg, bot);
+    // Every message keeps the student's profile up to date
+    const user = await userService.touch(msg.from);
+
+    if (user.blocked) {
+      await replyLimited(chatId, bot, rateLimitService.blocked(user));
+      return;
+    }
+
+    const isPlainText = Boolean(
+      msg.text && !msg.text.startsWith("/") && !user.onboardingStep
+    );
+
+    // A teacher asked something about an earlier question: this is the answer
+    const openClarification = isPlainText
+      ? await clarificationService.findOpen(user)
+      : null;
+    if (openClarification) {
+      await processClarificationReply(msg, bot, openClarification);
+      return;
+    }
+
+    // The student just said an answer wasn't helpful: this is the reason
+    const openComment = isPlainText
+      ? await feedbackService.findOpenComment(user, msg)
+      : null;
+    if (openComment) {
+      await processFeedbackComment(msg, bot, openComment);
+      return;
+    }
+
+    const isQuestion = Boolean(
+      (msg.photo && msg.photo.length > 0) || isPlainText
+    );
+
+    // Quotas only apply to messages that reach the AI and Slack
+    if (isQuestion) {
+      const limit = await rateLimitService.check(user, msg.text || null);
+      if (!limit.allowed) {
+        await replyLimited(chatId, bot, limit);
+        return;
+      }
+    }
+
+    // Commands are answered directly and never reach the AI or Slack
+    if (msg.text && msg.text.startsWith("/")) {
+      await processCommand(msg, bot, user);
+    } else if (msg.text && user.onboardingStep) {
+      await processOnboardingReply(msg, bot, user);
+    } else if (msg.photo && msg.photo.length > 0) {
+      await processPhotoMessage(msg, bot, user);
     } else if (msg.text) {
-      await processTextMessage(msg, bot);
+      await processTextMessage(msg, bot, user);
     } else {
       // Unsupported message type
       await bot.sendMessage(
@@ -45,12 +124,409 @@ exports.processMessage = async (msg, bot) => {
   }
 };
 
+/**
+ * Process a button press on a delivered answer
+ * @param {Object} query - Telegram callback query object
+ * @param {Object} bot - Telegram bot instance
+ */
+exports.processCallbackQuery = async (query, bot) => {
+  try {
+    const feedback = feedbackService.parseCallbackData(query.data);
+    const user = await userService.touch(query.from);
+
+    if (!feedback || user.blocked) {
+      await bot.answerCallbackQuery(query.id);
+      return;
+    }
+
+    logger.info(
+      `Received ${feedback.action} for ${feedback.questionId} from ${user.platformId}`
+    );
+
+    if (feedback.action === "follow_up") {
+      await handleFollowUpButton(query, bot, user, feedback.questionId);
+    } else {
+      await handleRatingButton(
+        query,
+        bot,
+        user,
+        feedback.questionId,
+        feedback.action
+      );
+    }
+  } catch (error) {
+    logger.error(`Error processing Telegram callback: ${error.message}`);
+    try {
+      await bot.answerCallbackQuery(query.id, {
+        text: "Sorry, something went wrong. Please try again later.",
+      });
+    } catch (answerError) {
+      logger.error(`Error answering callback: ${answerError.message}`);
+    }
+  }
+};
+
+/**
+ * Handle updates pushed by Telegram in webhook mode
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.handleWebhook = (req, res, next) => {
+  const bot = req.app.locals.bot;
+
+  // The endpoint only exists while the bot runs in webhook mode
+  if (!bot || !req.app.locals.telegramWebhook) {
+    return next();
+  }
+
+  const expected = Buffer.from(process.env.TELEGRAM_WEBHOOK_SECRET || "");
+  const received = Buffer.from(
+    req.get("X-Telegram-Bot-Api-Secret-Token") || ""
+  );
+
+  if (
+    expected.length === 0 ||
+    expected.length !== received.length ||
+    !crypto.timingSafeEqual(expected, received)
+  ) {
+    logger.warn(`Telegram webhook with invalid secret token: ${req.ip}`);
+    const error = new Error("Invalid Telegram secret token");
+    error.statusCode = 401;
+    return next(error);
+  }
+
+  // Acknowledge immediately so Telegram does not resend the update
+  res.status(200).send("");
+
+  // Dispatch to the same handlers used in polling mode (processMessage)
+  try {
+    bot.processUpdate(req.body);
+  } catch (error) {
+    logger.error(`Error processing Telegram update: ${error.message}`);
+  }
+};
+
+/**
+ * Pass the student's answer to a teacher's clarifying question back to Slack
+ * @param {Object} msg - Telegram message object
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} questionRecord - Question the teacher asked about
+ */
+async function processClarificationReply(msg, bot, questionRecord) {
+  await clarificationService.recordStudentReply(questionRecord, msg.text);
+  await bot.sendMessage(
+    msg.chat.id,
+    "Thanks! I've passed your reply on to the teacher."
+  );
+}
+
+/**
+ * Store a "Helpful" or "Not helpful" rating
+ * @param {Object} query - Telegram callback query object
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} user - Student's User record
+ * @param {string} questionId - Question the answer belongs to
+ * @param {string} rating - "helpful" or "not_helpful"
+ */
+async function handleRatingButton(query, bot, user, questionId, rating) {
+  const questionRecord = await feedbackService.rate(questionId, user, rating);
+
+  if (!questionRecord) {
+    await bot.answerCallbackQuery(query.id, {
+      text: "You've already rated this answer.",
+    });
+    return;
+  }
+
+  await bot.answerCallbackQuery(query.id, {
+    text: "Thanks for the feedback!",
+  });
+
+  if (rating === "not_helpful") {
+    // Teachers review the question again on a new card
+    await questionPipeline.repost(questionRecord);
+    const prompt = await bot.sendMessage(
+      query.message.chat.id,
+      "Sorry that didn't help. I've sent your question back to a teacher.\n\nWhat was wrong or unclear? Reply to this message and I'll pass it on.",
+      {
+        reply_markup: {
+          force_reply: true,
+          input_field_placeholder: "What was wrong?",
+        },
+      }
+    );
+    await feedbackService.awaitComment(questionRecord._id, prompt.message_id);
+  }
+
+  // Only the follow-up button is left once the answer is rated
+  await bot.editMessageReplyMarkup(
+    feedbackService.keyboard(questionId, { rated: true }),
+    { chat_id: query.message.chat.id, message_id: query.message.message_id }
+  );
+}
+
+/**
+ * Invite the student to ask a follow-up to an answer
+ * @param {Object} query - Telegram callback query object
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} user - Student's User record
+ * @param {string} questionId - Question the answer belongs to
+ */
+async function handleFollowUpButton(query, bot, user, questionId) {
+  const questionRecord = await feedbackService.requestFollowUp(
+    questionId,
+    user
+  );
+  await bot.answerCallbackQuery(query.id);
+
+  if (questionRecord) {
+    await bot.sendMessage(
+      query.message.chat.id,
+      "Sure! Send your follow-up question and I'll answer it with the earlier one in mind."
+    );
+  }
+}
+
+/**
+ * Pass the student's reason for a "Not helpful" rating on to the teachers
+ * @param {Object} msg - Telegram message object
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} questionRecord - Question the student rated
+ */
+async function processFeedbackComment(msg, bot, questionRecord) {
+  await feedbackService.recordComment(questionRecord, msg.text);
+  await bot.sendMessage(
+    msg.chat.id,
+    "Thanks! A teacher will take another look at your question."
+  );
+}
+
+/**
+ * Tell a student their message was not accepted
+ * @param {number} chatId - Telegram chat ID
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} limit - Result from the rate limit service
+ */
+async function replyLimited(chatId, bot, limit) {
+  // Students who were told recently get no further replies
+  if (limit.message) {
+    await bot.sendMessage(chatId, limit.message);
+  }
+}
+
+/**
+ * Route a /command to its handler
+ * @param {Object} msg - Telegram message object
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} user - Student's User record
+ */
+async function processCommand(msg, bot, user) {
+  // "/history@MyBot arg" -> "history"
+  const command = msg.text.trim().split(/\s+/)[0].slice(1).split("@")[0];
+  const handlers = {
+    start: handleStartCommand,
+    help: handleHelpCommand,
+    history: handleHistoryCommand,
+    status: handleStatusCommand,
+    new: handleNewCommand,
+  };
+
+  const handler = handlers[command.toLowerCase()];
+  if (!handler) {
+    await bot.sendMessage(
+      msg.chat.id,
+      "Sorry, I don't know that command. Send /help to see what I can do."
+    );
+    return;
+  }
+
+  logger.info(`Handling /${command} from ${msg.from.id}`);
+  await handler(msg, bot, user);
+}
+
+/**
+ * /start: greet the student and collect grade and subjects if missing
+ * @param {Object} msg - Telegram message object
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} user - Student's User record
+ */
+async function handleStartCommand(msg, bot, user) {
+  if (user.grade) {
+    await bot.sendMessage(
+      msg.chat.id,
+      `Welcome back, ${msg.from.first_name}!\n\n${HELP_TEXT}`
+    );
+    return;
+  }
+
+  await userService.startOnboarding(user);
+  await bot.sendMessage(
+    msg.chat.id,
+    `Hi ${msg.from.first_name}! I'm your study helper. A couple of quick questions first.`
+  );
+  await askOnboardingQuestion(msg.chat.id, bot, user.onboardingStep);
+}
+
+/**
+ * Store the student's answer to an onboarding question
+ * @param {Object} msg - Telegram message object
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} user - Student's User record
+ */
+async function processOnboardingReply(msg, bot, user) {
+  const { step, error } = await userService.saveOnboardingReply(user, msg.text);
+
+  if (error) {
+    await bot.sendMessage(msg.chat.id, error);
+  }
+
+  if (step) {
+    await askOnboardingQuestion(msg.chat.id, bot, step);
+    return;
+  }
+
+  await bot.sendMessage(
+    msg.chat.id,
+    `Thanks, you're all set!\n\n${HELP_TEXT}`,
+    {
+      reply_markup: { remove_keyboard: true },
+    }
+  );
+}
+
+/**
+ * Ask one onboarding question with suggested replies
+ * @param {number} chatId - Telegram chat ID
+ * @param {Object} bot - Telegram bot instance
+ * @param {string} step - Onboarding step
+ */
+async function askOnboardingQuestion(chatId, bot, step) {
+  const questions = {
+    grade: {
+      text: "Which grade are you in?",
+      options: userService.gradeOptions(),
+    },
+    subjects: {
+      text: "Which subjects do you want help with? You can send more than one, e.g. Math, Physics.",
+      options: userService.subjectLabels(),
+    },
+  };
+
+  const { text, options } = questions[step];
+  const keyboard = options.map((option) => [{ text: option }]);
+  keyboard.push([{ text: "Skip" }]);
+
+  await bot.sendMessage(chatId, text, {
+    reply_markup: { keyboard, one_time_keyboard: true, resize_keyboard: true },
+  });
+}
+
+/**
+ * /help: explain how the bot works
+ * @param {Object} msg - Telegram message object
+ * @param {Object} bot - Telegram bot instance
+ */
+async function handleHelpCommand(msg, bot) {
+  await bot.sendMessage(msg.chat.id, HELP_TEXT);
+}
+
+/**
+ * /history: list the student's recent questions
+ * @param {Object} msg - Telegram message object
+ * @param {Object} bot - Telegram bot instance
+ */
+async function handleHistoryCommand(msg, bot) {
+  const questions = await Question.find({ accountId: String(msg.from.id) })
+    .sort({ createdAt: -1 })
+    .limit(5)
+    .lean();
+
+  if (questions.length === 0) {
+    await bot.sendMessage(msg.chat.id, "You haven't asked any questions yet.");
+    return;
+  }
+
+  const lines = questions.map(
+    (question, i) =>
+      `${i + 1}. ${summarise(question)}\n   ${
+        STATUS_LABELS[question.status]
+      } (${question.createdAt.toLocaleDateString()})`
+  );
+
+  await bot.sendMessage(
+    msg.chat.id,
+    `Your recent questions:\n\n${lines.join("\n\n")}`
+  );
+}
+
+/**
+ * /status: show questions still waiting for a teacher
+ * @param {Object} msg - Telegram message object
+ * @param {Object} bot - Telegram bot instance
+ */
+async function handleStatusCommand(msg, bot) {
+  const waiting = await Question.find({
+    accountId: String(msg.from.id),
+    status: { $in: WAITING_STATUSES },
+  })
+    .sort({ createdAt: 1 })
+    .lean();
+
+  if (waiting.length === 0) {
+    await bot.sendMessage(
+      msg.chat.id,
+      "Nothing is waiting for a teacher right now."
+    );
+    return;
+  }
+
+  const lines = waiting.map((question) => {
+    const minutes = Math.round((Date.now() - question.createdAt) / 60000);
+    return `• ${summarise(question)} (waiting ${minutes} min)`;
+  });
+
+  await bot.sendMessage(
+    msg.chat.id,
+    `Waiting for a teacher:\n\n${lines.join("\n")}`
+  );
+}
+
+/**
+ * /new: start a fresh topic without earlier questions as context
+ * @param {Object} msg - Telegram message object
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} user - Student's User record
+ */
+async function handleNewCommand(msg, bot, user) {
+  await conversationService.startNewConversation(user);
+  await bot.sendMessage(
+    msg.chat.id,
+    "Starting a fresh topic. Your next question won't use our earlier conversation."
+  );
+}
+
+/**
+ * Short description of a question for command replies
+ * @param {Object} question - Question record
+ * @returns {string}
+ */
+function summarise(question) {
+  if (!question.question) {
+    return "Photo question";
+  }
+
+  const text = question.question.replace(/\s+/g, " ");
+  return text.length > 60 ? `${text.substring(0, 60)}...` : text;
+}
+
 /**
  * Process text messages from Telegram
  * @param {Object} msg - Telegram message object
  * @param {Object} bot - Telegram bot instance
+ * @param {Object} user - Student's User record
  */
-async function processTextMessage(msg, bot) {
+async function processTextMessage(msg, bot, user) {
   const chatId = msg.chat.id;
   const userId = msg.from.id;
   const firstName = msg.from.first_name;
@@ -61,62 +537,24 @@ async function processTextMessage(msg, bot) {
       `Processing text message: "${questionText.substring(0, 50)}..."`
     );
 
-    // Send typing indication to user
-    await bot.sendChatAction(chatId, "typing");
-
-    // 1. Generate answer using robust DeepSeek service
-    let answer;
-    try {
-      answer = await DeepseekService.generateAnswer(questionText);
-      logger.info(`Generated answer for text question`);
-    } catch (aiError) {
-      logger.error(`Error generating answer: ${aiError.message}`);
-      answer =
-        "I encountered a technical issue. A teacher will help with your question shortly.";
-    }
+    // 1. Store the question before any external call is made
+    const questionData = new Question({
+      user: user._id,
+      accountId: userId,
+      accountName: firstName,
+      question: questionText,
+      status: QUESTION_STATUS.RECEIVED,
+      isFromImage: false,
+    });
 
-    // 2. Store question and answer in database
-    let questionData;
-    try {
-      questionData = new Question({
-        accountId: userId,
-        accountName: firstName,
-        question: questionText,
-        answer: answer,
-        isApproved: false,
-        isFromImage: false,
-      });
+    await questionData.save();
+    await userService.recordQuestion(user._id);
+    logger.info(`Saved question to database with ID: ${questionData._id}`);
 
-      await questionData.save();
-      logger.info(`Saved question to database with ID: ${questionData._id}`);
-    } catch (dbError) {
-      logger.error(`Error saving to database: ${dbError.message}`);
-      // Create a temporary ID if database save fails
-      questionData = {
-        _id: `temp-${Date.now()}`,
-        accountId: userId,
-        accountName: firstName,
-        question: questionText,
-        answer: answer,
-      };
-    }
+    // 2. Queue answer generation and the Slack approval card
+    await questionPipeline.start(questionData);
 
-    // 3. Send to Slack for approval
-    try {
-      await slackService.sendQuestionForApproval(
-        questionText,
-        answer,
-        questionData._id,
-        firstName,
-        false
-      );
-      logger.info(`Sent question to Slack for approval`);
-    } catch (slackError) {
-      logger.error(`Error sending to Slack: ${slackError.message}`);
-      // Continue even if Slack fails
-    }
-
-    // 4. Send acknowledgment to user
+    // 3. Send acknowledgment to user
     await bot.sendMessage(
       chatId,
       "I've received your question and am working on it. A teacher will review the answer shortly."
@@ -135,8 +573,9 @@ async function processTextMessage(msg, bot) {
  * Process photo messages from Telegram
  * @param {Object} msg - Telegram message object
  * @param {Object} bot - Telegram bot instance
+ * @param {Object} user - Student's User record
  */
-async function processPhotoMessage(msg, bot) {
+async function processPhotoMessage(msg, bot, user) {
   const chatId = msg.chat.id;
   const userId = msg.from.id;
   const firstName = msg.from.first_name;
@@ -144,110 +583,35 @@ async function processPhotoMessage(msg, bot) {
   try {
     logger.info(`Processing photo message from ${firstName}`);
 
-    // Send typing indication to user
-    await bot.sendChatAction(chatId, "typing");
-
     // 1. Get the largest photo (last in array)
     const photo = msg.photo[msg.photo.length - 1];
-    const fileId = photo.file_id;
 
-    // 2. Download the photo
-    let filePath = null;
-    let fileUrl = null;
-
-    try {
-      fileUrl = await getPhotoUrl(bot, fileId);
-      filePath = await downloadPhoto(fileUrl);
-      logger.info(`Downloaded photo to ${filePath}`);
-    } catch (downloadError) {
-      logger.error(`Error downloading photo: ${downloadError.message}`);
-      throw new Error(`Could not download image: ${downloadError.message}`);
-    }
-
-    // 3. Extract text from photo using Mock Gemini service
-    let extractedText;
-    try {
-      extractedText = await GeminiService.extractTextFromImage(filePath);
-      logger.info(
-        `Extracted text from image: "${extractedText.substring(0, 50)}..."`
-      );
-    } catch (extractError) {
-      logger.error(`Error extracting text: ${extractError.message}`);
-      extractedText =
-        "This appears to be an image with a question, but I couldn't extract the text.";
-    }
-
-    // 4. Generate answer using robust DeepSeek service
-    let answer;
-    try {
-      answer = await DeepseekService.generateAnswer(extractedText);
-      logger.info(`Generated answer for image question`);
-    } catch (aiError) {
-      logger.error(`Error generating answer: ${aiError.message}`);
-      answer =
-        "I encountered a technical issue processing this image. A teacher will help with your question shortly.";
-    }
-
-    // 5. Store question and answer in database
-    let questionData;
-    try {
-      questionData = new Question({
-        accountId: userId,
-        accountName: firstName,
-        question: extractedText,
-        answer: answer,
-        isApproved: false,
-        isFromImage: true,
-        imageUrl: fileUrl,
-      });
+    // 2. Store the question before any external call is made.
+    //    The text is filled in once the image has been read.
+    const questionData = new Question({
+      user: user._id,
+      accountId: userId,
+      accountName: firstName,
+      status: QUESTION_STATUS.RECEIVED,
+      isFromImage: true,
+      telegramFileId: photo.file_id,
+    });
 
-      await questionData.save();
-      logger.info(
-        `Saved image question to database with ID: ${questionData._id}`
-      );
-    } catch (dbError) {
-      logger.error(`Error saving to database: ${dbError.message}`);
-      // Create a temporary ID if database save fails
-      questionData = {
-        _id: `temp-${Date.now()}`,
-        accountId: userId,
-        accountName: firstName,
-        question: extractedText,
-        answer: answer,
-      };
-    }
+    await questionData.save();
+    await userService.recordQuestion(user._id);
+    logger.info(
+      `Saved image question to database with ID: ${questionData._id}`
+    );
 
-    // 6. Send to Slack for approval
-    try {
-      await slackService.sendQuestionForApproval(
-        extractedText,
-        answer,
-        questionData._id,
-        firstName,
-        true
-      );
-      logger.info(`Sent image question to Slack for approval`);
-    } catch (slackError) {
-      logger.error(`Error sending to Slack: ${slackError.message}`);
-      // Continue even if Slack fails
-    }
+    // 3. Queue text extraction, answer generation and the Slack approval card
+    await questionPipeline.start(questionData);
 
-    // 7. Send acknowledgment to user
+    // 4. Send acknowledgment to user
     await bot.sendMessage(
       chatId,
       "I've received your image and am processing it. A teacher will review the answer shortly."
     );
     logger.info(`Sent acknowledgment to user for image`);
-
-    // 8. Clean up temporary file
-    if (filePath) {
-      try {
-        fs.unlinkSync(filePath);
-        logger.info(`Cleaned up temporary file`);
-      } catch (cleanupError) {
-        logger.error(`Error cleaning up file: ${cleanupError.message}`);
-      }
-    }
   } catch (error) {
     logger.error(`Error processing photo message: ${error.message}`);
     await bot.sendMessage(
@@ -256,52 +620,3 @@ async function processPhotoMessage(msg, bot) {
     );
   }
 }
-
-/**
- * Get the URL of a photo from Telegram
- * @param {Object} bot - Telegram bot instance
- * @param {string} fileId - File ID from Telegram
- * @returns {Promise<string>} - File URL
- */
-async function getPhotoUrl(bot, fileId) {
-  try {
-    const fileInfo = await bot.getFile(fileId);
-    return `https://api.telegram.org/file/bot${process.env.TELEGRAM_BOT_TOKEN}/${fileInfo.file_path}`;
-  } catch (error) {
-    logger.error(`Error getting file from Telegram: ${error.message}`);
-    throw new Error(`Failed to get file from Telegram: ${error.message}`);
-  }
-}
-
-/**
- * Download a photo from a URL to a local temporary file
- * @param {string} url - URL of the photo
- * @returns {Promise<string>} - Path to the downloaded file
- */
-async function downloadPhoto(url) {
-  try {
-    const response = await axios({
-      method: "GET",
-      url: url,
-      responseType: "stream",
-      timeout: 15000, // 15 second timeout
-    });
-
-    const tempDir = path.join(__dirname, "..", "temp");
-    if (!fs.existsSync(tempDir)) {
-      fs.mkdirSync(tempDir, { recursive: true });
-    }
-
-    const tempPath = path.join(tempDir, `${Date.now()}.jpg`);
-    const writer = fs.createWriteStream(tempPath);
-
-    return new Promise((resolve, reject) => {
-      response.data.pipe(writer);
-      writer.on("finish", () => resolve(tempPath));
-      writer.on("error", reject);
-    });
-  } catch (error) {
-    logger.error(`Error downloading photo: ${error.message}`);
-    throw new Error(`Failed to download photo: ${error.message}`);
-  }
-}
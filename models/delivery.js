@@ -0,0 +1,74 @@
+const mongoose = require("mongoose");
+
+/**
+ * Outbox entry for an answer that has to reach a student on Telegram
+ */
+const deliverySchema = new mongoose.Schema({
+  questionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Question",
+    required: true,
+    index: true,
+  },
+  chatId: {
+    type: String,
+    required: true,
+  },
+  text: {
+    type: String,
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ["pending", "sending", "delivered", "dead", "cancelled"],
+    default: "pending",
+  },
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  // Long answers go out in parts; a retry resumes after the last sent part
+  partsSent: {
+    type: Number,
+    default: 0,
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now,
+  },
+  lockedUntil: {
+    type: Date,
+    default: null,
+  },
+  lastError: {
+    type: String,
+    default: null,
+  },
+  alertedAt: {
+    type: Date,
+    default: null,
+  },
+  deliveredAt: {
+    type: Date,
+    default: null,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// The worker polls for due entries by status and time
+deliverySchema.index({ status: 1, nextAttemptAt: 1 });
+
+// Update the updatedAt field on save
+deliverySchema.pre("save", function (next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model("Delivery", deliverySchema);
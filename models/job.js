@@ -0,0 +1,72 @@
+const mongoose = require("mongoose");
+
+/**
+ * Persisted unit of work for the question pipeline
+ */
+const jobSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true,
+  },
+  // Not set for scheduled jobs that don't belong to a question
+  questionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Question",
+    default: null,
+    index: true,
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {},
+  },
+  status: {
+    type: String,
+    enum: ["pending", "running", "done", "failed"],
+    default: "pending",
+  },
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  nextRunAt: {
+    type: Date,
+    default: Date.now,
+  },
+  lockedUntil: {
+    type: Date,
+    default: null,
+  },
+  // Jobs with the same key are only queued once, e.g. one report per week
+  uniqueKey: {
+    type: String,
+    default: null,
+  },
+  lastError: {
+    type: String,
+    default: null,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// The worker polls for due jobs by status and time
+jobSchema.index({ status: 1, nextRunAt: 1 });
+
+jobSchema.index(
+  { uniqueKey: 1 },
+  { unique: true, partialFilterExpression: { uniqueKey: { $type: "string" } } }
+);
+
+// Update the updatedAt field on save
+jobSchema.pre("save", function (next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model("Job", jobSchema);
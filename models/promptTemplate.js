@@ -0,0 +1,50 @@
+const mongoose = require("mongoose");
+
+/**
+ * Versioned system prompt for the tutor LLM.
+ *
+ * Templates are selected by subject and cohort; null means "any". Saving a
+ * change creates a new version with the same name, and only one version per
+ * name is active at a time. The prompt may use {{variables}} such as
+ * {{grade}}, {{subject}}, {{topic}}, {{studentName}} and {{studentSubjects}}
+ * (the subjects the student chose during onboarding).
+ */
+const promptTemplateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+  },
+  version: {
+    type: Number,
+    required: true,
+  },
+  subject: {
+    type: String,
+    default: null,
+  },
+  cohort: {
+    type: String,
+    default: null,
+  },
+  systemPrompt: {
+    type: String,
+    required: true,
+  },
+  active: {
+    type: Boolean,
+    default: true,
+  },
+  createdBy: {
+    type: String,
+    default: null,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+promptTemplateSchema.index({ name: 1, version: 1 }, { unique: true });
+promptTemplateSchema.index({ active: 1, subject: 1, cohort: 1 });
+
+module.exports = mongoose.model("PromptTemplate", promptTemplateSchema);
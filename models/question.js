@@ -1,4 +1,128 @@
 const mongoose = require("mongoose");
+const {
+  QUESTION_STATUS,
+  QUESTION_TRANSITIONS,
+} = require("../config/constants");
+
+const statusHistorySchema = new mongoose.Schema(
+  {
+    status: {
+      type: String,
+      enum: Object.values(QUESTION_STATUS),
+      required: true,
+    },
+    at: {
+      type: Date,
+      default: Date.now,
+    },
+    by: {
+      type: String,
+      default: null,
+    },
+    note: {
+      type: String,
+      default: null,
+    },
+  },
+  { _id: false }
+);
+
+// One AI answer; regenerating adds a draft instead of overwriting
+const draftSchema = new mongoose.Schema(
+  {
+    answer: {
+      type: String,
+      required: true,
+    },
+    provider: {
+      type: String,
+      default: null,
+    },
+    model: {
+      type: String,
+      default: null,
+    },
+    // Teacher guidance the draft was regenerated with
+    instructions: {
+      type: String,
+      default: null,
+    },
+    requestedBy: {
+      type: String,
+      default: null,
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+// One message of a teacher-student clarification in the card's Slack thread
+const clarificationSchema = new mongoose.Schema(
+  {
+    from: {
+      type: String,
+      enum: ["teacher", "student"],
+      required: true,
+    },
+    text: {
+      type: String,
+      required: true,
+    },
+    // Slack user ID of the teacher
+    slackUserId: {
+      type: String,
+      default: null,
+    },
+    // Slack message timestamp, used to ignore redelivered events
+    slackTs: {
+      type: String,
+      default: null,
+    },
+    at: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+// The student's rating of the answer they received
+const feedbackSchema = new mongoose.Schema(
+  {
+    rating: {
+      type: String,
+      enum: ["helpful", "not_helpful", null],
+      default: null,
+    },
+    comment: {
+      type: String,
+      default: null,
+    },
+    ratedAt: {
+      type: Date,
+      default: null,
+    },
+    // Telegram message asking what was wrong with the answer; the student's
+    // reply to it is the comment
+    commentPromptId: {
+      type: Number,
+      default: null,
+    },
+    followUpRequestedAt: {
+      type: Date,
+      default: null,
+    },
+    // Google Sheets row the rating was recorded in, e.g. "Feedback!A12:G12"
+    sheetRange: {
+      type: String,
+      default: null,
+    },
+  },
+  { _id: false }
+);
 
 const questionSchema = new mongoose.Schema({
   accountId: {
@@ -6,34 +130,118 @@ const questionSchema = new mongoose.Schema({
     required: true,
     index: true,
   },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null,
+    index: true,
+  },
   accountName: {
     type: String,
     required: true,
   },
+  // Filled in by the pipeline for image questions
   question: {
     type: String,
-    required: true,
+    required: function () {
+      return !this.isFromImage;
+    },
   },
+  // Filled in by the pipeline once the AI has answered
   answer: {
     type: String,
-    required: true,
+    default: null,
+  },
+  aiProvider: {
+    type: String,
+    default: null,
+  },
+  aiModel: {
+    type: String,
+    default: null,
+  },
+  promptTemplateId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "PromptTemplate",
+    default: null,
+  },
+  promptTemplateVersion: {
+    type: Number,
+    default: null,
+  },
+  // Every AI draft, oldest first; answer holds the latest
+  drafts: {
+    type: [draftSchema],
+    default: [],
   },
   editedAnswer: {
     type: String,
     default: null,
   },
-  isApproved: {
-    type: Boolean,
-    default: false,
+  // Rule that approved the answer without a teacher, cleared on undo
+  autoApprovedRule: {
+    type: String,
+    default: null,
+  },
+  // Past question whose approved answer was reused for this one
+  reusedFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Question",
+    default: null,
+  },
+  // Similar approved questions shown on the Slack card
+  knowledgeBaseMatches: {
+    type: [
+      {
+        question: { type: mongoose.Schema.Types.ObjectId, ref: "Question" },
+        score: Number,
+        _id: false,
+      },
+    ],
+    default: [],
+  },
+  status: {
+    type: String,
+    enum: Object.values(QUESTION_STATUS),
+    default: QUESTION_STATUS.PENDING_REVIEW,
+    index: true,
+  },
+  statusHistory: {
+    type: [statusHistorySchema],
+    default: [],
+  },
+  subject: {
+    type: String,
+    default: null,
+    index: true,
+  },
+  topic: {
+    type: String,
+    default: null,
+  },
+  classifiedBy: {
+    type: String,
+    enum: ["rules", "llm", null],
+    default: null,
   },
   isFromImage: {
     type: Boolean,
     default: false,
   },
+  telegramFileId: {
+    type: String,
+    default: null,
+  },
   imageUrl: {
     type: String,
     default: null,
   },
+  ocrConfidence: {
+    type: Number,
+    min: 0,
+    max: 1,
+    default: null,
+  },
   createdAt: {
     type: Date,
     default: Date.now,
@@ -50,12 +258,190 @@ const questionSchema = new mongoose.Schema({
     type: String,
     default: null,
   },
+  slackChannelId: {
+    type: String,
+    default: null,
+  },
+  slackMessageTs: {
+    type: String,
+    default: null,
+    index: true,
+  },
+  // Thread replies holding the parts of the answer that didn't fit on the
+  // card, in order; edited in place when the card's answer changes
+  slackOverflowTs: {
+    type: [String],
+    default: [],
+  },
+  clarifications: {
+    type: [clarificationSchema],
+    default: [],
+  },
+  // Set while a teacher's clarifying question waits for the student's reply
+  clarificationRequestedAt: {
+    type: Date,
+    default: null,
+  },
+  feedback: {
+    type: feedbackSchema,
+    default: () => ({}),
+  },
+  // Feedback on earlier answers, from before the question was reopened
+  feedbackHistory: {
+    type: [feedbackSchema],
+    default: [],
+  },
+  // When the question last started waiting for a teacher; SLA reminders
+  // count from here, so a reopened question gets the full time again
+  reviewRequestedAt: {
+    type: Date,
+    default: null,
+  },
+  reminderSentAt: {
+    type: Date,
+    default: null,
+  },
+  escalatedAt: {
+    type: Date,
+    default: null,
+  },
+  rejectedAt: {
+    type: Date,
+    default: null,
+  },
+  rejectedBy: {
+    type: String,
+    default: null,
+  },
+  rejectionReason: {
+    type: String,
+    default: null,
+  },
+  needsTeacher: {
+    type: Boolean,
+    default: false,
+  },
+});
+
+// Full-text search for the admin API
+questionSchema.index({
+  question: "text",
+  answer: "text",
+  editedAnswer: "text",
 });
 
 // Update the updatedAt field on save
 questionSchema.pre("save", function (next) {
   this.updatedAt = Date.now();
+
+  // Record the initial status of new questions
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({ status: this.status, at: this.createdAt });
+  }
+
   next();
 });
 
+/**
+ * Whether a question in this status is waiting for a teacher
+ * @param {string} status - Question status
+ * @returns {boolean}
+ */
+function isWaiting(status) {
+  return (
+    status === QUESTION_STATUS.PENDING_REVIEW ||
+    status === QUESTION_STATUS.AI_FAILED
+  );
+}
+
+/**
+ * Whether the question may move to the given status
+ * @param {string} status - Target status
+ * @returns {boolean}
+ */
+questionSchema.methods.canTransitionTo = function (status) {
+  return (QUESTION_TRANSITIONS[this.status] || []).includes(status);
+};
+
+/**
+ * Move the question to a new status and record it in the history.
+ * Does not save the record.
+ * @param {string} status - Target status
+ * @param {Object} [options]
+ * @param {string} [options.by] - Who caused the transition (Slack user ID)
+ * @param {string} [options.note] - Additional detail, e.g. an error message
+ * @throws {Error} - If the transition is not allowed
+ */
+questionSchema.methods.transitionTo = function (status, options = {}) {
+  if (!this.canTransitionTo(status)) {
+    const error = new Error(
+      `Illegal status transition for question ${this._id}: ${this.status} -> ${status}`
+    );
+    error.code = "ILLEGAL_TRANSITION";
+    throw error;
+  }
+
+  const at = new Date();
+  // Starting to wait for a teacher starts the SLA over
+  if (isWaiting(status) && !isWaiting(this.status)) {
+    this.reviewRequestedAt = at;
+    this.reminderSentAt = null;
+    this.escalatedAt = null;
+  }
+
+  this.status = status;
+  this.statusHistory.push({
+    status,
+    at,
+    by: options.by || null,
+    note: options.note || null,
+  });
+};
+
+/**
+ * Atomically move a question to a new status. The update only applies while
+ * the stored status still allows the transition, so concurrent decisions
+ * (double clicks, two teachers) cannot both win. A question sent back to
+ * review gets a fresh SLA, as in transitionTo.
+ * @param {string} id - Question ID
+ * @param {string} status - Target status
+ * @param {Object} [options]
+ * @param {string} [options.by] - Who caused the transition (Slack user ID)
+ * @param {string} [options.note] - Additional detail
+ * @param {Object} [options.set] - Extra fields to set in the same update
+ * @param {Object} [options.filter] - Extra conditions the record must meet
+ * @returns {Promise<Object|null>} - Updated record, or null if another
+ *   decision got there first
+ */
+questionSchema.statics.transitionAtomically = function (
+  id,
+  status,
+  options = {}
+) {
+  const allowedFrom = Object.keys(QUESTION_TRANSITIONS).filter((from) =>
+    QUESTION_TRANSITIONS[from].includes(status)
+  );
+
+  const at = new Date();
+  const sla = isWaiting(status)
+    ? { reviewRequestedAt: at, reminderSentAt: null, escalatedAt: null }
+    : {};
+
+  return this.findOneAndUpdate(
+    { ...(options.filter || {}), _id: id, status: { $in: allowedFrom } },
+    {
+      $set: { ...(options.set || {}), ...sla, status, updatedAt: at },
+      $push: {
+        statusHistory: {
+          status,
+          at,
+          by: options.by || null,
+          note: options.note || null,
+        },
+      },
+    },
+    { new: true }
+  );
+};
+
 module.exports = mongoose.model("Question", questionSchema);
@@ -14,10 +14,44 @@ const userSchema = new mongoose.Schema({
   firstName: String,
   lastName: String,
   username: String,
+  grade: String,
+  cohort: String,
+  subjects: {
+    type: [String],
+    default: [],
+  },
+  // Pending onboarding question, null once onboarding is complete
+  onboardingStep: {
+    type: String,
+    enum: ["grade", "subjects", null],
+    default: null,
+  },
+  // Blocked students can't ask questions until a teacher unblocks them
+  blocked: {
+    type: Boolean,
+    default: false,
+  },
+  blockedAt: {
+    type: Date,
+    default: null,
+  },
+  blockedBy: {
+    type: String,
+    default: null,
+  },
+  blockReason: {
+    type: String,
+    default: null,
+  },
   questionsCount: {
     type: Number,
     default: 0,
   },
+  // Earlier questions are not used as context for follow-ups (/new)
+  conversationStartedAt: {
+    type: Date,
+    default: null,
+  },
   lastInteractionAt: {
     type: Date,
     default: Date.now,
@@ -0,0 +1,30 @@
+const express = require("express");
+const router = express.Router();
+const apiController = require("../controllers/apiController");
+const { requireAdminToken } = require("../utils/adminAuth");
+
+// Every admin API request must carry the ADMIN_API_TOKEN
+router.use(requireAdminToken);
+
+// Browse and search questions
+router.get("/questions", apiController.listQuestions);
+router.get("/questions/:id", apiController.getQuestion);
+
+// Student summary, cohort and blocking
+router.get("/students/:id", apiController.getStudent);
+router.patch("/students/:id", apiController.updateStudent);
+router.post("/students/:id/block", apiController.blockStudent);
+router.post("/students/:id/unblock", apiController.unblockStudent);
+
+// Teacher analytics
+router.get("/analytics", apiController.getAnalytics);
+
+// Prompt templates (each change is saved as a new version)
+router.get("/prompt-templates", apiController.listPromptTemplates);
+router.post("/prompt-templates", apiController.createPromptTemplate);
+router.post(
+  "/prompt-templates/:id/activate",
+  apiController.activatePromptTemplate
+);
+
+module.exports = router;
@@ -1,19 +1,15 @@
 const express = require("express");
 const router = express.Router();
 const slackController = require("../controllers/slackController");
+const { verifySlackSignature } = require("../utils/slackSignature");
+
+// Every Slack request must carry a valid signature
+router.use(verifySlackSignature);
 
 // Handle Slack interactions (button clicks, modal submissions)
 router.post("/interactions", slackController.handleInteraction);
 
-// Slack Events API verification
-router.post("/events", (req, res) => {
-  // Verify Slack challenge
-  if (req.body.type === "url_verification") {
-    return res.status(200).json({ challenge: req.body.challenge });
-  }
-
-  // For other events, acknowledge receipt
-  res.status(200).send("");
-});
+// Slack Events API (verification and thread replies)
+router.post("/events", slackController.handleEvent);
 
 module.exports = router;
@@ -2,10 +2,7 @@ const express = require("express");
 const router = express.Router();
 const telegramController = require("../controllers/telegramController");
 
-// No routes needed as we're using the TelegramBot polling mechanism
-// But we can add webhook support if needed in the future
-router.post("/webhook", (req, res) => {
-  res.status(200).send("Webhook received");
-});
+// Telegram updates when running in webhook mode (TELEGRAM_USE_WEBHOOK=true)
+router.post("/webhook", telegramController.handleWebhook);
 
 module.exports = router;
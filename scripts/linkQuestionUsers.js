@@ -0,0 +1,65 @@
+// Load environment variables first, before any other imports
+require("dotenv").config();
+
+const mongoose = require("mongoose");
+const Question = require("../models/question");
+const User = require("../models/user");
+const logger = require("../utils/logger");
+
+/**
+ * One-off migration that links existing questions to student profiles.
+ *
+ * Creates a User for every Telegram account that asked a question before
+ * profiles existed, then sets the user reference on its questions.
+ * Questions that already reference a user are left alone.
+ * Usage: npm run migrate:question-users
+ */
+async function migrate() {
+  const accounts = await Question.aggregate([
+    { $match: { user: null } },
+    {
+      $group: {
+        _id: "$accountId",
+        accountName: { $first: "$accountName" },
+        questionsCount: { $sum: 1 },
+        firstAskedAt: { $min: "$createdAt" },
+      },
+    },
+  ]);
+
+  for (const account of accounts) {
+    const user = await User.findOneAndUpdate(
+      { platformId: account._id },
+      {
+        $setOnInsert: {
+          platform: "telegram",
+          firstName: account.accountName,
+          questionsCount: account.questionsCount,
+          createdAt: account.firstAskedAt,
+        },
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    const result = await Question.updateMany(
+      { accountId: account._id, user: null },
+      { $set: { user: user._id } }
+    );
+
+    logger.info(
+      `Linked ${result.modifiedCount} questions to user ${account._id}`
+    );
+  }
+}
+
+mongoose
+  .connect(process.env.MONGODB_URI)
+  .then(migrate)
+  .then(() => {
+    logger.info("Question user migration complete");
+    return mongoose.disconnect();
+  })
+  .catch((err) => {
+    logger.error(`Question user migration failed: ${err.message}`);
+    process.exit(1);
+  });
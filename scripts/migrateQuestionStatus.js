@@ -0,0 +1,77 @@
+// Load environment variables first, before any other imports
+require("dotenv").config();
+
+const mongoose = require("mongoose");
+const Question = require("../models/question");
+const logger = require("../utils/logger");
+const { QUESTION_STATUS } = require("../config/constants");
+
+/**
+ * One-off migration from the isApproved boolean to the status field.
+ *
+ * - isApproved: true      -> delivered (the old flow sent right after approval)
+ * - rejectedAt set        -> rejected
+ * - anything else         -> pending_review
+ *
+ * Each record gets a history entry for its migrated status and loses the
+ * isApproved field. Records that already have a status are left alone.
+ * Usage: npm run migrate:question-status
+ */
+async function migrate() {
+  // Bypass the schema, which no longer knows about isApproved
+  const collection = Question.collection;
+  const filter = { status: { $exists: false } };
+
+  const rules = [
+    {
+      match: { isApproved: true },
+      status: QUESTION_STATUS.DELIVERED,
+      at: "$approvedAt",
+    },
+    {
+      match: { rejectedAt: { $ne: null } },
+      status: QUESTION_STATUS.REJECTED,
+      at: "$rejectedAt",
+    },
+    {
+      match: {},
+      status: QUESTION_STATUS.PENDING_REVIEW,
+      at: "$createdAt",
+    },
+  ];
+
+  for (const rule of rules) {
+    const result = await collection.updateMany({ ...filter, ...rule.match }, [
+      {
+        $set: {
+          status: rule.status,
+          statusHistory: [
+            {
+              status: rule.status,
+              at: { $ifNull: [rule.at, "$$NOW"] },
+              by: null,
+              note: "migrated from isApproved",
+            },
+          ],
+        },
+      },
+      { $unset: "isApproved" },
+    ]);
+
+    logger.info(
+      `Migrated ${result.modifiedCount} questions to status ${rule.status}`
+    );
+  }
+}
+
+mongoose
+  .connect(process.env.MONGODB_URI)
+  .then(migrate)
+  .then(() => {
+    logger.info("Question status migration complete");
+    return mongoose.disconnect();
+  })
+  .catch((err) => {
+    logger.error(`Question status migration failed: ${err.message}`);
+    process.exit(1);
+  });
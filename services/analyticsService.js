@@ -0,0 +1,291 @@
+const Question = require("../models/question");
+const Job = require("../models/job");
+const jobService = require("./jobService");
+const slackService = require("./slackService");
+const logger = require("../utils/logger");
+
+const WEEKLY_REPORT_JOB = "weekly_report";
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Teacher and question analytics built from Question records
+ */
+class AnalyticsService {
+  constructor() {
+    // Weekday (0 = Sunday) and hour, server time, of the weekly Slack summary
+    this.reportDay = parseInt(process.env.ANALYTICS_REPORT_DAY || "1", 10);
+    this.reportHour = parseInt(process.env.ANALYTICS_REPORT_HOUR || "9", 10);
+
+    jobService.register(WEEKLY_REPORT_JOB, {
+      run: () => this._runWeeklyReport(),
+      // Keep the weekly schedule going even if this report never made it
+      onFailed: () => this._scheduleNextReport(),
+    });
+  }
+
+  /**
+   * Compute the metrics for questions created in a date range
+   * @param {Object} [range]
+   * @param {Date} [range.from] - Start of the range (inclusive)
+   * @param {Date} [range.to] - End of the range (inclusive)
+   * @returns {Promise<Object>} - Metrics summary
+   */
+  async getSummary({ from, to } = {}) {
+    const match = {};
+    if (from || to) {
+      match.createdAt = {};
+      if (from) match.createdAt.$gte = from;
+      if (to) match.createdAt.$lte = to;
+    }
+
+    const [approvals, teachers, perDay, sources] = await Promise.all([
+      Question.find(
+        { ...match, approvedAt: { $ne: null }, autoApprovedRule: null },
+        { createdAt: 1, approvedAt: 1, editedAnswer: 1 }
+      ).lean(),
+      Question.aggregate([
+        { $match: match },
+        {
+          $project: {
+            teacher: { $ifNull: ["$approvedBy", "$rejectedBy"] },
+            approved: { $cond: [{ $gt: ["$approvedBy", null] }, 1, 0] },
+            edited: { $cond: [{ $gt: ["$editedAnswer", null] }, 1, 0] },
+            rejected: { $cond: [{ $gt: ["$rejectedBy", null] }, 1, 0] },
+          },
+        },
+        { $match: { teacher: { $ne: null } } },
+        {
+          $group: {
+            _id: "$teacher",
+            approved: { $sum: "$approved" },
+            edited: { $sum: "$edited" },
+            rejected: { $sum: "$rejected" },
+          },
+        },
+        { $sort: { approved: -1 } },
+      ]),
+      Question.aggregate([
+        { $match: match },
+        {
+          $group: {
+            _id: {
+              $dateToString: { format: "%Y-%m-%d", date: "$createdAt" },
+            },
+            count: { $sum: 1 },
+          },
+        },
+        { $sort: { _id: 1 } },
+      ]),
+      Question.aggregate([
+        { $match: match },
+        { $group: { _id: "$isFromImage", count: { $sum: 1 } } },
+      ]),
+    ]);
+
+    const durations = approvals
+      .map((question) => question.approvedAt - question.createdAt)
+      .sort((a, b) => a - b);
+    const editedCount = approvals.filter(
+      (question) => question.editedAnswer
+    ).length;
+
+    const countFor = (isFromImage) =>
+      (sources.find((group) => group._id === isFromImage) || { count: 0 })
+        .count;
+
+    return {
+      range: { from: from || null, to: to || null },
+      timeToApproval: {
+        count: durations.length,
+        medianMs: percentile(durations, 50),
+        p90Ms: percentile(durations, 90),
+      },
+      editRate: approvals.length ? editedCount / approvals.length : null,
+      teachers: teachers.map((teacher) => ({
+        teacher: teacher._id,
+        approved: teacher.approved,
+        edited: teacher.edited,
+        rejected: teacher.rejected,
+      })),
+      perDay: perDay.map((day) => ({ date: day._id, count: day.count })),
+      sources: {
+        image: countFor(true),
+        text: countFor(false),
+      },
+    };
+  }
+
+  /**
+   * Make sure the weekly Slack summary is scheduled
+   * @returns {Promise<void>}
+   */
+  async scheduleWeeklyReport() {
+    try {
+      const existing = await Job.exists({
+        type: WEEKLY_REPORT_JOB,
+        status: { $in: ["pending", "running"] },
+      });
+
+      if (!existing) {
+        await this._scheduleNextReport();
+      }
+    } catch (error) {
+      logger.error(`Error scheduling weekly report: ${error.message}`);
+    }
+  }
+
+  /**
+   * Post last week's summary to Slack and schedule the next one
+   * @private
+   */
+  async _runWeeklyReport() {
+    const to = new Date();
+    const from = new Date(to.getTime() - 7 * DAY_MS);
+    const summary = await this.getSummary({ from, to });
+
+    await slackService.postMessage(
+      null,
+      "Weekly tutoring summary",
+      formatSummaryBlocks(summary)
+    );
+    logger.info("Posted weekly analytics summary to Slack");
+
+    await this._scheduleNextReport();
+  }
+
+  /**
+   * Queue the report for the next report time. The key makes instances
+   * that schedule it at the same time share one job.
+   * @private
+   */
+  _scheduleNextReport() {
+    const runAt = this._nextReportTime();
+
+    return jobService.enqueue(
+      WEEKLY_REPORT_JOB,
+      null,
+      {},
+      { runAt, uniqueKey: `${WEEKLY_REPORT_JOB}:${runAt.toISOString()}` }
+    );
+  }
+
+  /**
+   * Next occurrence of the configured weekday and hour
+   * @private
+   */
+  _nextReportTime() {
+    const next = new Date();
+    next.setHours(this.reportHour, 0, 0, 0);
+
+    const daysAhead = (this.reportDay - next.getDay() + 7) % 7;
+    next.setDate(next.getDate() + daysAhead);
+
+    if (next <= new Date()) {
+      next.setDate(next.getDate() + 7);
+    }
+
+    return next;
+  }
+}
+
+/**
+ * Nearest-rank percentile of a sorted array
+ * @param {Array<number>} sorted - Values in ascending order
+ * @param {number} p - Percentile, 0-100
+ * @returns {number|null}
+ */
+function percentile(sorted, p) {
+  if (sorted.length === 0) {
+    return null;
+  }
+
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.max(rank - 1, 0)];
+}
+
+/**
+ * Format a duration in milliseconds for humans
+ * @param {number|null} ms - Duration
+ * @returns {string}
+ */
+function formatDuration(ms) {
+  if (ms === null) {
+    return "n/a";
+  }
+
+  const minutes = Math.round(ms / 60000);
+  if (minutes < 60) {
+    return `${minutes} min`;
+  }
+
+  return `${Math.floor(minutes / 60)} h ${minutes % 60} min`;
+}
+
+/**
+ * Build the Slack blocks for a summary
+ * @param {Object} summary - Result of getSummary
+ * @returns {Array<Object>} - Slack blocks
+ */
+function formatSummaryBlocks(summary) {
+  const total = summary.sources.image + summary.sources.text;
+  const editRate =
+    summary.editRate === null
+      ? "n/a"
+      : `${Math.round(summary.editRate * 100)}%`;
+
+  const teachers = summary.teachers.length
+    ? summary.teachers
+        .map(
+          (teacher) =>
+            `• <@${teacher.teacher}>: ${teacher.approved} approved (${teacher.edited} edited), ${teacher.rejected} rejected`
+        )
+        .join("\n")
+    : "No decisions this week";
+
+  const perDay = summary.perDay
+    .map((day) => `${day.date}: ${day.count}`)
+    .join("\n");
+
+  return [
+    {
+      type: "header",
+      text: { type: "plain_text", text: "Weekly tutoring summary" },
+    },
+    {
+      type: "section",
+      fields: [
+        { type: "mrkdwn", text: `*Questions:*\n${total}` },
+        {
+          type: "mrkdwn",
+          text: `*Image / text:*\n${summary.sources.image} / ${summary.sources.text}`,
+        },
+        {
+          type: "mrkdwn",
+          text: `*Median time to approval:*\n${formatDuration(
+            summary.timeToApproval.medianMs
+          )}`,
+        },
+        {
+          type: "mrkdwn",
+          text: `*p90 time to approval:*\n${formatDuration(
+            summary.timeToApproval.p90Ms
+          )}`,
+        },
+        { type: "mrkdwn", text: `*Answers edited:*\n${editRate}` },
+      ],
+    },
+    {
+      type: "section",
+      text: { type: "mrkdwn", text: `*Per teacher:*\n${teachers}` },
+    },
+    {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `*Per day:*\n${perDay || "No questions"}`,
+      },
+    },
+  ];
+}
+
+module.exports = new AnalyticsService();
@@ -0,0 +1,97 @@
+const autoApproval = require("../config/autoApproval");
+const knowledgeBaseService = require("./knowledgeBaseService");
+const logger = require("../utils/logger");
+const { QUESTION_STATUS } = require("../config/constants");
+
+/**
+ * Decides whether a question can be answered without a teacher, using the
+ * rules in config/autoApproval.js. Rules are tried in order; the first one
+ * whose conditions all hold wins.
+ */
+class AutoApprovalService {
+  constructor() {
+    this.enabled = autoApproval.enabled;
+    this.rules = autoApproval.rules.filter((rule) => isConfigured(rule));
+  }
+
+  /**
+   * Find the rule, if any, that approves a question
+   * @param {Object} questionRecord - Question waiting for review
+   * @param {Object|null} student - Student's User record
+   * @returns {Promise<Object|null>} - { rule, answer, reusedFrom } where
+   *   reusedFrom is the past question whose answer is sent, or null to send
+   *   the AI answer; null if no rule applies
+   */
+  async evaluate(questionRecord, student) {
+    if (!this.enabled) {
+      return null;
+    }
+
+    for (const rule of this.rules) {
+      const decision = await this._apply(rule, questionRecord, student);
+      if (decision) {
+        logger.info(
+          `Question ${questionRecord._id} auto-approved by rule ${rule.name}`
+        );
+        return decision;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Check every condition of one rule
+   * @private
+   */
+  async _apply(rule, questionRecord, student) {
+    if (rule.subjects && !rule.subjects.includes(questionRecord.subject)) {
+      return null;
+    }
+
+    const cohort = student ? student.cohort : null;
+    if (rule.cohorts && !rule.cohorts.includes(cohort)) {
+      return null;
+    }
+
+    if (rule.minApprovals) {
+      const repeated = await knowledgeBaseService.findRepeatedAnswer(
+        questionRecord
+      );
+
+      if (!repeated || repeated.approvals < rule.minApprovals) {
+        return null;
+      }
+
+      return {
+        rule: rule.name,
+        answer: repeated.answer,
+        reusedFrom: repeated.sourceId,
+      };
+    }
+
+    // Without a past answer to send, the AI must have produced one
+    if (questionRecord.status !== QUESTION_STATUS.PENDING_REVIEW) {
+      return null;
+    }
+
+    return { rule: rule.name, answer: questionRecord.answer, reusedFrom: null };
+  }
+}
+
+/**
+ * Whether a rule has any condition; empty lists from unset env vars don't count
+ * @param {Object} rule - Rule from config/autoApproval.js
+ * @returns {boolean}
+ */
+function isConfigured(rule) {
+  if (rule.subjects && rule.subjects.length === 0) {
+    return false;
+  }
+  if (rule.cohorts && rule.cohorts.length === 0) {
+    return false;
+  }
+  return Boolean(rule.subjects || rule.cohorts || rule.minApprovals);
+}
+
+module.exports = new AutoApprovalService();
@@ -0,0 +1,118 @@
+const Question = require("../models/question");
+const slackService = require("./slackService");
+const telegramService = require("./telegramService");
+const logger = require("../utils/logger");
+const { QUESTION_STATUS } = require("../config/constants");
+const { slackToPlainText, escapeSlack } = require("../utils/formatters");
+
+// Statuses in which a question is waiting for a teacher
+const WAITING_STATUSES = [
+  QUESTION_STATUS.PENDING_REVIEW,
+  QUESTION_STATUS.AI_FAILED,
+];
+
+/**
+ * Two-way clarification between teachers and students.
+ *
+ * A teacher's reply in the thread of an approval card is forwarded to the
+ * student on Telegram. The student's next message is taken as the answer and
+ * posted back into the same thread. Both sides are stored on the Question.
+ * Only questions still waiting for review are forwarded, so teachers can
+ * keep talking in the thread after a decision.
+ */
+class ClarificationService {
+  /**
+   * Forward a teacher's thread reply to the student
+   * @param {Object} event - Slack message event
+   * @returns {Promise<boolean>} - Whether the message was forwarded
+   */
+  async forwardTeacherMessage(event) {
+    const text = slackToPlainText(event.text);
+    if (!text) {
+      return false;
+    }
+
+    // Slack redelivers events it thinks we missed; slackTs makes this a no-op
+    const questionRecord = await Question.findOneAndUpdate(
+      {
+        slackChannelId: event.channel,
+        slackMessageTs: event.thread_ts,
+        status: { $in: WAITING_STATUSES },
+        "clarifications.slackTs": { $ne: event.ts },
+      },
+      {
+        $push: {
+          clarifications: {
+            from: "teacher",
+            text,
+            slackUserId: event.user,
+            slackTs: event.ts,
+          },
+        },
+        $set: { clarificationRequestedAt: new Date(), updatedAt: new Date() },
+      },
+      { new: true }
+    );
+
+    if (!questionRecord) {
+      return false;
+    }
+
+    await telegramService.sendMessage(
+      questionRecord.accountId,
+      `A teacher has a question about "${summarise(
+        questionRecord.question
+      )}":\n\n${text}\n\nJust reply here and I'll pass your answer on.`
+    );
+
+    logger.info(`Forwarded clarification to student for ${questionRecord._id}`);
+    return true;
+  }
+
+  /**
+   * The question a teacher is waiting on the student for, if any
+   * @param {Object} user - Student's User record
+   * @returns {Promise<Object|null>} - Question record
+   */
+  findOpen(user) {
+    return Question.findOne({
+      accountId: user.platformId,
+      clarificationRequestedAt: { $ne: null },
+      status: { $in: WAITING_STATUSES },
+    }).sort({ clarificationRequestedAt: -1 });
+  }
+
+  /**
+   * Store the student's reply and post it into the card's thread
+   * @param {Object} questionRecord - Question with an open clarification
+   * @param {string} text - Student's reply
+   * @returns {Promise<void>}
+   */
+  async recordStudentReply(questionRecord, text) {
+    questionRecord.clarifications.push({ from: "student", text });
+    questionRecord.clarificationRequestedAt = null;
+    await questionRecord.save();
+
+    await slackService.postThreadReply(
+      questionRecord.slackChannelId,
+      questionRecord.slackMessageTs,
+      `:speech_balloon: *${escapeSlack(
+        questionRecord.accountName
+      )} replied:*\n${escapeSlack(text)}`
+    );
+
+    logger.info(`Posted student clarification for ${questionRecord._id}`);
+  }
+}
+
+/**
+ * Shorten a question for a one-line reminder
+ * @param {string} text - Question text
+ * @returns {string}
+ */
+function summarise(text) {
+  const line = (text || "").replace(/\s+/g, " ");
+  return line.length > 60 ? `${line.substring(0, 60)}...` : line;
+}
+
+module.exports = new ClarificationService();
@@ -0,0 +1,116 @@
+const Question = require("../models/question");
+const User = require("../models/user");
+const logger = require("../utils/logger");
+const { QUESTION_STATUS } = require("../config/constants");
+
+/**
+ * Builds each student's conversation thread from their recent questions and
+ * the answers they actually received, so follow-up questions have context.
+ */
+class ConversationService {
+  constructor() {
+    this.maxTurns = parseInt(process.env.CONVERSATION_MAX_TURNS || "10", 10);
+    this.tokenBudget = parseInt(
+      process.env.CONVERSATION_TOKEN_BUDGET || "1500",
+      10
+    );
+    // Only questions from this recent window count as the same conversation
+    this.maxAgeHours = parseInt(
+      process.env.CONVERSATION_MAX_AGE_HOURS || "24",
+      10
+    );
+  }
+
+  /**
+   * Previous turns to include before a question in the LLM request
+   * @param {Object} questionRecord - The question being answered
+   * @returns {Promise<Array<{role: string, content: string}>>} - Chat messages,
+   *   oldest first, fitting in the token budget
+   */
+  async buildHistory(questionRecord) {
+    try {
+      const student = await User.findOne({
+        platformId: questionRecord.accountId,
+      }).lean();
+
+      let since = new Date(Date.now() - this.maxAgeHours * 60 * 60 * 1000);
+      if (
+        student &&
+        student.conversationStartedAt &&
+        student.conversationStartedAt > since
+      ) {
+        since = student.conversationStartedAt;
+      }
+
+      const previous = await Question.find({
+        accountId: questionRecord.accountId,
+        _id: { $ne: questionRecord._id },
+        status: QUESTION_STATUS.DELIVERED,
+        createdAt: { $gte: since, $lt: questionRecord.createdAt },
+      })
+        .sort({ createdAt: -1 })
+        .limit(this.maxTurns)
+        .lean();
+
+      // Newest turns first until the budget runs out, then restore order
+      const turns = [];
+      let tokens = 0;
+
+      for (const previousQuestion of previous) {
+        const received =
+          previousQuestion.editedAnswer || previousQuestion.answer;
+        const turnTokens =
+          estimateTokens(previousQuestion.question) + estimateTokens(received);
+
+        if (tokens + turnTokens > this.tokenBudget) {
+          break;
+        }
+
+        tokens += turnTokens;
+        turns.unshift(
+          { role: "user", content: previousQuestion.question },
+          { role: "assistant", content: received }
+        );
+      }
+
+      if (turns.length > 0) {
+        logger.info(
+          `Including ${
+            turns.length / 2
+          } previous turns (~${tokens} tokens) for ${questionRecord._id}`
+        );
+      }
+
+      return turns;
+    } catch (error) {
+      // Context is a nice-to-have; answer without it rather than fail
+      logger.error(`Error building conversation history: ${error.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Start a fresh topic: earlier questions are no longer sent as context
+   * @param {Object} user - User record
+   * @returns {Promise<void>}
+   */
+  async startNewConversation(user) {
+    await User.updateOne(
+      { _id: user._id },
+      { $set: { conversationStartedAt: new Date() } }
+    );
+
+    logger.info(`Started new conversation for ${user.platformId}`);
+  }
+}
+
+/**
+ * Rough token count for budgeting (about four characters per token)
+ * @param {string} text - Text to measure
+ * @returns {number}
+ */
+function estimateTokens(text) {
+  return Math.ceil((text || "").length / 4);
+}
+
+module.exports = new ConversationService();
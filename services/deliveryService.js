@@ -0,0 +1,331 @@
+const Delivery = require("../models/delivery");
+const Question = require("../models/question");
+const telegramService = require("./telegramService");
+const slackService = require("./slackService");
+const feedbackService = require("./feedbackService");
+const logger = require("../utils/logger");
+const { escapeSlack } = require("../utils/formatters");
+const { QUESTION_STATUS } = require("../config/constants");
+
+/**
+ * Durable outbox for answers sent to students.
+ *
+ * Answers are written to the Delivery collection before sending. A send that
+ * fails is retried with exponential backoff by a background worker until it
+ * succeeds or runs out of attempts, at which point it is dead-lettered and
+ * the teachers are told in the question's Slack thread.
+ */
+class DeliveryService {
+  constructor() {
+    this.maxAttempts = parseInt(process.env.DELIVERY_MAX_ATTEMPTS || "6", 10);
+    this.baseDelay = parseInt(
+      process.env.DELIVERY_RETRY_BASE_MS || "30000",
+      10
+    );
+    this.maxDelay = parseInt(
+      process.env.DELIVERY_RETRY_MAX_MS || "3600000",
+      10
+    );
+    // Failed attempts before the Slack thread is warned
+    this.alertAfter = parseInt(process.env.DELIVERY_ALERT_AFTER || "3", 10);
+    this.pollInterval = parseInt(
+      process.env.DELIVERY_POLL_INTERVAL_MS || "15000",
+      10
+    );
+    this.lockTimeout = 60000; // ms
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Queue an answer for a student and try to send it straight away
+   * @param {Object} questionRecord - Question database record
+   * @param {string} text - Answer text to send
+   * @returns {Promise<Object>} - Delivery record
+   */
+  async enqueue(questionRecord, text) {
+    const delivery = await Delivery.create({
+      questionId: questionRecord._id,
+      chatId: questionRecord.accountId,
+      text: text,
+      lockedUntil: new Date(Date.now() + this.lockTimeout),
+      status: "sending",
+    });
+
+    logger.info(`Queued delivery ${delivery._id} for ${questionRecord._id}`);
+
+    // First attempt inline so students don't wait for the next poll
+    await this._attempt(delivery);
+    return delivery;
+  }
+
+  /**
+   * Stop sending a question's answers, including one a worker is sending
+   * right now; that worker drops its result instead of scheduling a retry
+   * @param {string} questionId - Question ID
+   * @returns {Promise<boolean>} - Whether an answer may already have reached
+   *   the student (delivered, partly sent, or being sent right now)
+   */
+  async cancel(questionId) {
+    const unsent = ["pending", "sending", "dead"];
+    const open = await Delivery.find({ questionId, status: { $in: unsent } })
+      .select("status partsSent")
+      .lean();
+
+    const result = await Delivery.updateMany(
+      { questionId, status: { $in: unsent } },
+      {
+        $set: { status: "cancelled", lockedUntil: null, updatedAt: new Date() },
+      }
+    );
+
+    if (result.modifiedCount > 0) {
+      logger.info(
+        `Cancelled ${result.modifiedCount} deliveries for ${questionId}`
+      );
+    }
+
+    const partlySent = open.some(
+      (delivery) => delivery.status === "sending" || delivery.partsSent > 0
+    );
+    // Also catches a send that finished between the two queries above
+    const delivered = await Delivery.exists({
+      questionId,
+      status: "delivered",
+    });
+    return partlySent || Boolean(delivered);
+  }
+
+  /**
+   * Start the background retry worker
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => this.processDue(), this.pollInterval);
+    this.timer.unref();
+    logger.info("Delivery worker started");
+  }
+
+  /**
+   * Stop the background retry worker
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Retry every delivery that is due
+   * @returns {Promise<number>} - Number of deliveries attempted
+   */
+  async processDue() {
+    if (this.running) {
+      return 0;
+    }
+
+    this.running = true;
+    let processed = 0;
+
+    try {
+      let delivery;
+      while ((delivery = await this._claimNext())) {
+        await this._attempt(delivery);
+        processed++;
+      }
+    } catch (error) {
+      logger.error(`Error processing deliveries: ${error.message}`);
+    } finally {
+      this.running = false;
+    }
+
+    return processed;
+  }
+
+  /**
+   * Atomically lock the next due delivery so only one worker sends it
+   * @private
+   */
+  _claimNext() {
+    const now = new Date();
+
+    return Delivery.findOneAndUpdate(
+      {
+        $or: [
+          { status: "pending", nextAttemptAt: { $lte: now } },
+          // Recover entries whose worker died mid-send
+          { status: "sending", lockedUntil: { $lte: now } },
+        ],
+      },
+      {
+        $set: {
+          status: "sending",
+          lockedUntil: new Date(now.getTime() + this.lockTimeout),
+        },
+      },
+      { new: true, sort: { nextAttemptAt: 1 } }
+    );
+  }
+
+  /**
+   * Send one delivery and record the outcome
+   * @private
+   */
+  async _attempt(delivery) {
+    delivery.attempts++;
+    const attempts = delivery.attempts;
+
+    try {
+      const parts = telegramService.formatMessage(delivery.text);
+      if (parts.length === 0) {
+        const error = new Error("Answer is empty");
+        error.code = "EMPTY_ANSWER";
+        throw error;
+      }
+      for (let i = delivery.partsSent; i < parts.length; i++) {
+        // Rating buttons go under the end of the answer
+        const replyMarkup =
+          i === parts.length - 1
+            ? feedbackService.keyboard(delivery.questionId)
+            : null;
+
+        await telegramService.sendFormatted(
+          delivery.chatId,
+          parts[i],
+          replyMarkup
+        );
+        delivery.partsSent = i + 1;
+      }
+
+      const recorded = await this._record(delivery, {
+        status: "delivered",
+        deliveredAt: new Date(),
+        lockedUntil: null,
+        lastError: null,
+      });
+      if (!recorded) {
+        return;
+      }
+
+      await Question.transitionAtomically(
+        delivery.questionId,
+        QUESTION_STATUS.DELIVERED
+      );
+
+      logger.info(`Delivered ${delivery._id} (attempt ${attempts})`);
+    } catch (error) {
+      const changes = { lastError: error.message, lockedUntil: null };
+      // Retrying won't make an empty answer sendable
+      if (attempts >= this.maxAttempts || error.code === "EMPTY_ANSWER") {
+        changes.status = "dead";
+      } else {
+        changes.status = "pending";
+        changes.nextAttemptAt = new Date(Date.now() + this._backoff(attempts));
+      }
+
+      const recorded = await this._record(delivery, changes);
+      if (!recorded) {
+        return;
+      }
+
+      await Question.transitionAtomically(
+        delivery.questionId,
+        QUESTION_STATUS.DELIVERY_FAILED,
+        { note: error.message }
+      );
+
+      logger.error(
+        `Delivery ${delivery._id} failed (attempt ${attempts}/${this.maxAttempts}): ${error.message}`
+      );
+
+      await this._reportFailure(delivery);
+    }
+  }
+
+  /**
+   * Save the outcome of an attempt unless the delivery was cancelled while
+   * it was being sent
+   * @private
+   * @returns {Promise<boolean>} - Whether the outcome was saved
+   */
+  async _record(delivery, changes) {
+    Object.assign(delivery, changes);
+
+    const result = await Delivery.updateOne(
+      { _id: delivery._id, status: "sending" },
+      {
+        $set: {
+          ...changes,
+          attempts: delivery.attempts,
+          partsSent: delivery.partsSent,
+          updatedAt: new Date(),
+        },
+      }
+    );
+
+    if (result.matchedCount === 0) {
+      logger.info(`Delivery ${delivery._id} was cancelled while sending`);
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Exponential backoff with a little jitter
+   * @private
+   */
+  _backoff(attempts) {
+    const delay = Math.min(
+      this.baseDelay * Math.pow(2, attempts - 1),
+      this.maxDelay
+    );
+    return Math.round(delay * (0.8 + Math.random() * 0.4));
+  }
+
+  /**
+   * Tell teachers in the Slack thread that the student was not reached
+   * @private
+   */
+  async _reportFailure(delivery) {
+    const isDead = delivery.status === "dead";
+    const shouldWarn =
+      !delivery.alertedAt && delivery.attempts >= this.alertAfter;
+
+    if (!isDead && !shouldWarn) {
+      return;
+    }
+
+    try {
+      const questionRecord = await Question.findById(delivery.questionId);
+      if (!questionRecord || !questionRecord.slackMessageTs) {
+        logger.warn(`No Slack thread to report delivery ${delivery._id}`);
+        return;
+      }
+
+      // Names and Telegram error messages may contain <, > or &
+      const name = escapeSlack(questionRecord.accountName);
+      const lastError = escapeSlack(delivery.lastError);
+      const text = isDead
+        ? `:rotating_light: Could not deliver this answer to ${name} after ${delivery.attempts} attempts. Gave up: ${lastError}`
+        : `:warning: Delivery to ${name} has failed ${delivery.attempts} times (${lastError}). Still retrying.`;
+
+      await slackService.postThreadReply(
+        questionRecord.slackChannelId,
+        questionRecord.slackMessageTs,
+        text
+      );
+
+      delivery.alertedAt = new Date();
+      await Delivery.updateOne(
+        { _id: delivery._id },
+        { $set: { alertedAt: delivery.alertedAt } }
+      );
+    } catch (error) {
+      logger.error(`Error reporting delivery failure: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new DeliveryService();
@@ -0,0 +1,303 @@
+const Question = require("../models/question");
+const User = require("../models/user");
+const slackService = require("./slackService");
+const googleSheetsService = require("./googleSheetService");
+const logger = require("../utils/logger");
+const { QUESTION_STATUS } = require("../config/constants");
+const { escapeSlack } = require("../utils/formatters");
+
+// Prefix of the callback data sent by the rating buttons
+const CALLBACK_PREFIX = "feedback";
+
+const ACTIONS = ["helpful", "not_helpful", "follow_up"];
+
+/**
+ * Student feedback on delivered answers.
+ *
+ * Every delivered answer carries "Helpful", "Not helpful" and "Ask a
+ * follow-up" buttons. Ratings are stored on the Question and in the feedback
+ * sheet. A "Not helpful" rating reopens the question for review and asks
+ * the student why; their reply to that prompt is passed on to teachers. The
+ * answer they get after review can be rated again.
+ */
+class FeedbackService {
+  /**
+   * Inline keyboard attached to a delivered answer
+   * @param {string} questionId - Question ID
+   * @param {Object} [options]
+   * @param {boolean} [options.rated] - Leave out the rating buttons
+   * @returns {Object} - Telegram reply markup
+   */
+  keyboard(questionId, options = {}) {
+    const button = (text, action) => ({
+      text,
+      callback_data: `${CALLBACK_PREFIX}:${questionId}:${action}`,
+    });
+
+    const rows = [[button("Ask a follow-up", "follow_up")]];
+    if (!options.rated) {
+      rows.unshift([
+        button("👍 Helpful", "helpful"),
+        button("👎 Not helpful", "not_helpful"),
+      ]);
+    }
+
+    return { inline_keyboard: rows };
+  }
+
+  /**
+   * Read the callback data of a rating button
+   * @param {string} data - callback_data from Telegram
+   * @returns {Object|null} - { questionId, action }, null for other buttons
+   */
+  parseCallbackData(data) {
+    const [prefix, questionId, action] = (data || "").split(":");
+
+    if (
+      prefix !== CALLBACK_PREFIX ||
+      !questionId ||
+      !ACTIONS.includes(action)
+    ) {
+      return null;
+    }
+    return { questionId, action };
+  }
+
+  /**
+   * Store a student's rating. "not_helpful" moves the question back to
+   * review and clears the approval, as undoing an auto-approval does. A
+   * "not_helpful" rating on a delivered question belongs to the answer
+   * before it was reopened, so it is moved to feedbackHistory and the new
+   * answer gets its own rating.
+   * @param {string} questionId - Question ID
+   * @param {Object} user - Student's User record
+   * @param {string} rating - "helpful" or "not_helpful"
+   * @returns {Promise<Object|null>} - Updated record, null if the answer was
+   *   already rated or isn't the student's delivered answer
+   */
+  async rate(questionId, user, rating) {
+    const questionRecord = await Question.findOne({
+      _id: questionId,
+      accountId: user.platformId,
+      status: QUESTION_STATUS.DELIVERED,
+      "feedback.rating": { $in: [null, "not_helpful"] },
+    });
+
+    if (!questionRecord) {
+      return null;
+    }
+
+    // Reopening clears editedAnswer, so keep what the student actually got
+    const received = questionRecord.editedAnswer || questionRecord.answer;
+    const now = new Date();
+    const { feedback = {}, feedbackHistory = [] } = questionRecord.toObject();
+
+    // Only one of several taps on the buttons may win
+    const filter = {
+      "feedback.rating": feedback.rating || null,
+      "feedback.ratedAt": feedback.ratedAt || null,
+    };
+    const set = {
+      feedback: {
+        rating,
+        ratedAt: now,
+        comment: null,
+        commentPromptId: null,
+        followUpRequestedAt: feedback.followUpRequestedAt || null,
+        sheetRange: null,
+      },
+    };
+    if (feedback.rating) {
+      set.feedbackHistory = [...feedbackHistory, feedback];
+    }
+
+    let updated;
+    if (rating === "not_helpful") {
+      updated = await Question.transitionAtomically(
+        questionId,
+        QUESTION_STATUS.PENDING_REVIEW,
+        {
+          note: "student rated the answer not helpful",
+          filter,
+          set: {
+            ...set,
+            editedAnswer: null,
+            reusedFrom: null,
+            autoApprovedRule: null,
+            approvedAt: null,
+            approvedBy: null,
+          },
+        }
+      );
+    } else {
+      updated = await Question.findOneAndUpdate(
+        { ...filter, _id: questionId, status: QUESTION_STATUS.DELIVERED },
+        { $set: { ...set, updatedAt: now } },
+        { new: true }
+      );
+    }
+
+    if (!updated) {
+      return null;
+    }
+
+    logger.info(`Student rated question ${questionId} ${rating}`);
+
+    await this._saveToSheet(updated, received);
+    return updated;
+  }
+
+  /**
+   * Note that the student wants to ask a follow-up, and make sure the
+   * question stays in their conversation context for it
+   * @param {string} questionId - Question ID
+   * @param {Object} user - Student's User record
+   * @returns {Promise<Object|null>} - Updated record, null if not found
+   */
+  async requestFollowUp(questionId, user) {
+    const questionRecord = await Question.findOneAndUpdate(
+      { _id: questionId, accountId: user.platformId },
+      {
+        $set: {
+          "feedback.followUpRequestedAt": new Date(),
+          updatedAt: new Date(),
+        },
+      },
+      { new: true }
+    );
+
+    if (!questionRecord) {
+      return null;
+    }
+
+    // Undo a /new that would leave this question out of the context
+    await User.updateOne(
+      {
+        _id: user._id,
+        conversationStartedAt: { $gt: questionRecord.createdAt },
+      },
+      { $set: { conversationStartedAt: questionRecord.createdAt } }
+    );
+
+    logger.info(`Student asked a follow-up to question ${questionId}`);
+    return questionRecord;
+  }
+
+  /**
+   * Remember the message that asks the student why an answer didn't help
+   * @param {string} questionId - Question rated "not_helpful"
+   * @param {number} messageId - Telegram message ID of the prompt
+   * @returns {Promise<Object>} - Update result
+   */
+  awaitComment(questionId, messageId) {
+    return Question.updateOne(
+      { _id: questionId, "feedback.rating": "not_helpful" },
+      { $set: { "feedback.commentPromptId": messageId } }
+    );
+  }
+
+  /**
+   * The question a message explains a "Not helpful" rating for. Only
+   * replies to the prompt count, so new questions are never mistaken for
+   * comments.
+   * @param {Object} user - Student's User record
+   * @param {Object} msg - Telegram message object
+   * @returns {Promise<Object|null>} - Question record
+   */
+  async findOpenComment(user, msg) {
+    if (!msg.reply_to_message) {
+      return null;
+    }
+
+    return Question.findOne({
+      accountId: user.platformId,
+      "feedback.commentPromptId": msg.reply_to_message.message_id,
+    });
+  }
+
+  /**
+   * Store why the student found the answer unhelpful and show it to teachers
+   * @param {Object} questionRecord - Question rated "not_helpful"
+   * @param {string} text - Student's comment
+   * @returns {Promise<void>}
+   */
+  async recordComment(questionRecord, text) {
+    questionRecord.feedback.comment = text;
+    questionRecord.feedback.commentPromptId = null;
+    await questionRecord.save();
+
+    // A card that isn't posted yet shows the comment itself
+    if (questionRecord.slackMessageTs) {
+      await slackService.postThreadReply(
+        questionRecord.slackChannelId,
+        questionRecord.slackMessageTs,
+        `:thumbsdown: *${escapeSlack(
+          questionRecord.accountName
+        )} explained:*\n${escapeSlack(text)}`
+      );
+    }
+
+    if (questionRecord.feedback.sheetRange) {
+      try {
+        await googleSheetsService.updateFeedbackComment(
+          questionRecord.feedback.sheetRange,
+          text
+        );
+      } catch (error) {
+        logger.error(`Error saving feedback comment: ${error.message}`);
+      }
+    }
+
+    logger.info(`Recorded feedback comment for ${questionRecord._id}`);
+  }
+
+  /**
+   * Note for the approval card of a question reopened by a "Not helpful"
+   * rating
+   * @param {Object} questionRecord - Question database record
+   * @returns {string|null} - Slack mrkdwn, null if it wasn't reopened
+   */
+  reopenedNote(questionRecord) {
+    const feedback = questionRecord.feedback || {};
+    if (
+      feedback.rating !== "not_helpful" ||
+      questionRecord.status !== QUESTION_STATUS.PENDING_REVIEW
+    ) {
+      return null;
+    }
+
+    const note = `:thumbsdown: Reopened: ${escapeSlack(
+      questionRecord.accountName
+    )} said the answer they received was not helpful`;
+
+    return feedback.comment
+      ? `${note}: _${escapeSlack(feedback.comment)}_`
+      : note;
+  }
+
+  /**
+   * Record a rating in the feedback sheet for training data
+   * @private
+   */
+  async _saveToSheet(questionRecord, received) {
+    try {
+      const result = await googleSheetsService.saveFeedback({
+        questionId: String(questionRecord._id),
+        accountName: questionRecord.accountName,
+        question: questionRecord.question,
+        answer: received,
+        rating: questionRecord.feedback.rating,
+      });
+
+      // Remembered so a later comment lands in the same row
+      await Question.updateOne(
+        { _id: questionRecord._id },
+        { $set: { "feedback.sheetRange": result.updates.updatedRange } }
+      );
+    } catch (error) {
+      logger.error(`Error saving feedback: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new FeedbackService();
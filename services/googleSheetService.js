@@ -8,6 +8,8 @@ class GoogleSheetsService {
   constructor() {
     this.spreadsheetId = process.env.GOOGLE_SHEETS_SPREADSHEET_ID;
     this.sheetName = process.env.GOOGLE_SHEETS_SHEET_NAME || "Sheet1";
+    this.feedbackSheetName =
+      process.env.GOOGLE_SHEETS_FEEDBACK_SHEET_NAME || "Feedback";
     this.auth = null;
     this.sheets = null;
     this.initialized = false;
@@ -80,6 +82,91 @@ class GoogleSheetsService {
     }
   }
 
+  /**
+   * Save a student's rating of a delivered answer to the feedback sheet
+   * @param {Object} record - Rating to save
+   * @param {string} record.questionId - Question ID
+   * @param {string} record.accountName - Student name
+   * @param {string} record.question - Student question
+   * @param {string} record.answer - Answer the student received
+   * @param {string} record.rating - "helpful" or "not_helpful"
+   * @param {string} [record.comment] - What the student said was wrong
+   * @returns {Promise<Object>} - Google Sheets API response
+   */
+  async saveFeedback(record) {
+    try {
+      if (!this.initialized) {
+        await this.initialize();
+      }
+
+      const values = [
+        [
+          new Date().toISOString(), // Timestamp
+          record.questionId,
+          record.accountName,
+          record.question,
+          record.answer,
+          record.rating,
+          record.comment || "",
+        ],
+      ];
+
+      const response = await this.sheets.spreadsheets.values.append({
+        spreadsheetId: this.spreadsheetId,
+        range: `${this.feedbackSheetName}!A:G`,
+        valueInputOption: "RAW",
+        insertDataOption: "INSERT_ROWS",
+        resource: { values },
+      });
+
+      logger.info(
+        `Feedback saved to Google Sheets: ${response.data.updates.updatedRange}`
+      );
+      return response.data;
+    } catch (error) {
+      logger.error(`Error saving feedback to Google Sheets: ${error.message}`);
+      throw new Error(
+        `Failed to save feedback to Google Sheets: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Add the student's comment to a feedback row saved earlier
+   * @param {string} range - Range returned by saveFeedback, e.g. "Feedback!A12:G12"
+   * @param {string} comment - What the student said was wrong
+   * @returns {Promise<Object>} - Google Sheets API response
+   */
+  async updateFeedbackComment(range, comment) {
+    try {
+      if (!this.initialized) {
+        await this.initialize();
+      }
+
+      const row = range.match(/(\d+)$/);
+      if (!row) {
+        throw new Error(`Unexpected range: ${range}`);
+      }
+
+      const response = await this.sheets.spreadsheets.values.update({
+        spreadsheetId: this.spreadsheetId,
+        range: `${this.feedbackSheetName}!G${row[1]}`,
+        valueInputOption: "RAW",
+        resource: { values: [[comment]] },
+      });
+
+      logger.info(`Feedback comment saved to Google Sheets: ${range}`);
+      return response.data;
+    } catch (error) {
+      logger.error(
+        `Error saving feedback comment to Google Sheets: ${error.message}`
+      );
+      throw new Error(
+        `Failed to save feedback comment to Google Sheets: ${error.message}`
+      );
+    }
+  }
+
   /**
    * Get all records from Google Sheets
    * @returns {Promise<Array>} - Array of records
@@ -0,0 +1,210 @@
+const Job = require("../models/job");
+const logger = require("../utils/logger");
+
+// MongoDB error code for a unique index violation
+const DUPLICATE_KEY = 11000;
+
+/**
+ * Mongo-backed job queue with a bounded pool of workers.
+ *
+ * Jobs are claimed atomically, so several app instances can share the queue.
+ * Jobs left "running" by a crashed process are picked up again once their
+ * lock expires, which is how in-flight work resumes after a restart.
+ */
+class JobService {
+  constructor() {
+    this.concurrency = parseInt(process.env.JOB_CONCURRENCY || "2", 10);
+    this.maxAttempts = parseInt(process.env.JOB_MAX_ATTEMPTS || "5", 10);
+    this.baseDelay = parseInt(process.env.JOB_RETRY_BASE_MS || "5000", 10);
+    this.pollInterval = parseInt(
+      process.env.JOB_POLL_INTERVAL_MS || "5000",
+      10
+    );
+    this.lockTimeout = parseInt(
+      process.env.JOB_LOCK_TIMEOUT_MS || "300000",
+      10
+    );
+    this.handlers = {};
+    this.active = 0;
+    this.filling = false;
+    this.timer = null;
+  }
+
+  /**
+   * Register the handler for a job type
+   * @param {string} type - Job type
+   * @param {Object} handler - Handler definition
+   * @param {Function} handler.run - async (job) => void, throws to retry
+   * @param {Function} [handler.onFailed] - async (job, error) => void, called
+   *   once the job has run out of attempts
+   */
+  register(type, handler) {
+    this.handlers[type] = handler;
+  }
+
+  /**
+   * Persist a new job and wake the workers
+   * @param {string} type - Job type
+   * @param {string|null} questionId - Question the job works on
+   * @param {Object} [payload] - Extra data for the handler
+   * @param {Object} [options]
+   * @param {Date} [options.runAt] - Run no earlier than this time
+   * @param {string} [options.uniqueKey] - Queue the job only if no job with
+   *   this key exists, even when several instances enqueue it at once
+   * @returns {Promise<Object>} - Job record, the existing one for a
+   *   duplicate uniqueKey
+   */
+  async enqueue(type, questionId, payload = {}, options = {}) {
+    let job;
+    try {
+      job = await Job.create({
+        type,
+        questionId,
+        payload,
+        nextRunAt: options.runAt || new Date(),
+        uniqueKey: options.uniqueKey || null,
+      });
+    } catch (error) {
+      if (error.code !== DUPLICATE_KEY || !options.uniqueKey) {
+        throw error;
+      }
+
+      logger.info(`Job ${options.uniqueKey} is already queued`);
+      return Job.findOne({ uniqueKey: options.uniqueKey });
+    }
+    logger.info(`Queued ${type} job ${job._id} for question ${questionId}`);
+
+    if (this.timer) {
+      this.processDue();
+    }
+
+    return job;
+  }
+
+  /**
+   * Start the workers and resume any unfinished jobs
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => this.processDue(), this.pollInterval);
+    this.timer.unref();
+    logger.info(`Job workers started (concurrency: ${this.concurrency})`);
+
+    this.processDue();
+  }
+
+  /**
+   * Stop polling for new jobs
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Claim due jobs until every worker slot is busy
+   */
+  async processDue() {
+    if (this.filling) {
+      return;
+    }
+
+    this.filling = true;
+
+    try {
+      while (this.active < this.concurrency) {
+        const job = await this._claimNext();
+        if (!job) {
+          break;
+        }
+
+        this.active++;
+        this._run(job).finally(() => {
+          this.active--;
+          this.processDue();
+        });
+      }
+    } catch (error) {
+      logger.error(`Error claiming jobs: ${error.message}`);
+    } finally {
+      this.filling = false;
+    }
+  }
+
+  /**
+   * Atomically lock the next due job
+   * @private
+   */
+  _claimNext() {
+    const now = new Date();
+
+    return Job.findOneAndUpdate(
+      {
+        type: { $in: Object.keys(this.handlers) },
+        $or: [
+          { status: "pending", nextRunAt: { $lte: now } },
+          // Resume jobs whose worker died mid-run
+          { status: "running", lockedUntil: { $lte: now } },
+        ],
+      },
+      {
+        $set: {
+          status: "running",
+          lockedUntil: new Date(now.getTime() + this.lockTimeout),
+        },
+        $inc: { attempts: 1 },
+      },
+      { new: true, sort: { nextRunAt: 1 } }
+    );
+  }
+
+  /**
+   * Run one job and record the outcome
+   * @private
+   */
+  async _run(job) {
+    const handler = this.handlers[job.type];
+
+    try {
+      await handler.run(job);
+
+      job.status = "done";
+      job.lockedUntil = null;
+      job.lastError = null;
+      await job.save();
+
+      logger.info(`Completed ${job.type} job ${job._id}`);
+    } catch (error) {
+      logger.error(
+        `${job.type} job ${job._id} failed (attempt ${job.attempts}/${this.maxAttempts}): ${error.message}`
+      );
+
+      job.lastError = error.message;
+      job.lockedUntil = null;
+
+      if (job.attempts >= this.maxAttempts) {
+        job.status = "failed";
+      } else {
+        job.status = "pending";
+        job.nextRunAt = new Date(
+          Date.now() + this.baseDelay * Math.pow(2, job.attempts - 1)
+        );
+      }
+
+      try {
+        await job.save();
+
+        if (job.status === "failed" && handler.onFailed) {
+          await handler.onFailed(job, error);
+        }
+      } catch (saveError) {
+        logger.error(`Error recording job failure: ${saveError.message}`);
+      }
+    }
+  }
+}
+
+module.exports = new JobService();
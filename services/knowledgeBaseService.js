@@ -0,0 +1,226 @@
+const Question = require("../models/question");
+const logger = require("../utils/logger");
+const { QUESTION_STATUS } = require("../config/constants");
+
+// Statuses whose answer a teacher signed off on
+const APPROVED_STATUSES = [
+  QUESTION_STATUS.APPROVED,
+  QUESTION_STATUS.EDITED,
+  QUESTION_STATUS.DELIVERED,
+];
+
+// Words that carry no meaning for matching questions
+const STOP_WORDS = new Set(
+  (
+    "a an and are as at be by can do does for from how i in is it me my of on " +
+    "or please so that the this to what when where which who why with you"
+  ).split(" ")
+);
+
+// Words, numbers and single symbols; operators like + - ^ = change what a
+// math question asks, so they are kept. Sentence punctuation is not.
+const TOKEN_PATTERN = /[\p{L}\p{N}]+|[^\s\p{L}\p{N}.,;:!?'"]/gu;
+const WORD_PATTERN = /[\p{L}\p{N}]/u;
+
+/**
+ * Knowledge base of teacher-approved answers.
+ *
+ * Candidates come from the Question text index; they are then ranked locally
+ * by cosine similarity of their word and symbol counts, so no external
+ * service is involved. The answer a student received (editedAnswer when
+ * present) is the one offered for reuse.
+ */
+class KnowledgeBaseService {
+  constructor() {
+    this.maxMatches = parseInt(process.env.KB_MAX_MATCHES || "3", 10);
+    this.minSimilarity = parseFloat(process.env.KB_MIN_SIMILARITY || "0.6");
+    this.candidateLimit = parseInt(process.env.KB_CANDIDATES || "50", 10);
+  }
+
+  /**
+   * Find past approved answers to questions like this one
+   * @param {Object} questionRecord - The question being reviewed
+   * @param {Object} [options]
+   * @param {number} [options.minSimilarity] - Defaults to KB_MIN_SIMILARITY
+   * @param {number} [options.limit] - Defaults to KB_MAX_MATCHES
+   * @param {boolean} [options.teacherApprovedOnly] - Skip answers that were
+   *   auto-approved rather than signed off by a teacher
+   * @returns {Promise<Array<{question: Object, score: number}>>} - Best
+   *   matches first
+   */
+  async findSimilar(questionRecord, options = {}) {
+    const minSimilarity =
+      options.minSimilarity !== undefined
+        ? options.minSimilarity
+        : this.minSimilarity;
+    const limit = options.limit !== undefined ? options.limit : this.maxMatches;
+    const text = questionRecord.question;
+
+    // Images we couldn't read only have placeholder text
+    if (limit <= 0 || !text || questionRecord.ocrConfidence === 0) {
+      return [];
+    }
+
+    const queryVector = vectorize(text);
+    // The text index only knows words; a leading "-" would even negate one
+    const searchWords = [...queryVector.keys()].filter((token) =>
+      WORD_PATTERN.test(token)
+    );
+    if (searchWords.length === 0) {
+      return [];
+    }
+
+    const filter = {
+      $text: { $search: searchWords.join(" ") },
+      _id: { $ne: questionRecord._id },
+      status: { $in: APPROVED_STATUSES },
+      ocrConfidence: { $ne: 0 },
+    };
+    if (options.teacherApprovedOnly) {
+      filter.autoApprovedRule = null;
+    }
+
+    const candidates = await Question.find(filter, {
+      score: { $meta: "textScore" },
+    })
+      .select("question answer editedAnswer subject approvedBy approvedAt")
+      .sort({ score: { $meta: "textScore" } })
+      .limit(this.candidateLimit)
+      .lean();
+
+    const matches = candidates
+      .map((candidate) => ({
+        question: candidate,
+        score: cosineSimilarity(queryVector, vectorize(candidate.question)),
+      }))
+      .filter((match) => match.score >= minSimilarity)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+
+    logger.info(
+      `Knowledge base: ${matches.length} matches for question ${questionRecord._id}`
+    );
+    return matches;
+  }
+
+  /**
+   * The answer teachers approved most often for this exact question. Past
+   * questions must have the same words and symbols in the same order, so
+   * "2^3" never reuses the answer to "3^2". Auto-approved answers don't
+   * count, or one approval would keep confirming itself.
+   * @param {Object} questionRecord - The question being answered
+   * @returns {Promise<Object|null>} - { answer, sourceId, approvals, score }
+   *   for the most approved answer, null if the question wasn't asked before
+   */
+  async findRepeatedAnswer(questionRecord) {
+    const similar = await this.findSimilar(questionRecord, {
+      minSimilarity: 0,
+      limit: this.candidateLimit,
+      teacherApprovedOnly: true,
+    });
+    const normalized = normalize(questionRecord.question);
+    const matches = similar.filter(
+      (match) => normalize(match.question.question) === normalized
+    );
+
+    // Matches are best first, so each group's first match is its best
+    const groups = new Map();
+    for (const match of matches) {
+      const answer = approvedText(match.question);
+      const group = groups.get(answer) || {
+        answer,
+        sourceId: match.question._id,
+        approvals: 0,
+        score: match.score,
+      };
+      group.approvals++;
+      groups.set(answer, group);
+    }
+
+    return [...groups.values()].reduce(
+      (best, group) =>
+        !best || group.approvals > best.approvals ? group : best,
+      null
+    );
+  }
+
+  /**
+   * The approved answer of a knowledge base entry
+   * @param {string} questionId - ID of the past question
+   * @returns {Promise<string|null>} - Answer text, null if it isn't approved
+   */
+  async getAnswer(questionId) {
+    const source = await Question.findOne({
+      _id: questionId,
+      status: { $in: APPROVED_STATUSES },
+    })
+      .select("answer editedAnswer")
+      .lean();
+
+    return source ? approvedText(source) : null;
+  }
+}
+
+/**
+ * The answer the student received
+ * @param {Object} questionRecord - Question database record
+ * @returns {string}
+ */
+function approvedText(questionRecord) {
+  return questionRecord.editedAnswer || questionRecord.answer;
+}
+
+/**
+ * Split a text into lowercase words and symbols
+ * @param {string} text - Text to split
+ * @returns {Array<string>}
+ */
+function tokenize(text) {
+  return (text || "").toLowerCase().match(TOKEN_PATTERN) || [];
+}
+
+/**
+ * A text with case, spacing and punctuation evened out, for exact matching
+ * @param {string} text - Text to normalize
+ * @returns {string}
+ */
+function normalize(text) {
+  return tokenize(text).join(" ");
+}
+
+/**
+ * Count the meaningful words and symbols of a text
+ * @param {string} text - Text to vectorize
+ * @returns {Map<string, number>} - Token counts
+ */
+function vectorize(text) {
+  const counts = new Map();
+
+  for (const token of tokenize(text)) {
+    if (!STOP_WORDS.has(token)) {
+      counts.set(token, (counts.get(token) || 0) + 1);
+    }
+  }
+  return counts;
+}
+
+/**
+ * Cosine similarity of two word count vectors
+ * @param {Map<string, number>} a
+ * @param {Map<string, number>} b
+ * @returns {number} - 0 (nothing in common) to 1 (same tokens)
+ */
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  for (const [word, count] of a) {
+    dot += count * (b.get(word) || 0);
+  }
+
+  const norm = (vector) =>
+    Math.sqrt([...vector.values()].reduce((sum, n) => sum + n * n, 0));
+  const denominator = norm(a) * norm(b);
+
+  return denominator ? dot / denominator : 0;
+}
+
+module.exports = new KnowledgeBaseService();
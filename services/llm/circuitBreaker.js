@@ -0,0 +1,83 @@
+/**
+ * Minimal circuit breaker used to skip providers that keep failing.
+ *
+ * After `failureThreshold` consecutive failures the circuit opens and
+ * `canRequest()` returns false until `cooldownMs` has passed. The circuit is
+ * then half-open: the first caller gets a single trial request and everyone
+ * else is still turned away until it is recorded. Success closes the circuit,
+ * failure reopens it. A trial that is never recorded expires after another
+ * `cooldownMs`, so a lost request can't hold the circuit half-open forever.
+ */
+class CircuitBreaker {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.failureThreshold] - Failures before opening
+   * @param {number} [options.cooldownMs] - Time to stay open
+   */
+  constructor(options = {}) {
+    this.failureThreshold = options.failureThreshold || 3;
+    this.cooldownMs = options.cooldownMs || 60000;
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialStartedAt = null;
+  }
+
+  /**
+   * Whether a request may be attempted now. While half-open this hands out
+   * the trial request, so callers must record the outcome of every request
+   * they were allowed to make.
+   * @returns {boolean}
+   */
+  canRequest() {
+    if (this.openedAt === null) {
+      return true;
+    }
+
+    const now = Date.now();
+    if (now - this.openedAt < this.cooldownMs) {
+      return false;
+    }
+
+    if (
+      this.trialStartedAt !== null &&
+      now - this.trialStartedAt < this.cooldownMs
+    ) {
+      return false;
+    }
+
+    this.trialStartedAt = now;
+    return true;
+  }
+
+  /**
+   * Whether the circuit is currently open
+   * @returns {boolean}
+   */
+  isOpen() {
+    return this.openedAt !== null;
+  }
+
+  /**
+   * Record a successful request
+   */
+  recordSuccess() {
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialStartedAt = null;
+  }
+
+  /**
+   * Record a failed request
+   */
+  recordFailure() {
+    this.failures++;
+    this.trialStartedAt = null;
+
+    // A failed trial request reopens the circuit for another cooldown
+    if (this.openedAt !== null || this.failures >= this.failureThreshold) {
+      this.openedAt = Date.now();
+    }
+  }
+}
+
+module.exports = CircuitBreaker;
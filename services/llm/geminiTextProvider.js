@@ -0,0 +1,89 @@
+const { GoogleGenerativeAI } = require("@google/generative-ai");
+
+/**
+ * LLM provider for Google Gemini text models
+ */
+class GeminiTextProvider {
+  /**
+   * @param {string} name - Provider name used in logs and on Question records
+   * @param {Object} config - Provider configuration
+   * @param {string} config.apiKey - Gemini API key
+   * @param {string} config.model - Model name
+   */
+  constructor(name, config) {
+    this.name = name;
+    this.model = config.model;
+    this.client = new GoogleGenerativeAI(config.apiKey);
+  }
+
+  /**
+   * Generate a completion for a list of chat messages
+   * @param {Array<{role: string, content: string}>} messages - Chat messages
+   * @param {Object} [options] - Generation options
+   * @param {number} [options.maxTokens] - Maximum tokens to generate
+   * @param {number} [options.temperature] - Sampling temperature
+   * @returns {Promise<string>} - Generated text
+   */
+  async complete(messages, options = {}) {
+    const model = this.client.getGenerativeModel({
+      model: this.model,
+      generationConfig: {
+        maxOutputTokens: options.maxTokens || 1000,
+        temperature:
+          options.temperature !== undefined ? options.temperature : 0.7,
+      },
+    });
+
+    const result = await model.generateContent({
+      contents: this._toContents(messages),
+    });
+
+    const text = result.response.text();
+    if (!text) {
+      throw new Error(`Empty response from ${this.name}`);
+    }
+
+    return text;
+  }
+
+  /**
+   * Convert chat messages to Gemini contents. Gemini has no system role and
+   * expects alternating user/model turns, so the system prompt is folded into
+   * the first user turn and consecutive turns of the same role are merged.
+   * @private
+   */
+  _toContents(messages) {
+    const system = messages
+      .filter((message) => message.role === "system")
+      .map((message) => message.content)
+      .join("\n\n");
+
+    const contents = [];
+    for (const message of messages) {
+      if (message.role === "system") {
+        continue;
+      }
+
+      const role = message.role === "assistant" ? "model" : "user";
+      const last = contents[contents.length - 1];
+
+      if (last && last.role === role) {
+        last.parts[0].text += `\n\n${message.content}`;
+      } else {
+        contents.push({ role, parts: [{ text: message.content }] });
+      }
+    }
+
+    if (contents.length === 0 || contents[0].role !== "user") {
+      contents.unshift({ role: "user", parts: [{ text: "" }] });
+    }
+
+    if (system) {
+      contents[0].parts[0].text = `${system}\n\n${contents[0].parts[0].text}`;
+    }
+
+    return contents;
+  }
+}
+
+module.exports = GeminiTextProvider;
@@ -0,0 +1,55 @@
+const axios = require("axios");
+
+/**
+ * LLM provider for a local Ollama-style server (/api/chat)
+ */
+class OllamaProvider {
+  /**
+   * @param {string} name - Provider name used in logs and on Question records
+   * @param {Object} config - Provider configuration
+   * @param {string} config.baseUrl - Server URL, e.g. http://localhost:11434
+   * @param {string} config.model - Model name
+   */
+  constructor(name, config) {
+    this.name = name;
+    this.model = config.model;
+    this.apiUrl = `${config.baseUrl.replace(/\/$/, "")}/api/chat`;
+  }
+
+  /**
+   * Generate a completion for a list of chat messages
+   * @param {Array<{role: string, content: string}>} messages - Chat messages
+   * @param {Object} [options] - Generation options
+   * @param {number} [options.maxTokens] - Maximum tokens to generate
+   * @param {number} [options.temperature] - Sampling temperature
+   * @returns {Promise<string>} - Generated text
+   */
+  async complete(messages, options = {}) {
+    const response = await axios.post(
+      this.apiUrl,
+      {
+        model: this.model,
+        messages: messages,
+        stream: false,
+        options: {
+          num_predict: options.maxTokens || 1000,
+          temperature:
+            options.temperature !== undefined ? options.temperature : 0.7,
+        },
+      },
+      {
+        headers: { "Content-Type": "application/json" },
+        // Local models can be slow on first load
+        timeout: options.timeout || 120000,
+      }
+    );
+
+    if (response.data && response.data.message) {
+      return response.data.message.content;
+    }
+
+    throw new Error(`Invalid response format from ${this.name}`);
+  }
+}
+
+module.exports = OllamaProvider;
@@ -0,0 +1,75 @@
+const axios = require("axios");
+const logger = require("../../utils/logger");
+
+/**
+ * LLM provider for any OpenAI-compatible chat completions endpoint
+ * (DeepSeek, OpenAI, vLLM, LM Studio, ...)
+ */
+class OpenAiCompatibleProvider {
+  /**
+   * @param {string} name - Provider name used in logs and on Question records
+   * @param {Object} config - Provider configuration
+   * @param {string} config.baseUrl - API base URL, without /chat/completions
+   * @param {string} [config.apiKey] - Bearer token
+   * @param {string} config.model - Model name
+   */
+  constructor(name, config) {
+    this.name = name;
+    this.model = config.model;
+    this.apiKey = config.apiKey;
+    this.apiUrl = `${config.baseUrl.replace(/\/$/, "")}/chat/completions`;
+  }
+
+  /**
+   * Generate a completion for a list of chat messages
+   * @param {Array<{role: string, content: string}>} messages - Chat messages
+   * @param {Object} [options] - Generation options
+   * @param {number} [options.maxTokens] - Maximum tokens to generate
+   * @param {number} [options.temperature] - Sampling temperature
+   * @returns {Promise<string>} - Generated text
+   */
+  async complete(messages, options = {}) {
+    const headers = { "Content-Type": "application/json" };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+
+    try {
+      const response = await axios.post(
+        this.apiUrl,
+        {
+          model: this.model,
+          messages: messages,
+          max_tokens: options.maxTokens || 1000,
+          temperature:
+            options.temperature !== undefined ? options.temperature : 0.7,
+        },
+        {
+          headers: headers,
+          timeout: options.timeout || 30000,
+        }
+      );
+
+      if (
+        response.data &&
+        response.data.choices &&
+        response.data.choices.length > 0
+      ) {
+        return response.data.choices[0].message.content;
+      }
+
+      throw new Error(`Invalid response format from ${this.name} API`);
+    } catch (error) {
+      if (error.response) {
+        logger.error(
+          `${this.name} API status ${error.response.status}: ${JSON.stringify(
+            error.response.data
+          )}`
+        );
+      }
+      throw error;
+    }
+  }
+}
+
+module.exports = OpenAiCompatibleProvider;
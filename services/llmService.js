@@ -0,0 +1,221 @@
+const logger = require("../utils/logger");
+const providerConfigs = require("../config/llmProviders");
+const CircuitBreaker = require("./llm/circuitBreaker");
+const OpenAiCompatibleProvider = require("./llm/openAiCompatibleProvider");
+const GeminiTextProvider = require("./llm/geminiTextProvider");
+const OllamaProvider = require("./llm/ollamaProvider");
+
+// Client implementations by provider `type`
+const PROVIDER_TYPES = {
+  openai: OpenAiCompatibleProvider,
+  gemini: GeminiTextProvider,
+  ollama: OllamaProvider,
+};
+
+/**
+ * LLM Service for generating answers to student questions.
+ * Tries an ordered chain of providers with retries, skipping providers whose
+ * circuit breaker is open, and falls back to a canned response.
+ */
+class LlmService {
+  constructor() {
+    // Default prompt, used when no prompt template matches the question
+    this.systemPrompt = `You are an expert tutor. Explain concepts simply with proper math notation.`;
+
+    // Configuration for retries
+    this.maxRetries = parseInt(process.env.LLM_MAX_RETRIES || "2", 10);
+    this.retryDelay = 1000; // ms
+
+    const chain = (process.env.LLM_PROVIDER_CHAIN || "deepseek")
+      .split(",")
+      .map((name) => name.trim())
+      .filter(Boolean);
+
+    this.providers = chain.map((name) => {
+      const config = providerConfigs[name];
+      if (!config || !PROVIDER_TYPES[config.type]) {
+        throw new Error(`Unknown LLM provider in LLM_PROVIDER_CHAIN: ${name}`);
+      }
+
+      if (config.type !== "ollama" && !config.apiKey) {
+        logger.warn(`LLM provider ${name} has no API key configured`);
+      }
+
+      const Provider = PROVIDER_TYPES[config.type];
+      return {
+        client: new Provider(name, config),
+        breaker: new CircuitBreaker({
+          failureThreshold: parseInt(
+            process.env.LLM_BREAKER_THRESHOLD || "3",
+            10
+          ),
+          cooldownMs: parseInt(
+            process.env.LLM_BREAKER_COOLDOWN_MS || "60000",
+            10
+          ),
+        }),
+      };
+    });
+
+    logger.info(
+      `LlmService initialized with provider chain: ${chain.join(" -> ")}`
+    );
+  }
+
+  /**
+   * Generate an answer for a student question
+   * @param {string} question - The student's question
+   * @param {Object} [options]
+   * @param {string} [options.systemPrompt] - Overrides the default system prompt
+   * @param {Array<{role: string, content: string}>} [options.history] -
+   *   Earlier turns of the student's conversation, oldest first
+   * @param {Object} [options.revision] - Redo an earlier draft
+   * @param {string} options.revision.previousAnswer - The draft to improve
+   * @param {string} options.revision.instructions - Teacher's guidance
+   * @returns {Promise<{answer: string, provider: string, model: string|null}>}
+   *   - AI generated answer and the provider/model that produced it
+   */
+  async generateAnswer(question, options = {}) {
+    const messages = [
+      { role: "system", content: options.systemPrompt || this.systemPrompt },
+      ...(options.history || []),
+      { role: "user", content: question },
+    ];
+
+    if (options.revision) {
+      messages.push(
+        { role: "assistant", content: options.revision.previousAnswer },
+        {
+          role: "user",
+          content: `A teacher reviewed your answer and asked for changes: ${options.revision.instructions}\n\nWrite the complete answer again for the student, following the teacher's guidance. Don't mention the teacher or the previous answer.`,
+        }
+      );
+    }
+
+    try {
+      return await this.complete(messages);
+    } catch (error) {
+      logger.error(`All LLM providers failed: ${error.message}`);
+      return {
+        answer: this._getFallbackResponse(question),
+        provider: "fallback",
+        model: null,
+      };
+    }
+  }
+
+  /**
+   * Run chat messages through the provider chain
+   * @param {Array<{role: string, content: string}>} messages - Chat messages
+   * @param {Object} [options] - Generation options passed to the provider
+   * @returns {Promise<{answer: string, provider: string, model: string}>}
+   */
+  async complete(messages, options = {}) {
+    let lastError = null;
+
+    for (const { client, breaker } of this.providers) {
+      if (!breaker.canRequest()) {
+        logger.warn(`Skipping LLM provider ${client.name}: circuit open`);
+        continue;
+      }
+
+      try {
+        const answer = await this._completeWithRetries(
+          client,
+          messages,
+          options
+        );
+        breaker.recordSuccess();
+
+        logger.info(
+          `Received answer from ${client.name}/${client.model} (${answer.length} chars)`
+        );
+        return { answer, provider: client.name, model: client.model };
+      } catch (error) {
+        breaker.recordFailure();
+        lastError = error;
+        logger.error(`LLM provider ${client.name} failed: ${error.message}`);
+
+        if (breaker.isOpen()) {
+          logger.warn(`Circuit opened for LLM provider ${client.name}`);
+        }
+      }
+    }
+
+    throw lastError || new Error("No LLM provider available");
+  }
+
+  /**
+   * Call a single provider, retrying with a linear backoff
+   * @private
+   */
+  async _completeWithRetries(client, messages, options) {
+    let retries = 0;
+    let lastError = null;
+
+    while (retries <= this.maxRetries) {
+      try {
+        if (retries > 0) {
+          logger.info(`Retry attempt ${retries} with ${client.name}`);
+          // Wait before retrying
+          await new Promise((resolve) =>
+            setTimeout(resolve, this.retryDelay * retries)
+          );
+        }
+
+        const answer = await client.complete(messages, options);
+        if (!answer || !answer.trim()) {
+          throw new Error(`Empty answer from ${client.name}`);
+        }
+
+        return answer;
+      } catch (error) {
+        lastError = error;
+        logger.error(
+          `${client.name} API error (attempt ${retries + 1}): ${error.message}`
+        );
+        retries++;
+      }
+    }
+
+    throw lastError;
+  }
+
+  /**
+   * Get a fallback response when all providers fail
+   * @private
+   */
+  _getFallbackResponse(question) {
+    logger.info(
+      `Generating fallback response for: ${question.substring(0, 30)}...`
+    );
+
+    const q = question.toLowerCase();
+
+    if (
+      q.includes("math") ||
+      q.includes("formula") ||
+      q.includes("equation") ||
+      q.includes("calculate")
+    ) {
+      return "The formula you're asking about appears to involve mathematical concepts. A teacher will review your question and provide a detailed answer shortly.";
+    } else if (
+      q.includes("physics") ||
+      q.includes("force") ||
+      q.includes("energy") ||
+      q.includes("motion")
+    ) {
+      return "Your physics question requires careful explanation. A teacher will review your question and provide a detailed answer shortly.";
+    } else if (
+      q.includes("chemistry") ||
+      q.includes("reaction") ||
+      q.includes("molecule")
+    ) {
+      return "Your chemistry question involves specific concepts. A teacher will review your question and provide a detailed answer shortly.";
+    } else {
+      return "I'll help with your question. A teacher will review it and provide a detailed answer shortly.";
+    }
+  }
+}
+
+module.exports = new LlmService();
@@ -0,0 +1,154 @@
+const PromptTemplate = require("../models/promptTemplate");
+const logger = require("../utils/logger");
+
+// MongoDB error code for a unique index violation
+const DUPLICATE_KEY = 11000;
+
+// Saves that may race for the next version number before giving up
+const MAX_CREATE_ATTEMPTS = 5;
+
+/**
+ * Selects and renders the prompt templates stored in Mongo
+ */
+class PromptService {
+  /**
+   * Pick the most specific active template for a subject and cohort
+   * @param {Object} context
+   * @param {string|null} [context.subject] - Question subject
+   * @param {string|null} [context.cohort] - Student cohort
+   * @param {Object} [context.variables] - Values for {{variables}}
+   * @returns {Promise<{systemPrompt: string|null, template: Object|null}>}
+   *   - Rendered prompt and its template record, both null when no template
+   *     matches and the LLM service default prompt should be used
+   */
+  async resolve({ subject = null, cohort = null, variables = {} } = {}) {
+    let template = null;
+
+    try {
+      const candidates = await PromptTemplate.find({
+        active: true,
+        subject: { $in: [subject, null] },
+        cohort: { $in: [cohort, null] },
+      }).lean();
+
+      // Subject and cohort match > subject only > cohort only > default
+      const specificity = (candidate) =>
+        (candidate.subject ? 2 : 0) + (candidate.cohort ? 1 : 0);
+
+      template =
+        candidates.sort(
+          (a, b) => specificity(b) - specificity(a) || b.version - a.version
+        )[0] || null;
+    } catch (error) {
+      logger.error(`Error loading prompt templates: ${error.message}`);
+    }
+
+    return {
+      systemPrompt: template ? render(template.systemPrompt, variables) : null,
+      template,
+    };
+  }
+
+  /**
+   * Save a new version of a template and make it the active one
+   * @param {Object} data - Template fields
+   * @param {string} data.name - Template name
+   * @param {string} data.systemPrompt - Prompt text
+   * @param {string|null} [data.subject] - Subject, null for any
+   * @param {string|null} [data.cohort] - Cohort, null for any
+   * @param {string} [data.createdBy] - Author
+   * @returns {Promise<Object>} - New template record
+   */
+  async createVersion({ name, systemPrompt, subject, cohort, createdBy }) {
+    let template = null;
+
+    // Concurrent saves read the same latest version and collide on the
+    // unique (name, version) index; the loser re-reads and takes the next one
+    for (let attempt = 1; !template; attempt++) {
+      const latest = await PromptTemplate.findOne({ name })
+        .sort({ version: -1 })
+        .lean();
+
+      try {
+        template = await PromptTemplate.create({
+          name,
+          version: latest ? latest.version + 1 : 1,
+          subject: subject || null,
+          cohort: cohort || null,
+          systemPrompt,
+          createdBy: createdBy || null,
+        });
+      } catch (error) {
+        if (error.code !== DUPLICATE_KEY) {
+          throw error;
+        }
+        if (attempt >= MAX_CREATE_ATTEMPTS) {
+          const conflict = new Error(
+            `Prompt template ${name} is being changed concurrently, try again`
+          );
+          conflict.statusCode = 409;
+          throw conflict;
+        }
+      }
+    }
+
+    // Only older versions are switched off, so when two saves race the
+    // newest one stays active whichever deactivation runs last
+    await PromptTemplate.updateMany(
+      { name, version: { $lt: template.version } },
+      { $set: { active: false } }
+    );
+    logger.info(`Created prompt template ${name} v${template.version}`);
+
+    return template;
+  }
+
+  /**
+   * Make an existing version the active one, e.g. to roll back
+   * @param {string} id - Template ID
+   * @returns {Promise<Object|null>} - Activated template, null if not found
+   */
+  async activate(id) {
+    const template = await PromptTemplate.findByIdAndUpdate(
+      id,
+      { $set: { active: true } },
+      { new: true }
+    );
+
+    if (template) {
+      await this._deactivateOthers(template);
+      logger.info(
+        `Activated prompt template ${template.name} v${template.version}`
+      );
+    }
+
+    return template;
+  }
+
+  /**
+   * Deactivate every other version with the same name
+   * @private
+   */
+  _deactivateOthers(template) {
+    return PromptTemplate.updateMany(
+      { name: template.name, _id: { $ne: template._id } },
+      { $set: { active: false } }
+    );
+  }
+}
+
+/**
+ * Replace {{variables}} in a template; unknown variables become empty
+ * @param {string} text - Template text
+ * @param {Object} variables - Variable values
+ * @returns {string}
+ */
+function render(text, variables) {
+  return text.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) =>
+    variables[name] !== undefined && variables[name] !== null
+      ? String(variables[name])
+      : ""
+  );
+}
+
+module.exports = new PromptService();
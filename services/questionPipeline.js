@@ -0,0 +1,653 @@
+const path = require("path");
+const fs = require("fs");
+const axios = require("axios");
+const Question = require("../models/question");
+const User = require("../models/user");
+const jobService = require("./jobService");
+const visionService = require("./visionService");
+const llmService = require("./llmService");
+const slackService = require("./slackService");
+const subjectService = require("./subjectService");
+const promptService = require("./promptService");
+const conversationService = require("./conversationService");
+const userService = require("./userService");
+const knowledgeBaseService = require("./knowledgeBaseService");
+const autoApprovalService = require("./autoApprovalService");
+const deliveryService = require("./deliveryService");
+const feedbackService = require("./feedbackService");
+const telegramService = require("./telegramService");
+const logger = require("../utils/logger");
+const { escapeSlack } = require("../utils/formatters");
+const { QUESTION_STATUS } = require("../config/constants");
+
+// Pipeline stages, in order. Photos start at EXTRACT_TEXT, text at CLASSIFY.
+const STAGES = {
+  EXTRACT_TEXT: "extract_text",
+  CLASSIFY: "classify",
+  GENERATE_ANSWER: "generate_answer",
+  REGENERATE_ANSWER: "regenerate_answer",
+  AUTO_APPROVE: "auto_approve",
+  POST_TO_SLACK: "post_to_slack",
+};
+
+// Statuses in which a question is waiting for a teacher
+const WAITING_STATUSES = [
+  QUESTION_STATUS.PENDING_REVIEW,
+  QUESTION_STATUS.AI_FAILED,
+];
+
+/**
+ * Question processing pipeline.
+ *
+ * Each stage runs as a persisted job, so a question that was saved survives
+ * restarts and outages of the external services. Stages are idempotent: a
+ * resumed job skips work that was already stored on the Question.
+ */
+class QuestionPipeline {
+  constructor() {
+    jobService.register(STAGES.EXTRACT_TEXT, {
+      run: (job) => this._extractText(job),
+      onFailed: (job, error) => this._extractTextFailed(job, error),
+    });
+    jobService.register(STAGES.CLASSIFY, {
+      run: (job) => this._classify(job),
+      onFailed: (job, error) => this._classifyFailed(job, error),
+    });
+    jobService.register(STAGES.GENERATE_ANSWER, {
+      run: (job) => this._generateAnswer(job),
+      onFailed: (job, error) => this._generateAnswerFailed(job, error),
+    });
+    jobService.register(STAGES.REGENERATE_ANSWER, {
+      run: (job) => this._regenerateAnswer(job),
+      onFailed: (job, error) => this._regenerateAnswerFailed(job, error),
+    });
+    jobService.register(STAGES.AUTO_APPROVE, {
+      run: (job) => this._autoApprove(job),
+      onFailed: (job, error) => this._autoApproveFailed(job, error),
+    });
+    jobService.register(STAGES.POST_TO_SLACK, {
+      run: (job) => this._postToSlack(job),
+    });
+  }
+
+  /**
+   * Queue the first stage for a newly saved question
+   * @param {Object} questionRecord - Question database record
+   * @returns {Promise<Object>} - First job record
+   */
+  start(questionRecord) {
+    const firstStage = questionRecord.isFromImage
+      ? STAGES.EXTRACT_TEXT
+      : STAGES.CLASSIFY;
+
+    return jobService.enqueue(firstStage, questionRecord._id);
+  }
+
+  /**
+   * Post a reopened question to Slack again as a new approval card. The SLA
+   * starts over, so the new card gets its own reminder and escalation.
+   * @param {Object} questionRecord - Question database record
+   * @returns {Promise<Object>} - Job record
+   */
+  async repost(questionRecord) {
+    await Question.updateOne(
+      { _id: questionRecord._id },
+      {
+        $set: {
+          slackMessageTs: null,
+          slackOverflowTs: [],
+          reviewRequestedAt: new Date(),
+          reminderSentAt: null,
+          escalatedAt: null,
+        },
+      }
+    );
+
+    return jobService.enqueue(STAGES.POST_TO_SLACK, questionRecord._id);
+  }
+
+  /**
+   * Ask the AI for a new draft following a teacher's guidance
+   * @param {Object} questionRecord - Question database record
+   * @param {Object} request
+   * @param {string} request.instructions - Teacher's guidance
+   * @param {string} request.requestedBy - Slack user ID of the teacher
+   * @returns {Promise<Object>} - Job record
+   */
+  regenerate(questionRecord, { instructions, requestedBy }) {
+    return jobService.enqueue(STAGES.REGENERATE_ANSWER, questionRecord._id, {
+      instructions,
+      requestedBy,
+    });
+  }
+
+  /**
+   * Load the question a job works on
+   * @private
+   */
+  async _loadQuestion(job) {
+    const questionRecord = await Question.findById(job.questionId);
+    if (!questionRecord) {
+      throw new Error(`Question record not found: ${job.questionId}`);
+    }
+    return questionRecord;
+  }
+
+  /**
+   * Load the student who asked a question. Older questions have no user
+   * reference and are matched on their Telegram ID instead.
+   * @private
+   */
+  _loadStudent(questionRecord) {
+    if (questionRecord.user) {
+      return User.findById(questionRecord.user).lean();
+    }
+    return User.findOne({ platformId: questionRecord.accountId }).lean();
+  }
+
+  /**
+   * Download the photo and turn it into question text
+   * @private
+   */
+  async _extractText(job) {
+    const questionRecord = await this._loadQuestion(job);
+
+    if (!questionRecord.question) {
+      const { fileUrl } = await telegramService.getFile(
+        questionRecord.telegramFileId
+      );
+      const filePath = await downloadPhoto(fileUrl, job);
+      logger.info(`Downloaded photo to ${filePath}`);
+
+      try {
+        const extraction = await visionService.extractTextFromImage(filePath);
+        questionRecord.question = extraction.text;
+        questionRecord.ocrConfidence = extraction.confidence;
+        questionRecord.imageUrl = fileUrl;
+        await questionRecord.save();
+
+        logger.info(
+          `Extracted text from image: "${extraction.text.substring(0, 50)}..."`
+        );
+      } finally {
+        removeFile(filePath);
+      }
+    }
+
+    await jobService.enqueue(STAGES.CLASSIFY, questionRecord._id);
+  }
+
+  /**
+   * Give up on text extraction and let a teacher look at the image
+   * @private
+   */
+  async _extractTextFailed(job, error) {
+    const questionRecord = await this._loadQuestion(job);
+
+    questionRecord.question =
+      "This appears to be an image with a question, but I couldn't extract the text.";
+    questionRecord.ocrConfidence = 0;
+    await questionRecord.save();
+
+    logger.error(`Image text extraction gave up: ${error.message}`);
+    await jobService.enqueue(STAGES.CLASSIFY, questionRecord._id);
+  }
+
+  /**
+   * Assign a subject and topic, used to route the approval card
+   * @private
+   */
+  async _classify(job) {
+    const questionRecord = await this._loadQuestion(job);
+
+    if (!questionRecord.classifiedBy) {
+      const classification = await subjectService.classify(
+        questionRecord.question
+      );
+      questionRecord.subject = classification.subject;
+      questionRecord.topic = classification.topic;
+      questionRecord.classifiedBy = classification.method;
+      await questionRecord.save();
+
+      logger.info(
+        `Classified question ${questionRecord._id} as ${classification.subject}/${classification.topic}`
+      );
+    }
+
+    await jobService.enqueue(STAGES.GENERATE_ANSWER, questionRecord._id);
+  }
+
+  /**
+   * Continue unclassified; the card goes to the default channel
+   * @private
+   */
+  async _classifyFailed(job, error) {
+    logger.error(`Classification gave up: ${error.message}`);
+    await jobService.enqueue(STAGES.GENERATE_ANSWER, job.questionId);
+  }
+
+  /**
+   * Generate the AI answer
+   * @private
+   */
+  async _generateAnswer(job) {
+    const questionRecord = await this._loadQuestion(job);
+
+    if (questionRecord.status === QUESTION_STATUS.RECEIVED) {
+      const { systemPrompt, history, template } = await this._answerContext(
+        questionRecord
+      );
+
+      const generated = await llmService.generateAnswer(
+        questionRecord.question,
+        { systemPrompt, history }
+      );
+
+      if (generated.provider !== "fallback") {
+        questionRecord.drafts.push({
+          answer: generated.answer,
+          provider: generated.provider,
+          model: generated.model,
+        });
+      }
+      questionRecord.answer = generated.answer;
+      questionRecord.aiProvider = generated.provider;
+      questionRecord.aiModel = generated.model;
+      questionRecord.promptTemplateId = template ? template._id : null;
+      questionRecord.promptTemplateVersion = template ? template.version : null;
+      questionRecord.transitionTo(
+        generated.provider === "fallback"
+          ? QUESTION_STATUS.AI_FAILED
+          : QUESTION_STATUS.PENDING_REVIEW
+      );
+      await questionRecord.save();
+
+      logger.info(`Generated answer with ${generated.provider}`);
+    }
+
+    await jobService.enqueue(STAGES.AUTO_APPROVE, questionRecord._id);
+  }
+
+  /**
+   * System prompt and conversation history for answering a question
+   * @private
+   */
+  async _answerContext(questionRecord) {
+    const student = await this._loadStudent(questionRecord);
+
+    const { systemPrompt, template } = await promptService.resolve({
+      subject: questionRecord.subject,
+      cohort: student ? student.cohort : null,
+      variables: {
+        studentName: questionRecord.accountName,
+        grade: student ? student.grade : null,
+        studentSubjects: userService.studentSubjectLabels(student).join(", "),
+        subject: subjectService.labelFor(questionRecord.subject),
+        topic: questionRecord.topic,
+      },
+    });
+
+    const history = await conversationService.buildHistory(questionRecord);
+
+    return {
+      systemPrompt: systemPrompt || this._defaultPrompt(student),
+      history,
+      template,
+    };
+  }
+
+  /**
+   * The LLM's default system prompt plus the grade and subjects the student
+   * gave during onboarding, null when their profile is empty
+   * @private
+   */
+  _defaultPrompt(student) {
+    const details = [];
+    if (student && student.grade) {
+      details.push(`in grade ${student.grade}`);
+    }
+    const studied = userService.studentSubjectLabels(student);
+    if (studied.length > 0) {
+      details.push(`studying ${studied.join(", ")}`);
+    }
+
+    return details.length > 0
+      ? `${llmService.systemPrompt} The student is ${details.join(
+          " and "
+        )}; pitch the explanation at their level.`
+      : null;
+  }
+
+  /**
+   * Send the question to teachers without an AI answer
+   * @private
+   */
+  async _generateAnswerFailed(job, error) {
+    const questionRecord = await this._loadQuestion(job);
+
+    if (questionRecord.status === QUESTION_STATUS.RECEIVED) {
+      questionRecord.answer =
+        "I encountered a technical issue. A teacher will help with your question shortly.";
+      questionRecord.transitionTo(QUESTION_STATUS.AI_FAILED, {
+        note: error.message,
+      });
+      await questionRecord.save();
+    }
+
+    await jobService.enqueue(STAGES.AUTO_APPROVE, questionRecord._id);
+  }
+
+  /**
+   * Generate a new draft and show it on the approval card in place
+   * @private
+   */
+  async _regenerateAnswer(job) {
+    const questionRecord = await this._loadQuestion(job);
+    const { instructions, requestedBy } = job.payload;
+
+    // A teacher may have decided while the request was queued
+    if (!WAITING_STATUSES.includes(questionRecord.status)) {
+      logger.info(
+        `Skipping regeneration of ${questionRecord._id}: already ${questionRecord.status}`
+      );
+      return;
+    }
+
+    const { systemPrompt, history } = await this._answerContext(questionRecord);
+    const generated = await llmService.generateAnswer(questionRecord.question, {
+      systemPrompt,
+      history,
+      revision: { previousAnswer: questionRecord.answer, instructions },
+    });
+
+    // Keep the current draft rather than replace it with the apology text
+    if (generated.provider === "fallback") {
+      throw new Error("All LLM providers failed");
+    }
+
+    // Only store the draft if no decision was made while the AI was working
+    const updated = await Question.findOneAndUpdate(
+      { _id: questionRecord._id, status: { $in: WAITING_STATUSES } },
+      {
+        $set: {
+          answer: generated.answer,
+          aiProvider: generated.provider,
+          aiModel: generated.model,
+          updatedAt: new Date(),
+        },
+        $push: {
+          drafts: {
+            answer: generated.answer,
+            provider: generated.provider,
+            model: generated.model,
+            instructions,
+            requestedBy,
+          },
+        },
+      },
+      { new: true }
+    );
+
+    if (!updated) {
+      logger.info(`Discarding regenerated draft for ${questionRecord._id}`);
+      return;
+    }
+
+    if (updated.status === QUESTION_STATUS.AI_FAILED) {
+      updated.transitionTo(QUESTION_STATUS.PENDING_REVIEW, {
+        by: requestedBy,
+        note: "answer regenerated",
+      });
+      await updated.save();
+    }
+
+    const student = await this._loadStudent(updated);
+    const matches = await this._findKnowledgeBaseMatches(updated);
+
+    const slackResult = await slackService.updateApprovalCard(
+      updated.slackMessageTs,
+      updated.question,
+      updated.answer,
+      updated._id,
+      updated.accountName,
+      updated.isFromImage,
+      {
+        ...this._cardDetails(updated, student, matches),
+        channelId: updated.slackChannelId,
+        overflowTs: updated.slackOverflowTs,
+        draftNote: `:arrows_counterclockwise: Draft ${
+          updated.drafts.length
+        }, regenerated for <@${requestedBy}>: _${escapeSlack(
+          instructions.substring(0, 300)
+        )}_`,
+      }
+    );
+    await Question.updateOne(
+      { _id: updated._id },
+      { $set: { slackOverflowTs: slackResult.overflowTs } }
+    );
+
+    logger.info(
+      `Regenerated draft ${updated.drafts.length} for question ${updated._id}`
+    );
+  }
+
+  /**
+   * Tell the teacher the new draft could not be made
+   * @private
+   */
+  async _regenerateAnswerFailed(job, error) {
+    logger.error(`Regeneration gave up: ${error.message}`);
+
+    const questionRecord = await this._loadQuestion(job);
+    await slackService.postThreadReply(
+      questionRecord.slackChannelId,
+      questionRecord.slackMessageTs,
+      `:warning: <@${job.payload.requestedBy}> the answer could not be regenerated (${error.message}). The current draft is unchanged.`
+    );
+  }
+
+  /**
+   * Answer the student straight away if an auto-approval rule applies
+   * @private
+   */
+  async _autoApprove(job) {
+    const questionRecord = await this._loadQuestion(job);
+
+    if (WAITING_STATUSES.includes(questionRecord.status)) {
+      const student = await this._loadStudent(questionRecord);
+      const decision = await autoApprovalService.evaluate(
+        questionRecord,
+        student
+      );
+
+      if (decision) {
+        // A reused answer replaces the AI's, like a teacher's edit would
+        const approved = await Question.transitionAtomically(
+          questionRecord._id,
+          decision.reusedFrom
+            ? QUESTION_STATUS.EDITED
+            : QUESTION_STATUS.APPROVED,
+          {
+            note: `auto-approved by rule ${decision.rule}`,
+            set: {
+              autoApprovedRule: decision.rule,
+              approvedAt: new Date(),
+              editedAnswer: decision.reusedFrom ? decision.answer : null,
+              reusedFrom: decision.reusedFrom,
+            },
+          }
+        );
+
+        if (approved) {
+          await deliveryService.enqueue(approved, decision.answer);
+        }
+      }
+    }
+
+    await jobService.enqueue(STAGES.POST_TO_SLACK, questionRecord._id);
+  }
+
+  /**
+   * Leave the question to the teachers
+   * @private
+   */
+  async _autoApproveFailed(job, error) {
+    logger.error(`Auto-approval gave up: ${error.message}`);
+    await jobService.enqueue(STAGES.POST_TO_SLACK, job.questionId);
+  }
+
+  /**
+   * Post the approval card to Slack
+   * @private
+   */
+  async _postToSlack(job) {
+    const questionRecord = await this._loadQuestion(job);
+
+    if (questionRecord.slackMessageTs) {
+      logger.info(`Question ${questionRecord._id} already posted to Slack`);
+      return;
+    }
+
+    const student = await this._loadStudent(questionRecord);
+
+    if (questionRecord.autoApprovedRule) {
+      await this._postAutoApproved(questionRecord, student);
+      return;
+    }
+
+    const matches = await this._findKnowledgeBaseMatches(questionRecord);
+
+    const slackResult = await slackService.sendQuestionForApproval(
+      questionRecord.question,
+      questionRecord.answer,
+      questionRecord._id,
+      questionRecord.accountName,
+      questionRecord.isFromImage,
+      this._cardDetails(questionRecord, student, matches)
+    );
+
+    questionRecord.knowledgeBaseMatches = matches.map((match) => ({
+      question: match.question._id,
+      score: match.score,
+    }));
+    questionRecord.slackChannelId = slackResult.channel;
+    questionRecord.slackMessageTs = slackResult.ts;
+    questionRecord.slackOverflowTs = slackResult.overflowTs;
+    await questionRecord.save();
+
+    logger.info(`Sent question ${questionRecord._id} to Slack for approval`);
+  }
+
+  /**
+   * Details shown on the approval card
+   * @private
+   */
+  _cardDetails(questionRecord, student, matches) {
+    return {
+      ocrConfidence: questionRecord.ocrConfidence,
+      subjectLabel: subjectService.labelFor(questionRecord.subject),
+      topic: questionRecord.topic,
+      channelId: subjectService.channelFor(questionRecord.subject),
+      studentGrade: student ? student.grade : null,
+      studentSubjects: userService.studentSubjectLabels(student),
+      knowledgeBaseMatches: matches,
+      draftNote: feedbackService.reopenedNote(questionRecord),
+    };
+  }
+
+  /**
+   * Let teachers know what was sent without them
+   * @private
+   */
+  async _postAutoApproved(questionRecord, student) {
+    const slackResult = await slackService.sendAutoApproved(
+      questionRecord.question,
+      questionRecord.editedAnswer || questionRecord.answer,
+      questionRecord._id,
+      questionRecord.accountName,
+      {
+        rule: questionRecord.autoApprovedRule,
+        subjectLabel: subjectService.labelFor(questionRecord.subject),
+        topic: questionRecord.topic,
+        channelId: subjectService.channelFor(questionRecord.subject),
+        studentGrade: student ? student.grade : null,
+        studentSubjects: userService.studentSubjectLabels(student),
+      }
+    );
+
+    questionRecord.slackChannelId = slackResult.channel;
+    questionRecord.slackMessageTs = slackResult.ts;
+    questionRecord.slackOverflowTs = slackResult.overflowTs;
+    await questionRecord.save();
+
+    logger.info(`Posted auto-approved question ${questionRecord._id} to Slack`);
+  }
+
+  /**
+   * Past approved answers to show on the card. The card is still posted
+   * without them if the search fails.
+   * @private
+   */
+  async _findKnowledgeBaseMatches(questionRecord) {
+    try {
+      return await knowledgeBaseService.findSimilar(questionRecord);
+    } catch (error) {
+      logger.error(`Knowledge base search failed: ${error.message}`);
+      return [];
+    }
+  }
+}
+
+/**
+ * Download a photo from a URL to a local temporary file
+ * @param {string} url - URL of the photo
+ * @param {Object} job - Extraction job, which names the file
+ * @returns {Promise<string>} - Path to the downloaded file
+ */
+async function downloadPhoto(url, job) {
+  try {
+    const response = await axios({
+      method: "GET",
+      url: url,
+      responseType: "stream",
+      timeout: 15000, // 15 second timeout
+    });
+
+    const tempDir = path.join(__dirname, "..", "temp");
+    if (!fs.existsSync(tempDir)) {
+      fs.mkdirSync(tempDir, { recursive: true });
+    }
+
+    // Unique per question and attempt, so concurrent jobs never share a file
+    const tempPath = path.join(
+      tempDir,
+      `${job.questionId}-${job.attempts}.jpg`
+    );
+    const writer = fs.createWriteStream(tempPath);
+
+    return new Promise((resolve, reject) => {
+      response.data.pipe(writer);
+      writer.on("finish", () => resolve(tempPath));
+      writer.on("error", reject);
+    });
+  } catch (error) {
+    logger.error(`Error downloading photo: ${error.message}`);
+    throw new Error(`Failed to download photo: ${error.message}`);
+  }
+}
+
+/**
+ * Remove a temporary file, logging instead of throwing
+ * @param {string} filePath - Path to the file
+ */
+function removeFile(filePath) {
+  try {
+    fs.unlinkSync(filePath);
+    logger.info(`Cleaned up temporary file`);
+  } catch (cleanupError) {
+    logger.error(`Error cleaning up file: ${cleanupError.message}`);
+  }
+}
+
+module.exports = new QuestionPipeline();
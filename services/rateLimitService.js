@@ -0,0 +1,139 @@
+const Question = require("../models/question");
+const logger = require("../utils/logger");
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+/**
+ * Per-student quotas and spam protection.
+ *
+ * Counts are taken from stored questions, so limits hold across restarts and
+ * instances. A limit of 0 disables that check. Students are told about a
+ * limit at most once per notice interval, so a flood of messages does not
+ * turn into a flood of replies.
+ */
+class RateLimitService {
+  constructor() {
+    this.perHour = parseInt(process.env.RATE_LIMIT_PER_HOUR || "10", 10);
+    this.perDay = parseInt(process.env.RATE_LIMIT_PER_DAY || "30", 10);
+    this.burstLimit = parseInt(process.env.RATE_LIMIT_BURST || "3", 10);
+    this.burstWindowMs =
+      parseInt(process.env.RATE_LIMIT_BURST_SECONDS || "60", 10) * 1000;
+    this.duplicateWindowMs =
+      parseInt(process.env.RATE_LIMIT_DUPLICATE_MINUTES || "60", 10) *
+      MINUTE_MS;
+    this.noticeIntervalMs =
+      parseInt(process.env.RATE_LIMIT_NOTICE_SECONDS || "60", 10) * 1000;
+
+    // platformId -> time the student was last told about a limit
+    this.lastNotice = new Map();
+  }
+
+  /**
+   * Check whether a student may ask another question
+   * @param {Object} user - Student's User record
+   * @param {string|null} text - Question text, null for photos
+   * @returns {Promise<Object>} - { allowed, reason, message }; message is null
+   *   when the student was already told recently
+   */
+  async check(user, text) {
+    const accountId = user.platformId;
+    const now = Date.now();
+
+    const countSince = (windowMs) =>
+      Question.countDocuments({
+        accountId,
+        createdAt: { $gte: new Date(now - windowMs) },
+      });
+
+    const [burst, hour, day, duplicate] = await Promise.all([
+      this.burstLimit > 0 ? countSince(this.burstWindowMs) : 0,
+      this.perHour > 0 ? countSince(HOUR_MS) : 0,
+      this.perDay > 0 ? countSince(DAY_MS) : 0,
+      text && this.duplicateWindowMs > 0
+        ? Question.exists({
+            accountId,
+            question: text,
+            createdAt: { $gte: new Date(now - this.duplicateWindowMs) },
+          })
+        : null,
+    ]);
+
+    if (duplicate) {
+      return this._deny(
+        user,
+        "duplicate",
+        "You already sent this question and a teacher is on it. No need to send it again!"
+      );
+    }
+    if (this.burstLimit > 0 && burst >= this.burstLimit) {
+      return this._deny(
+        user,
+        "burst",
+        "You're sending questions very quickly. Please wait a minute before asking the next one."
+      );
+    }
+    if (this.perHour > 0 && hour >= this.perHour) {
+      return this._deny(
+        user,
+        "hourly",
+        `You've asked ${this.perHour} questions in the last hour. Take a break and try again a little later.`
+      );
+    }
+    if (this.perDay > 0 && day >= this.perDay) {
+      return this._deny(
+        user,
+        "daily",
+        `You've reached today's limit of ${this.perDay} questions. See you tomorrow!`
+      );
+    }
+
+    return { allowed: true, reason: null, message: null };
+  }
+
+  /**
+   * Message for a student a teacher has blocked
+   * @param {Object} user - Student's User record
+   * @returns {Object} - { allowed, reason, message }
+   */
+  blocked(user) {
+    return this._deny(
+      user,
+      "blocked",
+      "Your access to the tutor has been paused by a teacher. Please talk to your teacher if you think this is a mistake."
+    );
+  }
+
+  /**
+   * Build a denial, dropping the message if the student was told recently
+   * @private
+   */
+  _deny(user, reason, message) {
+    const now = Date.now();
+    const last = this.lastNotice.get(user.platformId);
+    const notify = !last || now - last >= this.noticeIntervalMs;
+
+    if (notify) {
+      this._pruneNotices(now);
+      this.lastNotice.set(user.platformId, now);
+    }
+
+    logger.warn(`Rate limit (${reason}) for student ${user.platformId}`);
+    return { allowed: false, reason, message: notify ? message : null };
+  }
+
+  /**
+   * Forget notices that no longer suppress anything
+   * @private
+   */
+  _pruneNotices(now) {
+    for (const [platformId, at] of this.lastNotice) {
+      if (now - at >= this.noticeIntervalMs) {
+        this.lastNotice.delete(platformId);
+      }
+    }
+  }
+}
+
+module.exports = new RateLimitService();
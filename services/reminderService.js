@@ -0,0 +1,196 @@
+const Question = require("../models/question");
+const slackService = require("./slackService");
+const telegramService = require("./telegramService");
+const logger = require("../utils/logger");
+const { escapeSlack } = require("../utils/formatters");
+const { QUESTION_STATUS } = require("../config/constants");
+
+// Statuses in which a question is waiting for a teacher
+const WAITING_STATUSES = [
+  QUESTION_STATUS.PENDING_REVIEW,
+  QUESTION_STATUS.AI_FAILED,
+];
+
+/**
+ * SLA reminders for questions waiting on teacher review.
+ *
+ * After the first threshold the on-call teacher is mentioned in the
+ * approval card's thread and the student is told we're still on it. After
+ * the second threshold the question is escalated to another channel.
+ * Each step is claimed atomically so it happens once across instances.
+ */
+class ReminderService {
+  constructor() {
+    this.reminderMinutes = parseInt(
+      process.env.SLA_REMINDER_MINUTES || "30",
+      10
+    );
+    this.escalationMinutes = parseInt(
+      process.env.SLA_ESCALATION_MINUTES || "120",
+      10
+    );
+    this.onCallUserId = process.env.SLA_ONCALL_USER_ID;
+    this.escalationChannelId = process.env.SLA_ESCALATION_CHANNEL_ID;
+    this.studentMessage =
+      process.env.SLA_STUDENT_MESSAGE ||
+      "We're still working on your question. A teacher will get back to you soon, no need to send it again.";
+    this.checkInterval = parseInt(
+      process.env.SLA_CHECK_INTERVAL_MS || "60000",
+      10
+    );
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Start checking for overdue questions
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => this.checkOverdue(), this.checkInterval);
+    this.timer.unref();
+    logger.info(
+      `SLA reminders started (remind after ${this.reminderMinutes} min, escalate after ${this.escalationMinutes} min)`
+    );
+  }
+
+  /**
+   * Stop checking for overdue questions
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Send every reminder and escalation that is due
+   */
+  async checkOverdue() {
+    if (this.running) {
+      return;
+    }
+
+    this.running = true;
+
+    try {
+      await this._processDue("reminderSentAt", this.reminderMinutes, (q) =>
+        this._remind(q)
+      );
+
+      if (this.escalationChannelId) {
+        await this._processDue("escalatedAt", this.escalationMinutes, (q) =>
+          this._escalate(q)
+        );
+      }
+    } catch (error) {
+      logger.error(`Error checking overdue questions: ${error.message}`);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Run a step for every question it is due for
+   * @param {string} field - Timestamp field recording the step
+   * @param {number} minutes - Waiting time before the step is due
+   * @param {Function} step - async (questionRecord) => void
+   * @private
+   */
+  async _processDue(field, minutes, step) {
+    for (;;) {
+      const questionRecord = await this._claim(field, minutes);
+      if (!questionRecord) {
+        return;
+      }
+      await step(questionRecord);
+    }
+  }
+
+  /**
+   * Atomically mark the next overdue question for a step. Waiting time counts
+   * from the question's latest move to review, or from when it was asked for
+   * records from before reviewRequestedAt existed.
+   * @param {string} field - Timestamp field recording the step
+   * @param {number} minutes - Waiting time before the step is due
+   * @private
+   */
+  _claim(field, minutes) {
+    const cutoff = new Date(Date.now() - minutes * 60000);
+
+    return Question.findOneAndUpdate(
+      {
+        status: { $in: WAITING_STATUSES },
+        slackMessageTs: { $ne: null },
+        $or: [
+          { reviewRequestedAt: { $lte: cutoff } },
+          { reviewRequestedAt: null, createdAt: { $lte: cutoff } },
+        ],
+        [field]: null,
+      },
+      { $set: { [field]: new Date() } },
+      { new: true, sort: { createdAt: 1 } }
+    );
+  }
+
+  /**
+   * Nudge the on-call teacher and reassure the student
+   * @private
+   */
+  async _remind(questionRecord) {
+    const mention = this.onCallUserId ? `<@${this.onCallUserId}> ` : "";
+
+    try {
+      await slackService.postThreadReply(
+        questionRecord.slackChannelId,
+        questionRecord.slackMessageTs,
+        `:alarm_clock: ${mention}This question from ${escapeSlack(
+          questionRecord.accountName
+        )} has been waiting for over ${this.reminderMinutes} minutes.`
+      );
+    } catch (error) {
+      logger.error(`Error sending SLA reminder: ${error.message}`);
+    }
+
+    try {
+      await telegramService.sendMessage(
+        questionRecord.accountId,
+        this.studentMessage
+      );
+    } catch (error) {
+      logger.error(`Error sending SLA update to student: ${error.message}`);
+    }
+
+    logger.info(`Sent SLA reminder for question ${questionRecord._id}`);
+  }
+
+  /**
+   * Raise the question in the escalation channel
+   * @private
+   */
+  async _escalate(questionRecord) {
+    try {
+      const permalink = await slackService.getPermalink(
+        questionRecord.slackChannelId,
+        questionRecord.slackMessageTs
+      );
+
+      await slackService.postMessage(
+        this.escalationChannelId,
+        `:rotating_light: A question from ${escapeSlack(
+          questionRecord.accountName
+        )} has been waiting for review for over ${
+          this.escalationMinutes
+        } minutes: ${permalink}`
+      );
+
+      logger.info(`Escalated question ${questionRecord._id}`);
+    } catch (error) {
+      logger.error(`Error escalating question: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new ReminderService();
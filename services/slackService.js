@@ -1,5 +1,12 @@
 const { WebClient } = require("@slack/web-api");
 const logger = require("../utils/logger");
+const {
+  toSlackMrkdwn,
+  toSlackMrkdwnChunks,
+  escapeSlack,
+  SLACK_TEXT_LIMIT,
+  SLACK_INPUT_LIMIT,
+} = require("../utils/formatters");
 
 /**
  * Service for handling Slack interactions
@@ -9,6 +16,11 @@ class SlackService {
     this.token = process.env.SLACK_BOT_TOKEN;
     this.slackClient = new WebClient(this.token);
     this.channelId = process.env.SLACK_CHANNEL_ID || "testing"; // Default channel name
+    // Longer answers continue in the message's thread
+    this.maxAnswerBlocks = parseInt(
+      process.env.SLACK_MAX_ANSWER_BLOCKS || "10",
+      10
+    );
   }
 
   /**
@@ -18,110 +30,595 @@ class SlackService {
    * @param {string} recordId - Database record ID
    * @param {string} studentName - Student's name
    * @param {boolean} isFromImage - Whether the question came from an image
-   * @returns {Promise<Object>} - Slack API response
+   * @param {Object} [details] - Optional card details
+   * @param {number|null} [details.ocrConfidence] - 0-1 confidence of the image text extraction
+   * @param {string|null} [details.subjectLabel] - Classified subject
+   * @param {string|null} [details.topic] - Classified topic
+   * @param {string} [details.channelId] - Channel to post to, defaults to SLACK_CHANNEL_ID
+   * @param {string|null} [details.studentGrade] - Student's grade from their profile
+   * @param {Array<string>} [details.studentSubjects] - Subjects the student
+   *   asked for help with during onboarding
+   * @param {Array<Object>} [details.knowledgeBaseMatches] - Similar approved
+   *   answers, each { question, score }
+   * @param {string} [details.draftNote] - Shown above the answer, e.g. who
+   *   regenerated it
+   * @returns {Promise<Object>} - Slack API response, with overflowTs listing
+   *   the thread replies that continue the answer
    */
   async sendQuestionForApproval(
     question,
     answer,
     recordId,
     studentName,
-    isFromImage = false
+    isFromImage = false,
+    details = {}
   ) {
+    const { channelId } = details;
+
     try {
-      const blocks = [
-        {
-          type: "rich_text",
-          elements: [
-            {
-              type: "rich_text_section",
-              elements: [
-                {
-                  type: "text",
-                  text: question,
-                  style: {
-                    bold: true,
-                  },
+      const card = this._approvalCard(
+        question,
+        answer,
+        recordId,
+        studentName,
+        isFromImage,
+        details
+      );
+
+      const result = await this.slackClient.chat.postMessage({
+        channel: channelId || this.channelId,
+        blocks: card.blocks,
+        text: `New question from ${escapeSlack(
+          studentName
+        )}: ${question.substring(0, 50)}...`, // Fallback text
+      });
+
+      const overflowTs = await this._postOverflow(
+        result.channel,
+        result.ts,
+        card.overflow
+      );
+
+      return { ...result, overflowTs };
+    } catch (error) {
+      logger.error(`Error sending message to Slack: ${error.message}`);
+      throw new Error(`Failed to send message to Slack: ${error.message}`);
+    }
+  }
+
+  /**
+   * Student name with the profile details teachers tailor answers to,
+   * e.g. "Ada (Grade 9, studies Math, Physics)"
+   * @private
+   */
+  _studentLabel(studentName, grade, subjects = []) {
+    const details = [];
+    if (grade) {
+      details.push(`Grade ${grade}`);
+    }
+    if (subjects && subjects.length > 0) {
+      details.push(`studies ${subjects.join(", ")}`);
+    }
+
+    return details.length > 0
+      ? `${escapeSlack(studentName)} (${details.join(", ")})`
+      : escapeSlack(studentName);
+  }
+
+  /**
+   * Blocks of an approval card, see sendQuestionForApproval
+   * @private
+   * @returns {{blocks: Array<Object>, overflow: Array<string>}}
+   */
+  _approvalCard(question, answer, recordId, studentName, isFromImage, details) {
+    const {
+      ocrConfidence = null,
+      subjectLabel,
+      topic,
+      studentGrade,
+      studentSubjects,
+      knowledgeBaseMatches = [],
+      draftNote,
+    } = details;
+
+    const answerBlocks = this._answerBlocks(answer);
+    const blocks = [
+      {
+        type: "rich_text",
+        elements: [
+          {
+            type: "rich_text_section",
+            elements: [
+              {
+                type: "text",
+                text: question,
+                style: {
+                  bold: true,
                 },
-              ],
+              },
+            ],
+          },
+        ],
+      },
+      {
+        type: "divider",
+      },
+      ...answerBlocks.blocks,
+      {
+        type: "actions",
+        block_id: "approval_buttons",
+        elements: [
+          {
+            type: "button",
+            text: {
+              type: "plain_text",
+              emoji: true,
+              text: "Approve",
             },
-          ],
-        },
-        {
-          type: "divider",
-        },
+            style: "primary",
+            value: recordId.toString(),
+            action_id: "approve_button",
+          },
+          {
+            type: "button",
+            text: {
+              type: "plain_text",
+              emoji: true,
+              text: "Edit",
+            },
+            style: "danger",
+            value: recordId.toString(),
+            action_id: "edited_button",
+          },
+          {
+            type: "button",
+            text: {
+              type: "plain_text",
+              emoji: true,
+              text: "Regenerate",
+            },
+            value: recordId.toString(),
+            action_id: "regenerate_button",
+          },
+          {
+            type: "button",
+            text: {
+              type: "plain_text",
+              emoji: true,
+              text: "Reject",
+            },
+            value: recordId.toString(),
+            action_id: "reject_button",
+          },
+          {
+            type: "button",
+            text: {
+              type: "plain_text",
+              emoji: true,
+              text: "Block student",
+            },
+            value: recordId.toString(),
+            action_id: "block_student_button",
+            confirm: {
+              title: { type: "plain_text", text: "Block this student?" },
+              text: {
+                type: "mrkdwn",
+                text: `${escapeSlack(
+                  studentName
+                )} won't be able to ask questions until a teacher unblocks them.`,
+              },
+              confirm: { type: "plain_text", text: "Block" },
+              deny: { type: "plain_text", text: "Cancel" },
+            },
+          },
+        ],
+      },
+    ];
+
+    // Offer past approved answers to similar questions
+    if (knowledgeBaseMatches.length > 0) {
+      blocks.push(
+        { type: "divider" },
         {
-          type: "rich_text",
+          type: "context",
           elements: [
             {
-              type: "rich_text_section",
-              elements: [
-                {
-                  type: "text",
-                  text: answer,
-                  style: {
-                    bold: true,
-                  },
-                },
-              ],
+              type: "mrkdwn",
+              text: ":books: *Similar questions answered before*",
             },
           ],
         },
+        ...knowledgeBaseMatches.map((match) =>
+          this._knowledgeBaseBlock(recordId, match)
+        )
+      );
+    }
+
+    // Add a context block to show where the question came from
+    let source = isFromImage ? "Image" : "Text";
+    if (isFromImage && typeof ocrConfidence === "number") {
+      const percent = Math.round(ocrConfidence * 100);
+      const warning = ocrConfidence < 0.6 ? " :warning:" : "";
+      source += ` (OCR confidence: ${percent}%${warning})`;
+    }
+
+    const from = this._studentLabel(studentName, studentGrade, studentSubjects);
+    let context = `*From:* ${from} | *Source:* ${source}`;
+    if (subjectLabel) {
+      context += ` | *Subject:* ${subjectLabel}${topic ? ` / ${topic}` : ""}`;
+    }
+
+    blocks.unshift({
+      type: "context",
+      elements: [
         {
-          type: "actions",
-          block_id: "approval_buttons",
-          elements: [
-            {
-              type: "button",
-              text: {
-                type: "plain_text",
-                emoji: true,
-                text: "Approve",
-              },
-              style: "primary",
-              value: recordId.toString(),
-              action_id: "approve_button",
+          type: "mrkdwn",
+          text: context,
+        },
+      ],
+    });
+
+    // Above the answer: context, question, divider, answer...
+    if (draftNote) {
+      blocks.splice(3, 0, {
+        type: "context",
+        elements: [{ type: "mrkdwn", text: draftNote }],
+      });
+    }
+
+    return { blocks, overflow: answerBlocks.overflow };
+  }
+
+  /**
+   * Replace the answer on an approval card, e.g. with a regenerated draft
+   * @param {string} messageTs - Slack message timestamp (ID)
+   * @param {string} question - Student's question
+   * @param {string} answer - New answer
+   * @param {string} recordId - Database record ID
+   * @param {string} studentName - Student's name
+   * @param {boolean} isFromImage - Whether the question came from an image
+   * @param {Object} [details] - Card details, see sendQuestionForApproval
+   * @param {Array<string>} [details.overflowTs] - Thread replies already
+   *   continuing the answer; they are edited rather than posted again
+   * @returns {Promise<Object>} - Slack API response, with overflowTs
+   */
+  async updateApprovalCard(
+    messageTs,
+    question,
+    answer,
+    recordId,
+    studentName,
+    isFromImage = false,
+    details = {}
+  ) {
+    try {
+      const card = this._approvalCard(
+        question,
+        answer,
+        recordId,
+        studentName,
+        isFromImage,
+        details
+      );
+
+      const result = await this.slackClient.chat.update({
+        channel: details.channelId || this.channelId,
+        ts: messageTs,
+        blocks: card.blocks,
+        text: `New draft for ${escapeSlack(studentName)}: ${question.substring(
+          0,
+          50
+        )}...`, // Fallback text
+      });
+
+      const overflowTs = await this._postOverflow(
+        details.channelId || this.channelId,
+        messageTs,
+        card.overflow,
+        details.overflowTs
+      );
+
+      return { ...result, overflowTs };
+    } catch (error) {
+      logger.error(`Error updating approval card: ${error.message}`);
+      throw new Error(`Failed to update approval card: ${error.message}`);
+    }
+  }
+
+  /**
+   * Tell teachers about an answer that was sent without review
+   * @param {string} question - Student's question
+   * @param {string} answer - Answer sent to the student
+   * @param {string} recordId - Database record ID
+   * @param {string} studentName - Student's name
+   * @param {Object} details - Card details
+   * @param {string} details.rule - Name of the auto-approval rule
+   * @param {string|null} [details.subjectLabel] - Classified subject
+   * @param {string|null} [details.topic] - Classified topic
+   * @param {string} [details.channelId] - Channel to post to, defaults to SLACK_CHANNEL_ID
+   * @param {string|null} [details.studentGrade] - Student's grade from their profile
+   * @param {Array<string>} [details.studentSubjects] - Subjects the student
+   *   asked for help with during onboarding
+   * @returns {Promise<Object>} - Slack API response, with overflowTs
+   */
+  async sendAutoApproved(question, answer, recordId, studentName, details) {
+    const {
+      rule,
+      subjectLabel,
+      topic,
+      channelId,
+      studentGrade,
+      studentSubjects,
+    } = details;
+
+    try {
+      const from = this._studentLabel(
+        studentName,
+        studentGrade,
+        studentSubjects
+      );
+      let context = `:zap: *Auto-approved* (rule: ${rule}) | *From:* ${from}`;
+      if (subjectLabel) {
+        context += ` | *Subject:* ${subjectLabel}${topic ? ` / ${topic}` : ""}`;
+      }
+
+      const answerBlocks = this._answerBlocks(answer);
+
+      const result = await this.slackClient.chat.postMessage({
+        channel: channelId || this.channelId,
+        text: `Auto-approved answer for ${escapeSlack(
+          studentName
+        )}: ${question.substring(0, 50)}...`, // Fallback text
+        blocks: [
+          {
+            type: "context",
+            elements: [{ type: "mrkdwn", text: context }],
+          },
+          {
+            type: "section",
+            text: {
+              type: "mrkdwn",
+              text: `*Question:*\n${escapeSlack(question)}`,
             },
-            {
-              type: "button",
-              text: {
-                type: "plain_text",
-                emoji: true,
-                text: "Edit",
+          },
+          {
+            type: "section",
+            text: { type: "mrkdwn", text: "*Answer sent:*" },
+          },
+          ...answerBlocks.blocks,
+          {
+            type: "actions",
+            block_id: "auto_approval_buttons",
+            elements: [
+              {
+                type: "button",
+                text: {
+                  type: "plain_text",
+                  emoji: true,
+                  text: "Undo",
+                },
+                style: "danger",
+                value: recordId.toString(),
+                action_id: "undo_auto_approval",
+                confirm: {
+                  title: { type: "plain_text", text: "Undo auto-approval?" },
+                  text: {
+                    type: "mrkdwn",
+                    text: `${escapeSlack(
+                      studentName
+                    )} will be told to disregard this answer, and the question goes back for review.`,
+                  },
+                  confirm: { type: "plain_text", text: "Undo" },
+                  deny: { type: "plain_text", text: "Cancel" },
+                },
               },
-              style: "danger",
-              value: recordId.toString(),
-              action_id: "edited_button",
-            },
-          ],
-        },
-      ];
+            ],
+          },
+        ],
+      });
+
+      const overflowTs = await this._postOverflow(
+        result.channel,
+        result.ts,
+        answerBlocks.overflow
+      );
 
-      // Add a context block to show where the question came from
-      blocks.unshift({
+      return { ...result, overflowTs };
+    } catch (error) {
+      logger.error(`Error sending auto-approved message: ${error.message}`);
+      throw new Error(
+        `Failed to send auto-approved message to Slack: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Section blocks for an answer, split to fit Slack's text limit
+   * @private
+   * @returns {{blocks: Array<Object>, overflow: Array<string>}} - overflow
+   *   holds the parts that don't fit on the message, for its thread
+   */
+  _answerBlocks(answer) {
+    const chunks = toSlackMrkdwnChunks(answer || "");
+    const overflow = chunks.slice(this.maxAnswerBlocks);
+    const blocks = chunks.slice(0, this.maxAnswerBlocks).map((text) => ({
+      type: "section",
+      text: { type: "mrkdwn", text },
+    }));
+
+    if (overflow.length > 0) {
+      blocks.push({
         type: "context",
         elements: [
           {
             type: "mrkdwn",
-            text: `*From:* ${studentName} | *Source:* ${
-              isFromImage ? "Image" : "Text"
-            }`,
+            text: `:thread: The answer continues in the thread (${overflow.length} more parts)`,
           },
         ],
       });
+    }
+
+    return { blocks, overflow };
+  }
+
+  /**
+   * Put the parts of an answer that didn't fit on a message in its thread.
+   * Replies posted for an earlier version of the answer are edited, and
+   * deleted when the new answer needs fewer.
+   * @private
+   * @param {Array<string>} [posted] - Replies already holding parts
+   * @returns {Promise<Array<string>>} - Timestamps of the replies now
+   *   holding the parts, in order
+   */
+  async _postOverflow(channelId, messageTs, overflow, posted = []) {
+    const overflowTs = [];
+
+    for (let i = 0; i < overflow.length; i++) {
+      if (posted[i]) {
+        await this.slackClient.chat.update({
+          channel: channelId,
+          ts: posted[i],
+          text: overflow[i],
+        });
+        overflowTs.push(posted[i]);
+      } else {
+        const result = await this.postThreadReply(
+          channelId,
+          messageTs,
+          overflow[i]
+        );
+        overflowTs.push(result.ts);
+      }
+    }
+
+    for (const ts of posted.slice(overflow.length)) {
+      try {
+        await this.slackClient.chat.delete({ channel: channelId, ts });
+      } catch (error) {
+        logger.error(`Error deleting old answer part: ${error.message}`);
+      }
+    }
+
+    return overflowTs;
+  }
+
+  /**
+   * Card section for one knowledge base match
+   * @private
+   */
+  _knowledgeBaseBlock(recordId, match) {
+    const source = match.question;
+    const answer = source.editedAnswer || source.answer;
+    const snippet = (value, length) =>
+      value.length > length ? `${value.substring(0, length)}...` : value;
+
+    return {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `*${Math.round(match.score * 100)}% match:* ${escapeSlack(
+          snippet(source.question, 150)
+        )}\n>${toSlackMrkdwn(snippet(answer, 400)).replace(/\n/g, "\n>")}`,
+      },
+      accessory: {
+        type: "button",
+        text: {
+          type: "plain_text",
+          emoji: true,
+          text: "Use this answer",
+        },
+        // "<question being reviewed>:<past question>"
+        value: `${recordId}:${source._id}`,
+        action_id: "use_kb_answer",
+      },
+    };
+  }
+
+  /**
+   * Post a message to a channel
+   * @param {string|null} channelId - Slack channel ID, defaults to the review channel
+   * @param {string} text - Message text (fallback text when blocks are given)
+   * @param {Array<Object>} [blocks] - Slack blocks
+   * @returns {Promise<Object>} - Slack API response
+   */
+  async postMessage(channelId, text, blocks) {
+    try {
+      const result = await this.slackClient.chat.postMessage({
+        channel: channelId || this.channelId,
+        text: text,
+        blocks: blocks,
+      });
 
+      return result;
+    } catch (error) {
+      logger.error(`Error posting Slack message: ${error.message}`);
+      throw new Error(`Failed to post Slack message: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a link to a message
+   * @param {string} channelId - Slack channel ID
+   * @param {string} messageTs - Slack message timestamp
+   * @returns {Promise<string>} - Permalink URL
+   */
+  async getPermalink(channelId, messageTs) {
+    try {
+      const result = await this.slackClient.chat.getPermalink({
+        channel: channelId || this.channelId,
+        message_ts: messageTs,
+      });
+
+      return result.permalink;
+    } catch (error) {
+      logger.error(`Error getting Slack permalink: ${error.message}`);
+      throw new Error(`Failed to get permalink: ${error.message}`);
+    }
+  }
+
+  /**
+   * Reply in the thread of an existing message
+   * @param {string} channelId - Slack channel ID
+   * @param {string} threadTs - Timestamp of the parent message
+   * @param {string} text - Message text (fallback text when blocks are given)
+   * @param {Array<Object>} [blocks] - Slack blocks
+   * @returns {Promise<Object>} - Slack API response
+   */
+  async postThreadReply(channelId, threadTs, text, blocks) {
+    try {
       const result = await this.slackClient.chat.postMessage({
-        channel: this.channelId,
+        channel: channelId || this.channelId,
+        thread_ts: threadTs,
+        text: text,
         blocks: blocks,
-        text: `New question from ${studentName}: ${question.substring(
-          0,
-          50
-        )}...`, // Fallback text
       });
 
       return result;
     } catch (error) {
-      logger.error(`Error sending message to Slack: ${error.message}`);
-      throw new Error(`Failed to send message to Slack: ${error.message}`);
+      logger.error(`Error posting Slack thread reply: ${error.message}`);
+      throw new Error(`Failed to post thread reply: ${error.message}`);
+    }
+  }
+
+  /**
+   * Post a message only visible to one user
+   * @param {string} channelId - Slack channel ID
+   * @param {string} userId - Slack user ID
+   * @param {string} text - Message text
+   * @returns {Promise<Object>} - Slack API response
+   */
+  async postEphemeral(channelId, userId, text) {
+    try {
+      const result = await this.slackClient.chat.postEphemeral({
+        channel: channelId || this.channelId,
+        user: userId,
+        text: text,
+      });
+
+      return result;
+    } catch (error) {
+      logger.error(`Error posting ephemeral Slack message: ${error.message}`);
+      throw new Error(`Failed to post ephemeral message: ${error.message}`);
     }
   }
 
@@ -129,14 +626,19 @@ class SlackService {
    * Update a Slack message after approval
    * @param {string} messageTs - Slack message timestamp (ID)
    * @param {string} text - Updated text
-   * @returns {Promise<Object>} - Slack API response
+   * @param {string} [channelId] - Slack channel ID, defaults to SLACK_CHANNEL_ID
+   * @param {Array<string>} [postedOverflow] - Thread replies already
+   *   continuing the card's answer; they are edited rather than posted again
+   * @returns {Promise<Object>} - Slack API response, with overflowTs
    */
-  async updateMessage(messageTs, text) {
+  async updateMessage(messageTs, text, channelId, postedOverflow = []) {
     try {
+      const answerBlocks = this._answerBlocks(text);
+
       const result = await this.slackClient.chat.update({
-        channel: this.channelId,
+        channel: channelId || this.channelId,
         ts: messageTs,
-        text: text,
+        text: text.substring(0, SLACK_TEXT_LIMIT),
         blocks: [
           {
             type: "section",
@@ -145,11 +647,73 @@ class SlackService {
               text: "*Approved Answer:*",
             },
           },
+          ...answerBlocks.blocks,
+          {
+            type: "context",
+            elements: [
+              {
+                type: "mrkdwn",
+                text: ":white_check_mark: Approved and sent to student",
+              },
+            ],
+          },
+        ],
+      });
+
+      const overflowTs = await this._postOverflow(
+        channelId || this.channelId,
+        messageTs,
+        answerBlocks.overflow,
+        postedOverflow
+      );
+
+      return { ...result, overflowTs };
+    } catch (error) {
+      logger.error(`Error updating Slack message: ${error.message}`);
+      throw new Error(`Failed to update Slack message: ${error.message}`);
+    }
+  }
+
+  /**
+   * Update a Slack message after a teacher rejected the AI answer
+   * @param {string} messageTs - Slack message timestamp (ID)
+   * @param {string} question - Student's question
+   * @param {string} rejectedBy - Slack user ID of the teacher
+   * @param {string} reason - Reason given by the teacher
+   * @param {boolean} needsTeacher - Whether the teacher will answer offline
+   * @param {string} [channelId] - Slack channel ID, defaults to SLACK_CHANNEL_ID
+   * @returns {Promise<Object>} - Slack API response
+   */
+  async updateMessageRejected(
+    messageTs,
+    question,
+    rejectedBy,
+    reason,
+    needsTeacher = false,
+    channelId
+  ) {
+    try {
+      const status = needsTeacher
+        ? `:raising_hand: <@${rejectedBy}> will answer this offline`
+        : `:x: Rejected by <@${rejectedBy}>`;
+
+      const result = await this.slackClient.chat.update({
+        channel: channelId || this.channelId,
+        ts: messageTs,
+        text: `Rejected: ${question.substring(0, 50)}...`,
+        blocks: [
           {
             type: "section",
             text: {
               type: "mrkdwn",
-              text: text,
+              text: `*Question:*\n${escapeSlack(question)}`,
+            },
+          },
+          {
+            type: "section",
+            text: {
+              type: "mrkdwn",
+              text: `*Reason:*\n${escapeSlack(reason)}`,
             },
           },
           {
@@ -157,7 +721,59 @@ class SlackService {
             elements: [
               {
                 type: "mrkdwn",
-                text: ":white_check_mark: Approved and sent to student",
+                text: status,
+              },
+            ],
+          },
+        ],
+      });
+
+      return result;
+    } catch (error) {
+      logger.error(`Error updating Slack message: ${error.message}`);
+      throw new Error(`Failed to update Slack message: ${error.message}`);
+    }
+  }
+
+  /**
+   * Update an auto-approved message after a teacher undid it
+   * @param {string} messageTs - Slack message timestamp (ID)
+   * @param {string} question - Student's question
+   * @param {string} undoneBy - Slack user ID of the teacher
+   * @param {boolean} retracted - Whether the student was sent a retraction
+   * @param {string} [channelId] - Slack channel ID, defaults to SLACK_CHANNEL_ID
+   * @returns {Promise<Object>} - Slack API response
+   */
+  async updateMessageAutoApprovalUndone(
+    messageTs,
+    question,
+    undoneBy,
+    retracted,
+    channelId
+  ) {
+    try {
+      const status = retracted
+        ? `:leftwards_arrow_with_hook: Undone by <@${undoneBy}>. The student was asked to disregard the answer; a new card was posted for review.`
+        : `:leftwards_arrow_with_hook: Undone by <@${undoneBy}> before the answer reached the student; a new card was posted for review.`;
+
+      const result = await this.slackClient.chat.update({
+        channel: channelId || this.channelId,
+        ts: messageTs,
+        text: `Auto-approval undone: ${question.substring(0, 50)}...`,
+        blocks: [
+          {
+            type: "section",
+            text: {
+              type: "mrkdwn",
+              text: `*Question:*\n${escapeSlack(question)}`,
+            },
+          },
+          {
+            type: "context",
+            elements: [
+              {
+                type: "mrkdwn",
+                text: status,
               },
             ],
           },
@@ -190,6 +806,16 @@ class SlackService {
     answer
   ) {
     try {
+      // Answers longer than one input are edited in several parts
+      const { parts, separators } = this._splitForInputs(
+        answer || "",
+        SLACK_INPUT_LIMIT
+      );
+      // Leave room to write more when the last part is nearly full
+      if (parts[parts.length - 1].length > SLACK_INPUT_LIMIT * 0.8) {
+        parts.push("");
+      }
+
       const result = await this.slackClient.views.open({
         trigger_id: triggerId,
         view: {
@@ -208,28 +834,41 @@ class SlackService {
               type: "section",
               text: {
                 type: "mrkdwn",
-                text: `*Original Question:*\n${question}`,
+                text: `*Original Question:*\n${escapeSlack(question).substring(
+                  0,
+                  SLACK_TEXT_LIMIT - 30
+                )}`,
               },
             },
-            {
+            ...parts.map((part, index) => ({
               type: "input",
-              block_id: "edited_response",
+              // Read back in order by getEditedAnswer
+              block_id:
+                index === 0
+                  ? "edited_response"
+                  : `edited_response_${index + 1}`,
+              optional: index > 0,
               element: {
                 type: "plain_text_input",
                 action_id: "response_text",
                 multiline: true,
-                initial_value: answer,
+                max_length: SLACK_INPUT_LIMIT,
+                ...(part ? { initial_value: part } : {}),
               },
               label: {
                 type: "plain_text",
-                text: "Edit Response",
+                text:
+                  parts.length > 1
+                    ? `Edit Response (part ${index + 1} of ${parts.length})`
+                    : "Edit Response",
               },
-            },
+            })),
           ],
           private_metadata: JSON.stringify({
             channel_id: channelId,
             message_ts: messageTs,
             data_key: recordId.toString(),
+            separators,
           }),
         },
       });
@@ -240,6 +879,242 @@ class SlackService {
       throw new Error(`Failed to open edit modal: ${error.message}`);
     }
   }
+
+  /**
+   * Cut an answer into pieces that fit the modal's inputs. Cuts prefer
+   * paragraph breaks, then line breaks, then spaces, and drop that one
+   * separator, so joining the pieces with their separators gives the
+   * answer back unchanged.
+   * @private
+   * @returns {{parts: Array<string>, separators: Array<string>}} -
+   *   separators[i] goes between parts[i] and parts[i + 1]
+   */
+  _splitForInputs(text, maxLength) {
+    const parts = [];
+    const separators = [];
+    let rest = text;
+
+    while (rest.length > maxLength) {
+      let cut = maxLength;
+      let separator = "";
+      for (const candidate of ["\n\n", "\n", " "]) {
+        const at = rest.lastIndexOf(candidate, maxLength);
+        // Don't leave a tiny part just to cut at a nicer place
+        if (at > maxLength / 2) {
+          cut = at;
+          separator = candidate;
+          break;
+        }
+      }
+
+      parts.push(rest.slice(0, cut));
+      separators.push(separator);
+      rest = rest.slice(cut + separator.length);
+    }
+    parts.push(rest);
+
+    return { parts, separators };
+  }
+
+  /**
+   * Join the parts of an answer submitted from the edit modal
+   * @param {Object} values - view.state.values of the submission
+   * @param {Array<string>} [separators] - What the answer was cut at when
+   *   the modal was opened; parts added beyond them start a new paragraph
+   * @returns {string} - Edited answer
+   */
+  getEditedAnswer(values, separators = []) {
+    const partNumber = (blockId) =>
+      blockId === "edited_response"
+        ? 1
+        : parseInt(blockId.split("_").pop(), 10);
+
+    const blockIds = Object.keys(values)
+      .filter((blockId) => blockId.startsWith("edited_response"))
+      .sort((a, b) => partNumber(a) - partNumber(b));
+
+    let answer = "";
+    blockIds.forEach((blockId, index) => {
+      const part = values[blockId].response_text.value || "";
+      if (!part.trim()) {
+        return;
+      }
+      const separator =
+        index > 0 && index - 1 < separators.length
+          ? separators[index - 1]
+          : "\n\n";
+      answer += answer ? separator + part : part;
+    });
+
+    return answer.trim();
+  }
+
+  /**
+   * Open a modal dialog asking how the AI should redo its answer
+   * @param {string} triggerId - Slack trigger ID
+   * @param {string} recordId - Database record ID
+   * @param {string} channelId - Slack channel ID
+   * @param {string} messageTs - Slack message timestamp
+   * @param {string} question - Original question
+   * @returns {Promise<Object>} - Slack API response
+   */
+  async openRegenerateModal(
+    triggerId,
+    recordId,
+    channelId,
+    messageTs,
+    question
+  ) {
+    try {
+      const result = await this.slackClient.views.open({
+        trigger_id: triggerId,
+        view: {
+          type: "modal",
+          callback_id: "regenerate_modal",
+          title: {
+            type: "plain_text",
+            text: "Regenerate Answer",
+          },
+          submit: {
+            type: "plain_text",
+            text: "Regenerate",
+          },
+          blocks: [
+            {
+              type: "section",
+              text: {
+                type: "mrkdwn",
+                text: `*Original Question:*\n${escapeSlack(question).substring(
+                  0,
+                  SLACK_TEXT_LIMIT - 30
+                )}`,
+              },
+            },
+            {
+              type: "input",
+              block_id: "regenerate_instructions",
+              element: {
+                type: "plain_text_input",
+                action_id: "instructions_text",
+                multiline: true,
+                placeholder: {
+                  type: "plain_text",
+                  text: "e.g. use the chain rule, keep it under 5 steps",
+                },
+              },
+              label: {
+                type: "plain_text",
+                text: "Instructions for the AI",
+              },
+            },
+          ],
+          private_metadata: JSON.stringify({
+            channel_id: channelId,
+            message_ts: messageTs,
+            data_key: recordId.toString(),
+          }),
+        },
+      });
+
+      return result;
+    } catch (error) {
+      logger.error(`Error opening regenerate modal: ${error.message}`);
+      throw new Error(`Failed to open regenerate modal: ${error.message}`);
+    }
+  }
+
+  /**
+   * Open a modal dialog asking why an answer is rejected
+   * @param {string} triggerId - Slack trigger ID
+   * @param {string} recordId - Database record ID
+   * @param {string} channelId - Slack channel ID
+   * @param {string} messageTs - Slack message timestamp
+   * @param {string} question - Original question
+   * @returns {Promise<Object>} - Slack API response
+   */
+  async openRejectModal(triggerId, recordId, channelId, messageTs, question) {
+    try {
+      const result = await this.slackClient.views.open({
+        trigger_id: triggerId,
+        view: {
+          type: "modal",
+          callback_id: "reject_response_modal",
+          title: {
+            type: "plain_text",
+            text: "Reject Answer",
+          },
+          submit: {
+            type: "plain_text",
+            text: "Reject",
+          },
+          blocks: [
+            {
+              type: "section",
+              text: {
+                type: "mrkdwn",
+                text: `*Original Question:*\n${escapeSlack(question).substring(
+                  0,
+                  SLACK_TEXT_LIMIT - 30
+                )}`,
+              },
+            },
+            {
+              type: "input",
+              block_id: "reject_type",
+              element: {
+                type: "radio_buttons",
+                action_id: "type_choice",
+                initial_option: {
+                  text: { type: "plain_text", text: "AI answer is wrong" },
+                  value: "rejected",
+                },
+                options: [
+                  {
+                    text: { type: "plain_text", text: "AI answer is wrong" },
+                    value: "rejected",
+                  },
+                  {
+                    text: {
+                      type: "plain_text",
+                      text: "Needs teacher (I'll answer offline)",
+                    },
+                    value: "needs_teacher",
+                  },
+                ],
+              },
+              label: {
+                type: "plain_text",
+                text: "Decision",
+              },
+            },
+            {
+              type: "input",
+              block_id: "reject_reason",
+              element: {
+                type: "plain_text_input",
+                action_id: "reason_text",
+                multiline: true,
+              },
+              label: {
+                type: "plain_text",
+                text: "Reason",
+              },
+            },
+          ],
+          private_metadata: JSON.stringify({
+            channel_id: channelId,
+            message_ts: messageTs,
+            data_key: recordId.toString(),
+          }),
+        },
+      });
+
+      return result;
+    } catch (error) {
+      logger.error(`Error opening reject modal: ${error.message}`);
+      throw new Error(`Failed to open reject modal: ${error.message}`);
+    }
+  }
 }
 
 module.exports = new SlackService();
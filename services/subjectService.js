@@ -0,0 +1,137 @@
+const subjects = require("../config/subjects");
+const llmService = require("./llmService");
+const logger = require("../utils/logger");
+
+/**
+ * Classifies questions into a subject and topic and picks the Slack channel
+ * of the teachers for that subject.
+ *
+ * SUBJECT_CLASSIFIER=rules (default) uses the keyword rules in
+ * config/subjects.js; SUBJECT_CLASSIFIER=llm asks the LLM and falls back to
+ * the rules if its reply can't be used.
+ */
+class SubjectService {
+  constructor() {
+    this.mode = (process.env.SUBJECT_CLASSIFIER || "rules").toLowerCase();
+    this.defaultChannelId = process.env.SLACK_CHANNEL_ID || "testing";
+  }
+
+  /**
+   * Classify a question
+   * @param {string} text - Question text
+   * @returns {Promise<{subject: string|null, topic: string|null, method: string}>}
+   */
+  async classify(text) {
+    if (this.mode === "llm") {
+      try {
+        return await this._classifyWithLlm(text);
+      } catch (error) {
+        logger.warn(`LLM classification failed, using rules: ${error.message}`);
+      }
+    }
+
+    return this._classifyWithRules(text);
+  }
+
+  /**
+   * Slack channel for a subject's teachers
+   * @param {string|null} subject - Subject key
+   * @returns {string} - Slack channel ID
+   */
+  channelFor(subject) {
+    const config = subject && subjects[subject];
+    return (config && config.channelId) || this.defaultChannelId;
+  }
+
+  /**
+   * Human readable subject name
+   * @param {string|null} subject - Subject key
+   * @returns {string|null}
+   */
+  labelFor(subject) {
+    return subject && subjects[subject] ? subjects[subject].label : null;
+  }
+
+  /**
+   * Keyword-count classification
+   * @private
+   */
+  _classifyWithRules(text) {
+    const words = text.toLowerCase().match(/[a-z]+/g) || [];
+    const score = (keywords) =>
+      words.filter((word) =>
+        keywords.some((keyword) => matchesKeyword(word, keyword))
+      ).length;
+
+    const best = (candidates) =>
+      candidates
+        .map(([name, keywords]) => ({ name, score: score(keywords) }))
+        .filter((candidate) => candidate.score > 0)
+        .sort((a, b) => b.score - a.score)[0];
+
+    const subject = best(
+      Object.entries(subjects).map(([name, config]) => [
+        name,
+        config.keywords.concat(...Object.values(config.topics)),
+      ])
+    );
+
+    if (!subject) {
+      return { subject: null, topic: null, method: "rules" };
+    }
+
+    const topic = best(Object.entries(subjects[subject.name].topics));
+
+    return {
+      subject: subject.name,
+      topic: topic ? topic.name : null,
+      method: "rules",
+    };
+  }
+
+  /**
+   * Ask the LLM to pick a subject and topic from the configured ones
+   * @private
+   */
+  async _classifyWithLlm(text) {
+    const options = Object.entries(subjects)
+      .map(
+        ([name, config]) => `${name}: ${Object.keys(config.topics).join(", ")}`
+      )
+      .join("\n");
+
+    const { answer } = await llmService.complete(
+      [
+        {
+          role: "system",
+          content: `Classify the student's question. Subjects and their topics:\n${options}\nReply only with JSON: {"subject": "<subject or null>", "topic": "<topic or null>"}`,
+        },
+        { role: "user", content: text },
+      ],
+      { maxTokens: 50, temperature: 0 }
+    );
+
+    const parsed = JSON.parse(answer.replace(/^```(?:json)?\s*|\s*```$/g, ""));
+    const subject = subjects[parsed.subject] ? parsed.subject : null;
+    const topic =
+      subject && parsed.topic in subjects[subject].topics ? parsed.topic : null;
+
+    return { subject, topic, method: "llm" };
+  }
+}
+
+/**
+ * Whether a word matches a keyword from config/subjects.js
+ * @param {string} word - Lowercase word from the question
+ * @param {string} keyword - Whole word, or a stem ending in "*"
+ * @returns {boolean}
+ */
+function matchesKeyword(word, keyword) {
+  if (keyword.endsWith("*")) {
+    return word.startsWith(keyword.slice(0, -1));
+  }
+
+  return word === keyword || word === `${keyword}s` || word === `${keyword}es`;
+}
+
+module.exports = new SubjectService();
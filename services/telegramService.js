@@ -1,5 +1,6 @@
 const TelegramBot = require("node-telegram-bot-api");
 const logger = require("../utils/logger");
+const { toTelegramMessages } = require("../utils/formatters");
 
 /**
  * Service for handling Telegram bot interactions
@@ -27,16 +28,42 @@ class TelegramService {
   }
 
   /**
-   * Send a message to a Telegram user
+   * Send a message to a Telegram user. Markdown and LaTeX are converted,
+   * and long messages are sent as numbered parts.
    * @param {string|number} chatId - Telegram chat ID
    * @param {string} text - Message text
-   * @returns {Promise<Object>} - Telegram API response
+   * @returns {Promise<Object>} - Telegram API response for the last part
    */
   async sendMessage(chatId, text) {
+    let result;
+    for (const part of this.formatMessage(text)) {
+      result = await this.sendFormatted(chatId, part);
+    }
+    return result;
+  }
+
+  /**
+   * Convert a message into the HTML parts it is sent as
+   * @param {string} text - Message text
+   * @returns {Array<string>} - HTML parts, each within Telegram's size limit
+   */
+  formatMessage(text) {
+    return toTelegramMessages(text);
+  }
+
+  /**
+   * Send one part produced by formatMessage
+   * @param {string|number} chatId - Telegram chat ID
+   * @param {string} html - Telegram HTML
+   * @param {Object} [replyMarkup] - Keyboard to attach, e.g. rating buttons
+   * @returns {Promise<Object>} - Telegram API response
+   */
+  async sendFormatted(chatId, html, replyMarkup = null) {
     try {
-      const result = await this.bot.sendMessage(chatId, text, {
+      const result = await this.bot.sendMessage(chatId, html, {
         parse_mode: "HTML",
         disable_web_page_preview: true,
+        ...(replyMarkup ? { reply_markup: replyMarkup } : {}),
       });
 
       logger.info(`Message sent to Telegram user: ${chatId}`);
@@ -0,0 +1,239 @@
+const User = require("../models/user");
+const subjects = require("../config/subjects");
+const logger = require("../utils/logger");
+
+/**
+ * Student profiles: created on first contact, kept up to date on every
+ * message and filled in with grade and subjects during onboarding.
+ */
+class UserService {
+  constructor() {
+    // Grades students can give during onboarding
+    this.minGrade = parseInt(process.env.STUDENT_MIN_GRADE || "6", 10);
+    this.maxGrade = parseInt(process.env.STUDENT_MAX_GRADE || "12", 10);
+  }
+
+  /**
+   * Create or update the student who sent a Telegram message
+   * @param {Object} from - Telegram user object (msg.from)
+   * @returns {Promise<Object>} - User record
+   */
+  async touch(from) {
+    return User.findOneAndUpdate(
+      { platformId: String(from.id) },
+      {
+        $set: {
+          firstName: from.first_name,
+          lastName: from.last_name,
+          username: from.username,
+          lastInteractionAt: new Date(),
+        },
+        $setOnInsert: { platform: "telegram", createdAt: new Date() },
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+  }
+
+  /**
+   * Count a new question against the student
+   * @param {string} userId - User ID
+   * @returns {Promise<void>}
+   */
+  async recordQuestion(userId) {
+    await User.updateOne({ _id: userId }, { $inc: { questionsCount: 1 } });
+  }
+
+  /**
+   * Stop a student from asking questions
+   * @param {string} platformId - Telegram user ID
+   * @param {Object} [options]
+   * @param {string} [options.by] - Who blocked the student (Slack user ID)
+   * @param {string} [options.reason] - Why the student was blocked
+   * @returns {Promise<Object|null>} - Updated record, null if not found
+   */
+  async block(platformId, options = {}) {
+    const user = await User.findOneAndUpdate(
+      { platformId: String(platformId) },
+      {
+        $set: {
+          blocked: true,
+          blockedAt: new Date(),
+          blockedBy: options.by || null,
+          blockReason: options.reason || null,
+        },
+      },
+      { new: true }
+    );
+
+    if (user) {
+      logger.info(`Blocked student ${platformId} (by ${options.by})`);
+    }
+    return user;
+  }
+
+  /**
+   * Let a blocked student ask questions again
+   * @param {string} platformId - Telegram user ID
+   * @param {Object} [options]
+   * @param {string} [options.by] - Who unblocked the student (Slack user ID)
+   * @returns {Promise<Object|null>} - Updated record, null if not found
+   */
+  async unblock(platformId, options = {}) {
+    const user = await User.findOneAndUpdate(
+      { platformId: String(platformId) },
+      {
+        $set: {
+          blocked: false,
+          blockedAt: null,
+          blockedBy: null,
+          blockReason: null,
+        },
+      },
+      { new: true }
+    );
+
+    if (user) {
+      logger.info(`Unblocked student ${platformId} (by ${options.by})`);
+    }
+    return user;
+  }
+
+  /**
+   * Put a student in a cohort, used to pick prompt templates and
+   * auto-approval rules
+   * @param {string} platformId - Telegram user ID
+   * @param {string|null} cohort - Cohort name, null to remove the student
+   *   from their cohort
+   * @returns {Promise<Object|null>} - Updated record, null if not found
+   */
+  async setCohort(platformId, cohort) {
+    const user = await User.findOneAndUpdate(
+      { platformId: String(platformId) },
+      { $set: { cohort: cohort || null } },
+      { new: true }
+    );
+
+    if (user) {
+      logger.info(`Set cohort of ${platformId} to ${cohort}`);
+    }
+    return user;
+  }
+
+  /**
+   * Begin collecting grade and subjects
+   * @param {Object} user - User record
+   * @returns {Promise<void>}
+   */
+  async startOnboarding(user) {
+    user.onboardingStep = "grade";
+    await user.save();
+  }
+
+  /**
+   * Store an onboarding answer and move to the next step. Answers that
+   * can't be used leave the step unchanged so it can be asked again.
+   * @param {Object} user - User record
+   * @param {string} text - The student's reply
+   * @returns {Promise<{step: string|null, error: string|null}>} - Next step
+   *   (null when onboarding is done) and why the reply was not accepted
+   */
+  async saveOnboardingReply(user, text) {
+    const reply = text.trim();
+    const skipped = /^skip$/i.test(reply);
+
+    if (user.onboardingStep === "grade") {
+      if (!skipped) {
+        const grade = this.parseGrade(reply);
+        if (!grade) {
+          return {
+            step: user.onboardingStep,
+            error: `Please choose a grade from ${this.minGrade} to ${this.maxGrade}, or Skip.`,
+          };
+        }
+        user.grade = grade;
+      }
+      user.onboardingStep = "subjects";
+    } else if (user.onboardingStep === "subjects") {
+      if (!skipped) {
+        const chosen = this.parseSubjects(reply);
+        if (chosen.length === 0) {
+          return {
+            step: user.onboardingStep,
+            error: `I don't know that subject. Please choose from ${this.subjectLabels().join(
+              ", "
+            )}, or Skip.`,
+          };
+        }
+        user.subjects = chosen;
+      }
+      user.onboardingStep = null;
+      logger.info(`Onboarding complete for ${user.platformId}`);
+    }
+
+    await user.save();
+    return { step: user.onboardingStep, error: null };
+  }
+
+  /**
+   * Read a grade like "9" or "Grade 9"
+   * @param {string} text - Grade as typed by the student
+   * @returns {string|null} - The grade, null if it isn't a supported one
+   */
+  parseGrade(text) {
+    const match = text.match(/^(?:grade\s*)?(\d{1,2})$/i);
+    const grade = match ? parseInt(match[1], 10) : NaN;
+
+    return grade >= this.minGrade && grade <= this.maxGrade
+      ? String(grade)
+      : null;
+  }
+
+  /**
+   * Grades to offer during onboarding
+   * @returns {Array<string>}
+   */
+  gradeOptions() {
+    const grades = [];
+    for (let grade = this.minGrade; grade <= this.maxGrade; grade++) {
+      grades.push(String(grade));
+    }
+    return grades;
+  }
+
+  /**
+   * Match free text like "maths and Physics" to configured subjects
+   * @param {string} text - Subjects as typed by the student
+   * @returns {Array<string>} - Subject keys
+   */
+  parseSubjects(text) {
+    const words = text.toLowerCase();
+
+    return Object.entries(subjects)
+      .filter(
+        ([name, config]) =>
+          words.includes(name) || words.includes(config.label.toLowerCase())
+      )
+      .map(([name]) => name);
+  }
+
+  /**
+   * Subject labels to offer during onboarding
+   * @returns {Array<string>}
+   */
+  subjectLabels() {
+    return Object.values(subjects).map((config) => config.label);
+  }
+
+  /**
+   * Labels of the subjects a student chose during onboarding
+   * @param {Object|null} user - User record
+   * @returns {Array<string>}
+   */
+  studentSubjectLabels(user) {
+    return ((user && user.subjects) || [])
+      .filter((name) => subjects[name])
+      .map((name) => subjects[name].label);
+  }
+}
+
+module.exports = new UserService();
@@ -0,0 +1,61 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const logger = require("../../utils/logger");
+
+/**
+ * Offline image-to-text provider for tests and local development.
+ *
+ * Reads a JSON fixture file mapping the SHA-256 of an image's bytes to the
+ * expected result, with an optional "default" entry for unknown images:
+ *
+ *   { "<sha256>": { "text": "Solve 2x + 5 = 13", "confidence": 0.95 } }
+ */
+class FixtureVisionProvider {
+  constructor() {
+    this.name = "fixture";
+    this.fixtureFile =
+      process.env.VISION_FIXTURE_FILE ||
+      path.join(__dirname, "..", "..", "config", "vision-fixtures.json");
+  }
+
+  /**
+   * Look up the fixture result for an image
+   * @param {string} imagePath - Path to the image file
+   * @returns {Promise<{text: string, confidence: number|null}>} - Extracted text
+   */
+  async extractText(imagePath) {
+    const fixtures = this._loadFixtures();
+    const hash = crypto
+      .createHash("sha256")
+      .update(fs.readFileSync(imagePath))
+      .digest("hex");
+
+    const fixture = fixtures[hash] || fixtures.default;
+    if (!fixture) {
+      throw new Error(`No vision fixture for image ${hash}`);
+    }
+
+    logger.info(`Using vision fixture for image ${hash.substring(0, 12)}`);
+
+    return {
+      text: fixture.text,
+      confidence:
+        typeof fixture.confidence === "number" ? fixture.confidence : null,
+    };
+  }
+
+  /**
+   * Read the fixture file on every call so it can be edited while running
+   * @private
+   */
+  _loadFixtures() {
+    if (!fs.existsSync(this.fixtureFile)) {
+      throw new Error(`Vision fixture file not found: ${this.fixtureFile}`);
+    }
+
+    return JSON.parse(fs.readFileSync(this.fixtureFile, "utf8"));
+  }
+}
+
+module.exports = FixtureVisionProvider;
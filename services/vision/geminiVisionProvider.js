@@ -0,0 +1,92 @@
+const fs = require("fs");
+const path = require("path");
+const { GoogleGenerativeAI } = require("@google/generative-ai");
+const logger = require("../../utils/logger");
+
+const MIME_TYPES = {
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".png": "image/png",
+  ".webp": "image/webp",
+};
+
+/**
+ * Image-to-text provider backed by the Gemini vision models
+ */
+class GeminiVisionProvider {
+  constructor() {
+    this.name = "gemini";
+    this.apiKey = process.env.GEMINI_API_KEY;
+    this.modelName = process.env.GEMINI_VISION_MODEL || "gemini-pro-vision";
+    this.client = new GoogleGenerativeAI(this.apiKey);
+
+    // Ask for JSON so the model reports how legible the image was
+    this.prompt = [
+      "Transcribe the student's question shown in this image.",
+      "Keep math notation exactly as written.",
+      'Reply only with JSON: {"text": "<question>", "confidence": <0 to 1>}',
+      "where confidence is how sure you are the transcription is correct.",
+    ].join(" ");
+  }
+
+  /**
+   * Extract the question text from an image
+   * @param {string} imagePath - Path to the image file
+   * @returns {Promise<{text: string, confidence: number|null}>} - Extracted text
+   */
+  async extractText(imagePath) {
+    const ext = path.extname(imagePath).toLowerCase();
+    const model = this.client.getGenerativeModel({ model: this.modelName });
+
+    const result = await model.generateContent([
+      this.prompt,
+      {
+        inlineData: {
+          data: fs.readFileSync(imagePath).toString("base64"),
+          mimeType: MIME_TYPES[ext] || "image/jpeg",
+        },
+      },
+    ]);
+
+    const raw = result.response.text().trim();
+    logger.info(`Gemini vision returned ${raw.length} chars`);
+
+    return this._parseResponse(raw);
+  }
+
+  /**
+   * Parse the JSON reply, falling back to the raw text without a score
+   * @private
+   */
+  _parseResponse(raw) {
+    // Models often wrap JSON in a ```json fence
+    const cleaned = raw.replace(/^```(?:json)?\s*|\s*```$/g, "");
+
+    try {
+      const parsed = JSON.parse(cleaned);
+      // A missing or null score is unknown, not 0: a confidence of 0 is what
+      // marks an image as unreadable
+      const { confidence } = parsed;
+
+      if (typeof parsed.text === "string" && parsed.text.trim()) {
+        return {
+          text: parsed.text.trim(),
+          confidence:
+            typeof confidence === "number" && Number.isFinite(confidence)
+              ? Math.min(Math.max(confidence, 0), 1)
+              : null,
+        };
+      }
+    } catch (error) {
+      logger.warn(`Gemini vision reply was not JSON: ${error.message}`);
+    }
+
+    if (!cleaned) {
+      throw new Error("Empty response from Gemini vision model");
+    }
+
+    return { text: cleaned, confidence: null };
+  }
+}
+
+module.exports = GeminiVisionProvider;
@@ -0,0 +1,54 @@
+const logger = require("../utils/logger");
+const GeminiVisionProvider = require("./vision/geminiVisionProvider");
+const FixtureVisionProvider = require("./vision/fixtureVisionProvider");
+
+// Available image-to-text providers, selected with VISION_PROVIDER
+const PROVIDERS = {
+  gemini: GeminiVisionProvider,
+  fixture: FixtureVisionProvider,
+};
+
+/**
+ * Service for turning photos of questions into text.
+ * Delegates to a pluggable provider implementing `extractText(imagePath)`.
+ */
+class VisionService {
+  constructor() {
+    const providerName = (
+      process.env.VISION_PROVIDER || "gemini"
+    ).toLowerCase();
+    const Provider = PROVIDERS[providerName];
+
+    if (!Provider) {
+      throw new Error(`Unknown VISION_PROVIDER: ${providerName}`);
+    }
+
+    this.provider = new Provider();
+    logger.info(`Vision service initialized with provider: ${providerName}`);
+  }
+
+  /**
+   * Extract the question text from an image
+   * @param {string} imagePath - Path to the image file
+   * @returns {Promise<{text: string, confidence: number|null, provider: string}>}
+   *   - Extracted text with a 0-1 confidence score (null if unknown)
+   */
+  async extractTextFromImage(imagePath) {
+    try {
+      logger.info(`Processing image with ${this.provider.name}: ${imagePath}`);
+
+      const result = await this.provider.extractText(imagePath);
+
+      if (!result || !result.text) {
+        throw new Error("Provider returned no text");
+      }
+
+      return { ...result, provider: this.provider.name };
+    } catch (error) {
+      logger.error(`Error extracting text from image: ${error.message}`);
+      throw new Error(`Failed to extract text from image: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new VisionService();
@@ -0,0 +1,59 @@
+jest.mock("../utils/logger", () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+jest.mock("../models/question", () => ({}));
+jest.mock("../models/job", () => ({ exists: jest.fn() }));
+jest.mock("../services/jobService", () => ({
+  register: jest.fn(),
+  enqueue: jest.fn(),
+}));
+jest.mock("../services/slackService", () => ({ postMessage: jest.fn() }));
+
+const Job = require("../models/job");
+const jobService = require("../services/jobService");
+const analyticsService = require("../services/analyticsService");
+
+const [[type, handler]] = jobService.register.mock.calls;
+
+beforeEach(() => {
+  jobService.enqueue.mockReset();
+  jobService.enqueue.mockResolvedValue({});
+});
+
+describe("weekly report scheduling", () => {
+  it("registers the weekly report job with a failure handler", () => {
+    expect(type).toBe("weekly_report");
+    expect(handler.onFailed).toEqual(expect.any(Function));
+  });
+
+  it("schedules next week's report when this one gives up", async () => {
+    await handler.onFailed({}, new Error("Slack is down"));
+
+    const [jobType, , , options] = jobService.enqueue.mock.calls[0];
+    expect(jobType).toBe("weekly_report");
+    expect(options.runAt.getTime()).toBeGreaterThan(Date.now());
+  });
+
+  it("keys each report by its run time so instances share one job", async () => {
+    Job.exists.mockResolvedValue(null);
+
+    await analyticsService.scheduleWeeklyReport();
+    await analyticsService.scheduleWeeklyReport();
+
+    const [first, second] = jobService.enqueue.mock.calls.map(
+      (call) => call[3]
+    );
+    expect(first.uniqueKey).toBe(`weekly_report:${first.runAt.toISOString()}`);
+    expect(second.uniqueKey).toBe(first.uniqueKey);
+  });
+
+  it("leaves an already scheduled report alone", async () => {
+    Job.exists.mockResolvedValue({ _id: "j1" });
+
+    await analyticsService.scheduleWeeklyReport();
+
+    expect(jobService.enqueue).not.toHaveBeenCalled();
+  });
+});
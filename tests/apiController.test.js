@@ -0,0 +1,207 @@
+jest.mock("../models/question", () => ({
+  find: jest.fn(),
+  countDocuments: jest.fn(),
+}));
+jest.mock("../models/delivery", () => ({}));
+jest.mock("../models/user", () => ({}));
+jest.mock("../models/promptTemplate", () => ({}));
+jest.mock("../services/analyticsService", () => ({}));
+jest.mock("../services/promptService", () => ({ createVersion: jest.fn() }));
+jest.mock("../services/userService", () => ({
+  setCohort: jest.fn(),
+  block: jest.fn(),
+  unblock: jest.fn(),
+}));
+
+const Question = require("../models/question");
+const userService = require("../services/userService");
+const promptService = require("../services/promptService");
+const {
+  listQuestions,
+  updateStudent,
+  blockStudent,
+  unblockStudent,
+  createPromptTemplate,
+} = require("../controllers/apiController");
+
+/**
+ * Call a handler with a request and collect the response and error
+ */
+async function call(handler, req) {
+  const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+  const next = jest.fn();
+  await handler(req, res, next);
+  return { res, next };
+}
+
+/**
+ * Call listQuestions with a query object as Express would parse it
+ */
+async function list(query) {
+  const chain = {
+    select: () => chain,
+    sort: () => chain,
+    skip: () => chain,
+    limit: () => chain,
+    lean: () => Promise.resolve([]),
+  };
+  Question.find.mockReturnValue(chain);
+  Question.countDocuments.mockResolvedValue(0);
+
+  const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+  const next = jest.fn();
+  await listQuestions({ query }, res, next);
+  return { res, next };
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe("listQuestions", () => {
+  it("builds a filter from string parameters", async () => {
+    const { res } = await list({
+      student: "42",
+      status: "pending_review,delivered",
+      source: "image",
+    });
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(Question.find.mock.calls[0][0]).toEqual({
+      accountId: "42",
+      status: { $in: ["pending_review", "delivered"] },
+      isFromImage: true,
+    });
+  });
+
+  it.each([
+    ["an operator object", { student: { $ne: "x" } }],
+    ["an array", { status: ["pending_review", "delivered"] }],
+    ["a search object", { q: { $where: "1" } }],
+    ["an array page", { page: ["1", "2"] }],
+  ])("rejects %s with a 400", async (name, query) => {
+    const { next } = await list(query);
+
+    expect(next.mock.calls[0][0].statusCode).toBe(400);
+    expect(Question.find).not.toHaveBeenCalled();
+  });
+
+  it("rejects unknown statuses", async () => {
+    const { next } = await list({ status: "pending_review,lost" });
+
+    expect(next.mock.calls[0][0].message).toBe("Invalid status: lost");
+  });
+});
+
+describe("updateStudent", () => {
+  async function update(body) {
+    const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+    const next = jest.fn();
+    await updateStudent({ params: { id: "42" }, body }, res, next);
+    return { res, next };
+  }
+
+  it("assigns a cohort", async () => {
+    userService.setCohort.mockResolvedValue({ platformId: "42", cohort: "A" });
+
+    const { res } = await update({ cohort: " A " });
+
+    expect(userService.setCohort).toHaveBeenCalledWith("42", "A");
+    expect(res.status).toHaveBeenCalledWith(200);
+  });
+
+  it("removes the cohort with null", async () => {
+    userService.setCohort.mockResolvedValue({ platformId: "42" });
+
+    await update({ cohort: null });
+
+    expect(userService.setCohort).toHaveBeenCalledWith("42", null);
+  });
+
+  it.each([[{}], [{ cohort: 7 }], [{ cohort: { $ne: null } }]])(
+    "rejects %j with a 400",
+    async (body) => {
+      const { next } = await update(body);
+
+      expect(next.mock.calls[0][0].statusCode).toBe(400);
+      expect(userService.setCohort).not.toHaveBeenCalled();
+    }
+  );
+
+  it("returns 404 for unknown students", async () => {
+    userService.setCohort.mockResolvedValue(null);
+
+    const { next } = await update({ cohort: "A" });
+
+    expect(next.mock.calls[0][0].statusCode).toBe(404);
+  });
+});
+
+describe("blockStudent and unblockStudent", () => {
+  it("blocks with the given reason", async () => {
+    userService.block.mockResolvedValue({ platformId: "42", blocked: true });
+
+    const { res } = await call(blockStudent, {
+      params: { id: "42" },
+      body: { reason: "spam", by: "ops" },
+    });
+
+    expect(userService.block).toHaveBeenCalledWith("42", {
+      by: "ops",
+      reason: "spam",
+    });
+    expect(res.status).toHaveBeenCalledWith(200);
+  });
+
+  it.each([[{ reason: { $ne: null } }], [{ reason: ["spam"] }], [{ by: 7 }]])(
+    "rejects a block with %j",
+    async (body) => {
+      const { next } = await call(blockStudent, { params: { id: "42" }, body });
+
+      expect(next.mock.calls[0][0].statusCode).toBe(400);
+      expect(userService.block).not.toHaveBeenCalled();
+    }
+  );
+
+  it("rejects an unblock with a non-string author", async () => {
+    const { next } = await call(unblockStudent, {
+      params: { id: "42" },
+      body: { by: { name: "ops" } },
+    });
+
+    expect(next.mock.calls[0][0].statusCode).toBe(400);
+    expect(userService.unblock).not.toHaveBeenCalled();
+  });
+});
+
+describe("createPromptTemplate", () => {
+  it("creates a version from string fields", async () => {
+    promptService.createVersion.mockResolvedValue({ name: "math", version: 2 });
+
+    const { res } = await call(createPromptTemplate, {
+      body: { name: "math", systemPrompt: "You tutor {{grade}}", cohort: null },
+    });
+
+    expect(promptService.createVersion).toHaveBeenCalledWith({
+      name: "math",
+      systemPrompt: "You tutor {{grade}}",
+      subject: undefined,
+      cohort: null,
+      createdBy: undefined,
+    });
+    expect(res.status).toHaveBeenCalledWith(201);
+  });
+
+  it.each([
+    [{ name: { $ne: null }, systemPrompt: "x" }],
+    [{ name: "math", systemPrompt: ["x"] }],
+    [{ name: "math", systemPrompt: "x", createdBy: { $gt: "" } }],
+    [{ name: "math", systemPrompt: "x", subject: 3 }],
+    [{ name: "math" }],
+  ])("rejects %j with a 400", async (body) => {
+    const { next } = await call(createPromptTemplate, { body });
+
+    expect(next.mock.calls[0][0].statusCode).toBe(400);
+    expect(promptService.createVersion).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,117 @@
+jest.mock("../utils/logger", () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+jest.mock("../config/autoApproval", () => ({
+  enabled: true,
+  rules: [
+    { name: "repeated_answer", minApprovals: 3 },
+    { name: "trusted_subject", subjects: ["math"] },
+    { name: "trusted_cohort", cohorts: ["A"] },
+    { name: "unset_subjects", subjects: [] },
+  ],
+}));
+jest.mock("../services/knowledgeBaseService", () => ({
+  findRepeatedAnswer: jest.fn(),
+}));
+
+const knowledgeBaseService = require("../services/knowledgeBaseService");
+const autoApprovalService = require("../services/autoApprovalService");
+const { QUESTION_STATUS } = require("../config/constants");
+
+/**
+ * Question waiting for review with an AI answer
+ */
+function pendingQuestion(fields = {}) {
+  return {
+    _id: "q1",
+    question: "What is 2^3?",
+    answer: "AI answer",
+    subject: "physics",
+    status: QUESTION_STATUS.PENDING_REVIEW,
+    ...fields,
+  };
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  knowledgeBaseService.findRepeatedAnswer.mockResolvedValue(null);
+});
+
+describe("autoApprovalService.evaluate", () => {
+  it("ignores rules without any condition set", () => {
+    expect(autoApprovalService.rules.map((rule) => rule.name)).toEqual([
+      "repeated_answer",
+      "trusted_subject",
+      "trusted_cohort",
+    ]);
+  });
+
+  it("reuses an answer teachers approved often enough", async () => {
+    knowledgeBaseService.findRepeatedAnswer.mockResolvedValue({
+      answer: "8",
+      sourceId: "p1",
+      approvals: 3,
+    });
+
+    await expect(
+      autoApprovalService.evaluate(pendingQuestion(), null)
+    ).resolves.toEqual({
+      rule: "repeated_answer",
+      answer: "8",
+      reusedFrom: "p1",
+    });
+  });
+
+  it("needs the minimum number of approvals", async () => {
+    knowledgeBaseService.findRepeatedAnswer.mockResolvedValue({
+      answer: "8",
+      sourceId: "p1",
+      approvals: 2,
+    });
+
+    await expect(
+      autoApprovalService.evaluate(pendingQuestion(), null)
+    ).resolves.toBeNull();
+  });
+
+  it("sends the AI answer for a trusted subject", async () => {
+    await expect(
+      autoApprovalService.evaluate(pendingQuestion({ subject: "math" }), null)
+    ).resolves.toEqual({
+      rule: "trusted_subject",
+      answer: "AI answer",
+      reusedFrom: null,
+    });
+  });
+
+  it("sends the AI answer for a trusted cohort", async () => {
+    const decision = await autoApprovalService.evaluate(pendingQuestion(), {
+      cohort: "A",
+    });
+
+    expect(decision.rule).toBe("trusted_cohort");
+  });
+
+  it("never sends a failed AI answer", async () => {
+    await expect(
+      autoApprovalService.evaluate(
+        pendingQuestion({ subject: "math", status: QUESTION_STATUS.AI_FAILED }),
+        { cohort: "A" }
+      )
+    ).resolves.toBeNull();
+  });
+
+  it("approves nothing when disabled", async () => {
+    autoApprovalService.enabled = false;
+
+    try {
+      await expect(
+        autoApprovalService.evaluate(pendingQuestion({ subject: "math" }), null)
+      ).resolves.toBeNull();
+    } finally {
+      autoApprovalService.enabled = true;
+    }
+  });
+});
@@ -0,0 +1,95 @@
+const CircuitBreaker = require("../services/llm/circuitBreaker");
+
+let now;
+
+beforeEach(() => {
+  now = 1000000;
+  jest.spyOn(Date, "now").mockImplementation(() => now);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+/**
+ * A breaker that has just opened after three failures
+ */
+function openBreaker() {
+  const breaker = new CircuitBreaker({ failureThreshold: 3, cooldownMs: 100 });
+  breaker.recordFailure();
+  breaker.recordFailure();
+  breaker.recordFailure();
+  return breaker;
+}
+
+describe("CircuitBreaker", () => {
+  it("stays closed below the failure threshold", () => {
+    const breaker = new CircuitBreaker({ failureThreshold: 3 });
+    breaker.recordFailure();
+    breaker.recordFailure();
+
+    expect(breaker.isOpen()).toBe(false);
+    expect(breaker.canRequest()).toBe(true);
+  });
+
+  it("resets the failure count on success", () => {
+    const breaker = new CircuitBreaker({ failureThreshold: 3 });
+    breaker.recordFailure();
+    breaker.recordFailure();
+    breaker.recordSuccess();
+    breaker.recordFailure();
+
+    expect(breaker.isOpen()).toBe(false);
+  });
+
+  it("turns requests away while open", () => {
+    const breaker = openBreaker();
+    now += 99;
+
+    expect(breaker.isOpen()).toBe(true);
+    expect(breaker.canRequest()).toBe(false);
+  });
+
+  it("lets exactly one trial request through after the cooldown", () => {
+    const breaker = openBreaker();
+    now += 100;
+
+    expect(breaker.canRequest()).toBe(true);
+    expect(breaker.canRequest()).toBe(false);
+    expect(breaker.canRequest()).toBe(false);
+  });
+
+  it("closes when the trial succeeds", () => {
+    const breaker = openBreaker();
+    now += 100;
+    breaker.canRequest();
+    breaker.recordSuccess();
+
+    expect(breaker.isOpen()).toBe(false);
+    expect(breaker.canRequest()).toBe(true);
+    expect(breaker.canRequest()).toBe(true);
+  });
+
+  it("reopens for another cooldown when the trial fails", () => {
+    const breaker = openBreaker();
+    now += 100;
+    breaker.canRequest();
+    breaker.recordFailure();
+
+    expect(breaker.canRequest()).toBe(false);
+    now += 100;
+    expect(breaker.canRequest()).toBe(true);
+    expect(breaker.canRequest()).toBe(false);
+  });
+
+  it("hands out a new trial when the previous one is never recorded", () => {
+    const breaker = openBreaker();
+    now += 100;
+    breaker.canRequest();
+
+    now += 99;
+    expect(breaker.canRequest()).toBe(false);
+    now += 1;
+    expect(breaker.canRequest()).toBe(true);
+  });
+});
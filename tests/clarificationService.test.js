@@ -0,0 +1,144 @@
+jest.mock("../utils/logger", () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+jest.mock("../models/question", () => ({
+  findOneAndUpdate: jest.fn(),
+  findOne: jest.fn(),
+}));
+jest.mock("../services/slackService", () => ({ postThreadReply: jest.fn() }));
+jest.mock("../services/telegramService", () => ({ sendMessage: jest.fn() }));
+
+const Question = require("../models/question");
+const slackService = require("../services/slackService");
+const telegramService = require("../services/telegramService");
+const clarificationService = require("../services/clarificationService");
+
+/**
+ * A teacher's reply in the thread of an approval card
+ */
+function threadReply(fields = {}) {
+  return {
+    type: "message",
+    channel: "C1",
+    thread_ts: "1.1",
+    ts: "1.5",
+    user: "U1",
+    text: "<@U2> is x &lt; 2 squared?",
+    ...fields,
+  };
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe("forwardTeacherMessage", () => {
+  it("stores the teacher's message and sends it to the student", async () => {
+    Question.findOneAndUpdate.mockResolvedValue({
+      _id: "q1",
+      accountId: "42",
+      question: "Solve x2 + 1 = 5",
+    });
+
+    await expect(
+      clarificationService.forwardTeacherMessage(threadReply())
+    ).resolves.toBe(true);
+
+    const [filter, update] = Question.findOneAndUpdate.mock.calls[0];
+    expect(filter).toEqual({
+      slackChannelId: "C1",
+      slackMessageTs: "1.1",
+      status: { $in: ["pending_review", "ai_failed"] },
+      "clarifications.slackTs": { $ne: "1.5" },
+    });
+    expect(update.$push.clarifications).toEqual({
+      from: "teacher",
+      text: "is x < 2 squared?",
+      slackUserId: "U1",
+      slackTs: "1.5",
+    });
+    expect(update.$set.clarificationRequestedAt).toBeInstanceOf(Date);
+    expect(telegramService.sendMessage).toHaveBeenCalledWith(
+      "42",
+      'A teacher has a question about "Solve x2 + 1 = 5":\n\nis x < 2 squared?\n\nJust reply here and I\'ll pass your answer on.'
+    );
+  });
+
+  it("shortens long questions in the message to the student", async () => {
+    Question.findOneAndUpdate.mockResolvedValue({
+      _id: "q1",
+      accountId: "42",
+      question: `${"a".repeat(70)}\n${"b".repeat(10)}`,
+    });
+
+    await clarificationService.forwardTeacherMessage(threadReply());
+
+    expect(telegramService.sendMessage.mock.calls[0][1]).toMatch(
+      new RegExp(`^A teacher has a question about "${"a".repeat(60)}\\.\\.\\."`)
+    );
+  });
+
+  it("ignores threads of decided questions and redelivered events", async () => {
+    Question.findOneAndUpdate.mockResolvedValue(null);
+
+    await expect(
+      clarificationService.forwardTeacherMessage(threadReply())
+    ).resolves.toBe(false);
+    expect(telegramService.sendMessage).not.toHaveBeenCalled();
+  });
+
+  it("ignores messages with no text", async () => {
+    await expect(
+      clarificationService.forwardTeacherMessage(threadReply({ text: " " }))
+    ).resolves.toBe(false);
+    expect(Question.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+});
+
+describe("findOpen", () => {
+  it("finds the latest waiting question with an open clarification", async () => {
+    const sort = jest.fn().mockResolvedValue({ _id: "q1" });
+    Question.findOne.mockReturnValue({ sort });
+
+    await expect(
+      clarificationService.findOpen({ platformId: "42" })
+    ).resolves.toEqual({ _id: "q1" });
+
+    expect(Question.findOne).toHaveBeenCalledWith({
+      accountId: "42",
+      clarificationRequestedAt: { $ne: null },
+      status: { $in: ["pending_review", "ai_failed"] },
+    });
+    expect(sort).toHaveBeenCalledWith({ clarificationRequestedAt: -1 });
+  });
+});
+
+describe("recordStudentReply", () => {
+  it("closes the clarification and posts the reply in the thread", async () => {
+    const questionRecord = {
+      _id: "q1",
+      accountName: "<Ana & Bo>",
+      slackChannelId: "C1",
+      slackMessageTs: "1.1",
+      clarifications: [{ from: "teacher", text: "Is the x squared?" }],
+      clarificationRequestedAt: new Date(),
+      save: jest.fn(),
+    };
+
+    await clarificationService.recordStudentReply(questionRecord, "Yes, x<2>");
+
+    expect(questionRecord.clarifications[1]).toEqual({
+      from: "student",
+      text: "Yes, x<2>",
+    });
+    expect(questionRecord.clarificationRequestedAt).toBeNull();
+    expect(questionRecord.save).toHaveBeenCalled();
+    expect(slackService.postThreadReply).toHaveBeenCalledWith(
+      "C1",
+      "1.1",
+      ":speech_balloon: *&lt;Ana &amp; Bo&gt; replied:*\nYes, x&lt;2&gt;"
+    );
+  });
+});
@@ -0,0 +1,159 @@
+jest.mock("../utils/logger", () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+jest.mock("../models/question", () => ({ find: jest.fn() }));
+jest.mock("../models/user", () => ({
+  findOne: jest.fn(),
+  updateOne: jest.fn(),
+}));
+
+const Question = require("../models/question");
+const User = require("../models/user");
+const conversationService = require("../services/conversationService");
+
+const NOW = new Date("2026-03-02T12:00:00Z");
+const HOUR = 60 * 60 * 1000;
+
+const current = {
+  _id: "q9",
+  accountId: "42",
+  createdAt: NOW,
+};
+
+/**
+ * Make the student lookup and question query return the given records
+ */
+function mockRecords(student, previous) {
+  User.findOne.mockReturnValue({ lean: () => Promise.resolve(student) });
+
+  const chain = {
+    sort: jest.fn(() => chain),
+    limit: jest.fn(() => chain),
+    lean: () => Promise.resolve(previous),
+  };
+  Question.find.mockReturnValue(chain);
+  return chain;
+}
+
+/**
+ * A delivered question whose question and answer take `tokens` each
+ */
+function delivered(id, tokens, fields = {}) {
+  return {
+    _id: id,
+    question: `${id} `.padEnd(tokens * 4, "q"),
+    answer: `${id} `.padEnd(tokens * 4, "a"),
+    ...fields,
+  };
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.useFakeTimers().setSystemTime(NOW);
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe("buildHistory", () => {
+  it("uses delivered questions from the recent window, newest first", async () => {
+    const chain = mockRecords(null, []);
+
+    await conversationService.buildHistory(current);
+
+    expect(Question.find).toHaveBeenCalledWith({
+      accountId: "42",
+      _id: { $ne: "q9" },
+      status: "delivered",
+      createdAt: {
+        $gte: new Date(NOW.getTime() - 24 * HOUR),
+        $lt: NOW,
+      },
+    });
+    expect(chain.sort).toHaveBeenCalledWith({ createdAt: -1 });
+    expect(chain.limit).toHaveBeenCalledWith(10);
+  });
+
+  it("returns the turns oldest first with the answer the student received", async () => {
+    mockRecords(null, [
+      delivered("newer", 10, { editedAnswer: "edited by a teacher" }),
+      delivered("older", 10),
+    ]);
+
+    const history = await conversationService.buildHistory(current);
+
+    expect(history).toEqual([
+      { role: "user", content: delivered("older", 10).question },
+      { role: "assistant", content: delivered("older", 10).answer },
+      { role: "user", content: delivered("newer", 10).question },
+      { role: "assistant", content: "edited by a teacher" },
+    ]);
+  });
+
+  it("stops at the first turn that does not fit in the token budget", async () => {
+    mockRecords(null, [
+      delivered("newest", 500),
+      delivered("middle", 200),
+      delivered("large", 300),
+      delivered("oldest", 10),
+    ]);
+
+    const history = await conversationService.buildHistory(current);
+
+    // 1000 + 400 tokens fit in 1500; the 600-token turn and everything
+    // before it are left out, even though the oldest one would fit
+    expect(history.map((turn) => turn.content.split(" ")[0])).toEqual([
+      "middle",
+      "middle",
+      "newest",
+      "newest",
+    ]);
+  });
+
+  it("only looks back to the start of the current conversation", async () => {
+    const startedAt = new Date(NOW.getTime() - 2 * HOUR);
+    mockRecords({ platformId: "42", conversationStartedAt: startedAt }, []);
+
+    await conversationService.buildHistory(current);
+
+    expect(Question.find.mock.calls[0][0].createdAt.$gte).toEqual(startedAt);
+  });
+
+  it("ignores a conversation start older than the recent window", async () => {
+    const startedAt = new Date(NOW.getTime() - 48 * HOUR);
+    mockRecords({ platformId: "42", conversationStartedAt: startedAt }, []);
+
+    await conversationService.buildHistory(current);
+
+    expect(Question.find.mock.calls[0][0].createdAt.$gte).toEqual(
+      new Date(NOW.getTime() - 24 * HOUR)
+    );
+  });
+
+  it("answers without context when the history cannot load", async () => {
+    User.findOne.mockReturnValue({
+      lean: () => Promise.reject(new Error("down")),
+    });
+
+    await expect(conversationService.buildHistory(current)).resolves.toEqual(
+      []
+    );
+  });
+});
+
+describe("startNewConversation", () => {
+  it("resets the conversation start to now", async () => {
+    await conversationService.startNewConversation({
+      _id: "u1",
+      platformId: "42",
+    });
+
+    expect(User.updateOne).toHaveBeenCalledWith(
+      { _id: "u1" },
+      { $set: { conversationStartedAt: NOW } }
+    );
+  });
+});
@@ -0,0 +1,289 @@
+jest.mock("../utils/logger", () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+jest.mock("../models/delivery", () => ({
+  create: jest.fn(),
+  find: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  updateOne: jest.fn(),
+  updateMany: jest.fn(),
+  exists: jest.fn(),
+}));
+jest.mock("../models/question", () => ({
+  findById: jest.fn(),
+  transitionAtomically: jest.fn(),
+}));
+jest.mock("../services/telegramService", () => ({
+  formatMessage: jest.fn(),
+  sendFormatted: jest.fn(),
+}));
+jest.mock("../services/slackService", () => ({
+  postThreadReply: jest.fn(),
+}));
+jest.mock("../services/feedbackService", () => ({
+  keyboard: jest.fn(() => ({ inline_keyboard: [] })),
+}));
+
+const Delivery = require("../models/delivery");
+const Question = require("../models/question");
+const telegramService = require("../services/telegramService");
+const slackService = require("../services/slackService");
+const deliveryService = require("../services/deliveryService");
+const { QUESTION_STATUS } = require("../config/constants");
+
+/**
+ * In-memory stand-in for a Delivery document
+ */
+function fakeDelivery(fields = {}) {
+  return {
+    _id: "d1",
+    questionId: "q1",
+    chatId: "42",
+    text: "The answer",
+    attempts: 0,
+    partsSent: 0,
+    status: "sending",
+    alertedAt: null,
+    ...fields,
+  };
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  telegramService.formatMessage.mockReturnValue(["part 1", "part 2"]);
+  telegramService.sendFormatted.mockResolvedValue({});
+  Question.transitionAtomically.mockResolvedValue({});
+  Delivery.updateOne.mockResolvedValue({ matchedCount: 1 });
+});
+
+describe("deliveryService._attempt", () => {
+  it("sends every part and marks the delivery delivered", async () => {
+    const delivery = fakeDelivery();
+
+    await deliveryService._attempt(delivery);
+
+    expect(telegramService.sendFormatted).toHaveBeenCalledTimes(2);
+    expect(delivery.status).toBe("delivered");
+    expect(delivery.partsSent).toBe(2);
+    expect(delivery.attempts).toBe(1);
+    expect(Question.transitionAtomically).toHaveBeenCalledWith(
+      "q1",
+      QUESTION_STATUS.DELIVERED
+    );
+    expect(Delivery.updateOne).toHaveBeenCalledWith(
+      { _id: "d1", status: "sending" },
+      {
+        $set: expect.objectContaining({
+          status: "delivered",
+          attempts: 1,
+          partsSent: 2,
+        }),
+      }
+    );
+  });
+
+  it("resumes after the parts already sent", async () => {
+    await deliveryService._attempt(fakeDelivery({ partsSent: 1 }));
+
+    expect(telegramService.sendFormatted).toHaveBeenCalledTimes(1);
+    expect(telegramService.sendFormatted.mock.calls[0][1]).toBe("part 2");
+  });
+
+  it("puts the rating keyboard on the last part only", async () => {
+    await deliveryService._attempt(fakeDelivery());
+
+    expect(telegramService.sendFormatted.mock.calls[0][2]).toBeNull();
+    expect(telegramService.sendFormatted.mock.calls[1][2]).toEqual({
+      inline_keyboard: [],
+    });
+  });
+
+  it("schedules a retry when sending fails", async () => {
+    telegramService.sendFormatted
+      .mockResolvedValueOnce({})
+      .mockRejectedValueOnce(new Error("Telegram down"));
+    const delivery = fakeDelivery();
+
+    await deliveryService._attempt(delivery);
+
+    expect(delivery.status).toBe("pending");
+    expect(delivery.partsSent).toBe(1);
+    expect(delivery.lastError).toBe("Telegram down");
+    expect(delivery.nextAttemptAt.getTime()).toBeGreaterThan(Date.now());
+    expect(Question.transitionAtomically).toHaveBeenCalledWith(
+      "q1",
+      QUESTION_STATUS.DELIVERY_FAILED,
+      { note: "Telegram down" }
+    );
+  });
+
+  it("dead-letters after the last attempt and tells the Slack thread", async () => {
+    telegramService.sendFormatted.mockRejectedValue(new Error("blocked"));
+    Question.findById.mockResolvedValue({
+      accountName: "Ada",
+      slackChannelId: "C1",
+      slackMessageTs: "123.456",
+    });
+    const delivery = fakeDelivery({
+      attempts: deliveryService.maxAttempts - 1,
+    });
+
+    await deliveryService._attempt(delivery);
+
+    expect(delivery.status).toBe("dead");
+    expect(slackService.postThreadReply).toHaveBeenCalledWith(
+      "C1",
+      "123.456",
+      expect.stringContaining("Gave up")
+    );
+    expect(delivery.alertedAt).toBeInstanceOf(Date);
+  });
+
+  it("escapes the student's name and the error in the Slack alert", async () => {
+    telegramService.sendFormatted.mockRejectedValue(
+      new Error("can't parse <b> tag")
+    );
+    Question.findById.mockResolvedValue({
+      accountName: "<!channel> Ada & Bo",
+      slackChannelId: "C1",
+      slackMessageTs: "123.456",
+    });
+
+    await deliveryService._attempt(
+      fakeDelivery({ attempts: deliveryService.maxAttempts - 1 })
+    );
+
+    expect(slackService.postThreadReply.mock.calls[0][2]).toBe(
+      `:rotating_light: Could not deliver this answer to &lt;!channel&gt; Ada &amp; Bo after ${deliveryService.maxAttempts} attempts. Gave up: can't parse &lt;b&gt; tag`
+    );
+  });
+
+  it("drops the outcome of a delivery cancelled while sending", async () => {
+    telegramService.sendFormatted.mockRejectedValue(new Error("timeout"));
+    Delivery.updateOne.mockResolvedValue({ matchedCount: 0 });
+
+    await deliveryService._attempt(
+      fakeDelivery({ attempts: deliveryService.maxAttempts - 1 })
+    );
+
+    expect(Delivery.updateOne).toHaveBeenCalledTimes(1);
+    expect(Question.transitionAtomically).not.toHaveBeenCalled();
+    expect(slackService.postThreadReply).not.toHaveBeenCalled();
+  });
+
+  it("dead-letters an empty answer without retrying", async () => {
+    telegramService.formatMessage.mockReturnValue([]);
+    Question.findById.mockResolvedValue({
+      accountName: "Ada",
+      slackChannelId: "C1",
+      slackMessageTs: "123.456",
+    });
+    const delivery = fakeDelivery();
+
+    await deliveryService._attempt(delivery);
+
+    expect(telegramService.sendFormatted).not.toHaveBeenCalled();
+    expect(delivery.status).toBe("dead");
+    expect(delivery.lastError).toBe("Answer is empty");
+    expect(slackService.postThreadReply).toHaveBeenCalled();
+  });
+
+  it("stays quiet in Slack before the alert threshold", async () => {
+    telegramService.sendFormatted.mockRejectedValue(new Error("timeout"));
+
+    await deliveryService._attempt(fakeDelivery());
+
+    expect(slackService.postThreadReply).not.toHaveBeenCalled();
+  });
+});
+
+describe("deliveryService.cancel", () => {
+  /**
+   * Unsent deliveries cancel will find, and whether one was delivered
+   */
+  function stored(open, delivered = null) {
+    Delivery.find.mockReturnValue({
+      select: () => ({ lean: () => Promise.resolve(open) }),
+    });
+    Delivery.updateMany.mockResolvedValue({ modifiedCount: open.length });
+    Delivery.exists.mockResolvedValue(delivered);
+  }
+
+  it("cancels deliveries that are being sent as well as waiting ones", async () => {
+    stored([]);
+
+    await deliveryService.cancel("q1");
+
+    const [filter, update] = Delivery.updateMany.mock.calls[0];
+    expect(filter).toEqual({
+      questionId: "q1",
+      status: { $in: ["pending", "sending", "dead"] },
+    });
+    expect(update.$set.status).toBe("cancelled");
+  });
+
+  it("reports nothing sent when no part went out", async () => {
+    stored([{ status: "pending", partsSent: 0 }]);
+
+    await expect(deliveryService.cancel("q1")).resolves.toBe(false);
+  });
+
+  it.each([
+    ["an answer being sent", [{ status: "sending", partsSent: 0 }], null],
+    ["a partly sent answer", [{ status: "pending", partsSent: 1 }], null],
+    ["a delivered answer", [], { _id: "d1" }],
+  ])("reports %s as reaching the student", async (name, open, delivered) => {
+    stored(open, delivered);
+
+    await expect(deliveryService.cancel("q1")).resolves.toBe(true);
+  });
+});
+
+describe("deliveryService._backoff", () => {
+  it("doubles the delay per attempt, with up to 20% jitter", () => {
+    const base = deliveryService.baseDelay;
+
+    for (const attempts of [1, 2, 3]) {
+      const delay = deliveryService._backoff(attempts);
+      const expected = base * Math.pow(2, attempts - 1);
+      expect(delay).toBeGreaterThanOrEqual(expected * 0.8);
+      expect(delay).toBeLessThanOrEqual(expected * 1.2);
+    }
+  });
+
+  it("never waits much longer than the maximum delay", () => {
+    expect(deliveryService._backoff(50)).toBeLessThanOrEqual(
+      deliveryService.maxDelay * 1.2
+    );
+  });
+});
+
+describe("deliveryService.processDue", () => {
+  it("attempts claimed deliveries until none are due", async () => {
+    const first = fakeDelivery({ _id: "d1" });
+    const second = fakeDelivery({ _id: "d2" });
+    Delivery.findOneAndUpdate
+      .mockResolvedValueOnce(first)
+      .mockResolvedValueOnce(second)
+      .mockResolvedValueOnce(null);
+
+    await expect(deliveryService.processDue()).resolves.toBe(2);
+    expect(first.status).toBe("delivered");
+    expect(second.status).toBe("delivered");
+  });
+
+  it("claims only due or abandoned deliveries", async () => {
+    Delivery.findOneAndUpdate.mockResolvedValueOnce(null);
+
+    await deliveryService.processDue();
+
+    const [filter, update] = Delivery.findOneAndUpdate.mock.calls[0];
+    expect(filter.$or).toEqual([
+      { status: "pending", nextAttemptAt: { $lte: expect.any(Date) } },
+      { status: "sending", lockedUntil: { $lte: expect.any(Date) } },
+    ]);
+    expect(update.$set.status).toBe("sending");
+  });
+});
@@ -0,0 +1,192 @@
+jest.mock("../utils/logger", () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+jest.mock("../models/question", () => ({
+  findOne: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  updateOne: jest.fn(),
+  transitionAtomically: jest.fn(),
+}));
+jest.mock("../models/user", () => ({}));
+jest.mock("../services/slackService", () => ({
+  postThreadReply: jest.fn(),
+}));
+jest.mock("../services/googleSheetService", () => ({
+  saveFeedback: jest.fn(),
+  updateFeedbackComment: jest.fn(),
+}));
+
+const Question = require("../models/question");
+const googleSheetsService = require("../services/googleSheetService");
+const feedbackService = require("../services/feedbackService");
+const { QUESTION_STATUS } = require("../config/constants");
+
+const student = { _id: "u1", platformId: "42" };
+
+/**
+ * Delivered question with the given feedback
+ */
+function deliveredQuestion(feedback = {}, fields = {}) {
+  const record = {
+    _id: "q1",
+    accountId: "42",
+    accountName: "Ada",
+    question: "What is 2^3?",
+    answer: "8",
+    editedAnswer: null,
+    status: QUESTION_STATUS.DELIVERED,
+    feedback: { rating: null, ratedAt: null, ...feedback },
+    feedbackHistory: [],
+    ...fields,
+  };
+  record.toObject = () => ({ ...record });
+  return record;
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  googleSheetsService.saveFeedback.mockResolvedValue({
+    updates: { updatedRange: "Feedback!A2:G2" },
+  });
+  Question.updateOne.mockResolvedValue({});
+});
+
+describe("feedbackService.rate", () => {
+  it("stores a helpful rating once", async () => {
+    const record = deliveredQuestion();
+    Question.findOne.mockResolvedValue(record);
+    Question.findOneAndUpdate.mockResolvedValue(
+      deliveredQuestion({ rating: "helpful" })
+    );
+
+    await expect(
+      feedbackService.rate("q1", student, "helpful")
+    ).resolves.toBeTruthy();
+
+    const [filter, update] = Question.findOneAndUpdate.mock.calls[0];
+    expect(filter).toMatchObject({
+      _id: "q1",
+      "feedback.rating": null,
+      "feedback.ratedAt": null,
+    });
+    expect(update.$set.feedback.rating).toBe("helpful");
+    expect(update.$set).not.toHaveProperty("feedbackHistory");
+  });
+
+  it("reopens the question for a not helpful rating", async () => {
+    Question.findOne.mockResolvedValue(deliveredQuestion());
+    Question.transitionAtomically.mockResolvedValue(
+      deliveredQuestion({ rating: "not_helpful" })
+    );
+
+    await feedbackService.rate("q1", student, "not_helpful");
+
+    const [id, status, options] = Question.transitionAtomically.mock.calls[0];
+    expect(id).toBe("q1");
+    expect(status).toBe(QUESTION_STATUS.PENDING_REVIEW);
+    expect(options.filter).toEqual({
+      "feedback.rating": null,
+      "feedback.ratedAt": null,
+    });
+    expect(options.set).toMatchObject({
+      feedback: expect.objectContaining({ rating: "not_helpful" }),
+      editedAnswer: null,
+      autoApprovedRule: null,
+    });
+  });
+
+  it("lets the student rate the answer they got after a reopen", async () => {
+    const ratedAt = new Date("2030-01-01T10:00:00Z");
+    const earlier = {
+      rating: "not_helpful",
+      ratedAt,
+      comment: "Too short",
+      sheetRange: "Feedback!A2:G2",
+    };
+    Question.findOne.mockResolvedValue(deliveredQuestion(earlier));
+    Question.findOneAndUpdate.mockResolvedValue(
+      deliveredQuestion({ rating: "helpful" })
+    );
+
+    await feedbackService.rate("q1", student, "helpful");
+
+    expect(Question.findOne.mock.calls[0][0]["feedback.rating"]).toEqual({
+      $in: [null, "not_helpful"],
+    });
+    const [filter, update] = Question.findOneAndUpdate.mock.calls[0];
+    expect(filter).toMatchObject({
+      "feedback.rating": "not_helpful",
+      "feedback.ratedAt": ratedAt,
+    });
+    expect(update.$set.feedbackHistory).toEqual([
+      expect.objectContaining({ rating: "not_helpful", comment: "Too short" }),
+    ]);
+    expect(update.$set.feedback).toMatchObject({
+      rating: "helpful",
+      comment: null,
+      sheetRange: null,
+    });
+  });
+
+  it("returns null when another tap got there first", async () => {
+    Question.findOne.mockResolvedValue(deliveredQuestion());
+    Question.findOneAndUpdate.mockResolvedValue(null);
+
+    await expect(
+      feedbackService.rate("q1", student, "helpful")
+    ).resolves.toBeNull();
+    expect(googleSheetsService.saveFeedback).not.toHaveBeenCalled();
+  });
+
+  it("returns null for answers that can't be rated", async () => {
+    Question.findOne.mockResolvedValue(null);
+
+    await expect(
+      feedbackService.rate("q1", student, "helpful")
+    ).resolves.toBeNull();
+    expect(Question.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+});
+
+describe("feedbackService.findOpenComment", () => {
+  it("only takes replies to the comment prompt", async () => {
+    await expect(
+      feedbackService.findOpenComment(student, { text: "What is 3^2?" })
+    ).resolves.toBeNull();
+    expect(Question.findOne).not.toHaveBeenCalled();
+  });
+
+  it("finds the question whose prompt was replied to", async () => {
+    const record = deliveredQuestion({ rating: "not_helpful" });
+    Question.findOne.mockResolvedValue(record);
+
+    await expect(
+      feedbackService.findOpenComment(student, {
+        text: "Too short",
+        reply_to_message: { message_id: 77 },
+      })
+    ).resolves.toBe(record);
+    expect(Question.findOne).toHaveBeenCalledWith({
+      accountId: "42",
+      "feedback.commentPromptId": 77,
+    });
+  });
+});
+
+describe("feedbackService.recordComment", () => {
+  it("stores the comment and closes the prompt", async () => {
+    const record = deliveredQuestion({
+      rating: "not_helpful",
+      commentPromptId: 77,
+    });
+    record.save = jest.fn().mockResolvedValue(undefined);
+
+    await feedbackService.recordComment(record, "Too short");
+
+    expect(record.feedback.comment).toBe("Too short");
+    expect(record.feedback.commentPromptId).toBeNull();
+    expect(record.save).toHaveBeenCalled();
+  });
+});
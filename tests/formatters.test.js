@@ -0,0 +1,211 @@
+const {
+  latexToUnicode,
+  toTelegramHtml,
+  toSlackMrkdwn,
+  splitMarkdown,
+  toTelegramMessages,
+  toSlackMrkdwnChunks,
+  TELEGRAM_MESSAGE_LIMIT,
+} = require("../utils/formatters");
+
+/**
+ * A paragraph of the given number of words
+ */
+function paragraph(words) {
+  return "word ".repeat(words).trim();
+}
+
+describe("latexToUnicode", () => {
+  it.each([
+    ["\\frac{a+b}{2}", "(a+b)/2"],
+    ["\\frac{1}{2}", "1/2"],
+    ["x^2 + y_{10}", "x² + y₁₀"],
+    ["\\sqrt{x+1}", "√(x+1)"],
+    ["\\sqrt[3]{8}", "∛8"],
+    ["a \\leq b \\cdot c", "a ≤ b · c"],
+    ["\\alpha \\times \\pi", "α × π"],
+    ["\\left( x \\right.", "( x "],
+    ["\\sin x", "sin x"],
+  ])("converts %p to %p", (latex, text) => {
+    expect(latexToUnicode(latex)).toBe(text);
+  });
+
+  it.each([
+    ["\\constructor x", "constructor x"],
+    ["\\toString", "toString"],
+    ["\\hasOwnProperty{a}", "hasOwnPropertya"],
+    ["\\sqrt[constructor]{x}", "ᶜᵒⁿˢᵗʳᵘᶜᵗᵒʳ√x"],
+  ])("does not mistake %p for a symbol", (latex, text) => {
+    expect(latexToUnicode(latex)).toBe(text);
+  });
+});
+
+describe("toTelegramHtml", () => {
+  it("renders markdown as Telegram's HTML subset", () => {
+    expect(toTelegramHtml("# Title\n**bold** and *italic*\n- item")).toBe(
+      "<b>Title</b>\n<b>bold</b> and <i>italic</i>\n• item"
+    );
+  });
+
+  it("converts inline formulas", () => {
+    expect(toTelegramHtml("So $x^2 = \\frac{1}{4}$ here")).toBe(
+      "So x² = 1/4 here"
+    );
+  });
+
+  it("escapes HTML outside and inside markup", () => {
+    expect(toTelegramHtml("a < b & `c<d`")).toBe(
+      "a &lt; b &amp; <code>c&lt;d</code>"
+    );
+  });
+
+  it("keeps code blocks with their language", () => {
+    expect(toTelegramHtml("```js\nif (a<b) {}\n```")).toBe(
+      '<pre><code class="language-js">if (a&lt;b) {}</code></pre>'
+    );
+  });
+
+  it("renders links and quotes", () => {
+    expect(toTelegramHtml("[link](https://x.org?a=1&b=2)\n> quoted")).toBe(
+      '<a href="https://x.org?a=1&amp;b=2">link</a>\n<blockquote>quoted</blockquote>'
+    );
+  });
+
+  it("collapses runs of blank lines", () => {
+    expect(toTelegramHtml("a\n\n\n\nb")).toBe("a\n\nb");
+  });
+});
+
+describe("toSlackMrkdwn", () => {
+  it("renders markdown as Slack mrkdwn", () => {
+    expect(toSlackMrkdwn("# Title\n**bold** and *italic*\n- item")).toBe(
+      "*Title*\n*bold* and _italic_\n• item"
+    );
+  });
+
+  it("converts formulas and escapes Slack control characters", () => {
+    expect(toSlackMrkdwn("If $a \\neq b$ then a < b & `x>y`")).toBe(
+      "If a ≠ b then a &lt; b &amp; `x&gt;y`"
+    );
+  });
+
+  it("percent-encodes characters that would break a Slack link", () => {
+    expect(toSlackMrkdwn("[a](http://x.com/a|b>c)")).toBe(
+      "<http://x.com/a%7Cb%3Ec|a>"
+    );
+  });
+
+  it("writes links in Slack's format", () => {
+    expect(toSlackMrkdwn("[docs](https://x.org)\n> quoted")).toBe(
+      "<https://x.org|docs>\n> quoted"
+    );
+  });
+});
+
+describe("splitMarkdown", () => {
+  it("keeps text that fits in one chunk", () => {
+    expect(splitMarkdown("One\n\nTwo", 100)).toEqual(["One\n\nTwo"]);
+  });
+
+  it("splits between paragraphs", () => {
+    const text = [paragraph(50), paragraph(50), paragraph(50)].join("\n\n");
+
+    const chunks = splitMarkdown(text, 300);
+
+    expect(chunks).toEqual([paragraph(50), paragraph(50), paragraph(50)]);
+  });
+
+  it("splits a long paragraph between words", () => {
+    const chunks = splitMarkdown(paragraph(100), 120);
+
+    expect(chunks.length).toBeGreaterThan(1);
+    expect(chunks.join(" ")).toBe(paragraph(100));
+    chunks.forEach((chunk) => expect(chunk.length).toBeLessThanOrEqual(120));
+  });
+
+  it("re-fences code blocks split across chunks", () => {
+    const code = Array(40).fill("x = 1 + 2").join("\n");
+
+    const chunks = splitMarkdown("```py\n" + code + "\n```", 120);
+
+    expect(chunks.length).toBeGreaterThan(1);
+    for (const chunk of chunks) {
+      expect(chunk).toMatch(/^```py\n[\s\S]+\n```$/);
+      expect(chunk.length).toBeLessThanOrEqual(120);
+    }
+  });
+
+  it("keeps display math whole when it fits", () => {
+    const math = "$$\n\\frac{a}{b}\n$$";
+
+    expect(splitMarkdown(`${paragraph(20)}\n\n${math}`, 110)).toEqual([
+      paragraph(20),
+      math,
+    ]);
+  });
+
+  it("cuts text without spaces", () => {
+    expect(splitMarkdown("a".repeat(25), 10)).toEqual([
+      "a".repeat(10),
+      "a".repeat(10),
+      "a".repeat(5),
+    ]);
+  });
+
+  it("measures chunks as they will be sent", () => {
+    const chunks = splitMarkdown(
+      "a & b\n\nc & d",
+      10,
+      (text) => text.replace(/&/g, "&amp;").length
+    );
+
+    expect(chunks).toEqual(["a & b", "c & d"]);
+  });
+});
+
+describe("toTelegramMessages", () => {
+  it("sends short answers as one unnumbered message", () => {
+    expect(toTelegramMessages("**hi**")).toEqual(["<b>hi</b>"]);
+  });
+
+  it.each(["", "  \n\n  "])("returns no messages for %p", (text) => {
+    expect(toTelegramMessages(text)).toEqual([]);
+  });
+
+  it("numbers the parts of long answers", () => {
+    const text = [paragraph(50), paragraph(50), paragraph(50)].join("\n\n");
+
+    const messages = toTelegramMessages(text, 300);
+
+    expect(messages).toHaveLength(3);
+    messages.forEach((message, index) => {
+      expect(message.startsWith(`<i>(${index + 1}/3)</i>\n`)).toBe(true);
+      expect(message.length).toBeLessThanOrEqual(300);
+    });
+  });
+
+  it("keeps every message within Telegram's limit after escaping", () => {
+    const messages = toTelegramMessages("a < b ".repeat(2000));
+
+    expect(messages.length).toBeGreaterThan(1);
+    messages.forEach((message) =>
+      expect(message.length).toBeLessThanOrEqual(TELEGRAM_MESSAGE_LIMIT)
+    );
+  });
+});
+
+describe("toSlackMrkdwnChunks", () => {
+  it("renders each chunk as mrkdwn within the limit", () => {
+    const text = [
+      `**Step 1** ${paragraph(40)}`,
+      `**Step 2** ${paragraph(40)}`,
+    ].join("\n\n");
+
+    const chunks = toSlackMrkdwnChunks(text, 250);
+
+    expect(chunks).toHaveLength(2);
+    expect(chunks[0].startsWith("*Step 1*")).toBe(true);
+    expect(chunks[1].startsWith("*Step 2*")).toBe(true);
+    chunks.forEach((chunk) => expect(chunk.length).toBeLessThanOrEqual(250));
+  });
+});
@@ -0,0 +1,167 @@
+jest.mock("../utils/logger", () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+jest.mock("../models/job", () => ({
+  create: jest.fn(),
+  findOne: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+}));
+
+const Job = require("../models/job");
+const jobService = require("../services/jobService");
+
+/**
+ * In-memory stand-in for a claimed Job document
+ */
+function fakeJob(fields = {}) {
+  return {
+    _id: "j1",
+    type: "test_job",
+    questionId: "q1",
+    payload: {},
+    status: "running",
+    attempts: 1,
+    save: jest.fn().mockResolvedValue(undefined),
+    ...fields,
+  };
+}
+
+const handler = { run: jest.fn(), onFailed: jest.fn() };
+
+beforeAll(() => {
+  jobService.register("test_job", handler);
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  handler.run.mockResolvedValue(undefined);
+  handler.onFailed.mockResolvedValue(undefined);
+});
+
+describe("jobService._claimNext", () => {
+  it("atomically locks a due job of a registered type", async () => {
+    Job.findOneAndUpdate.mockResolvedValue(null);
+
+    await jobService._claimNext();
+
+    const [filter, update, options] = Job.findOneAndUpdate.mock.calls[0];
+    expect(filter.type.$in).toContain("test_job");
+    expect(filter.$or).toEqual([
+      { status: "pending", nextRunAt: { $lte: expect.any(Date) } },
+      { status: "running", lockedUntil: { $lte: expect.any(Date) } },
+    ]);
+    expect(update.$set.status).toBe("running");
+    expect(update.$set.lockedUntil.getTime()).toBeGreaterThan(Date.now());
+    expect(update.$inc).toEqual({ attempts: 1 });
+    expect(options).toMatchObject({ new: true, sort: { nextRunAt: 1 } });
+  });
+});
+
+describe("jobService._run", () => {
+  it("marks a successful job done", async () => {
+    const job = fakeJob();
+
+    await jobService._run(job);
+
+    expect(handler.run).toHaveBeenCalledWith(job);
+    expect(job.status).toBe("done");
+    expect(job.lockedUntil).toBeNull();
+    expect(job.save).toHaveBeenCalled();
+  });
+
+  it("retries a failed job with exponential backoff", async () => {
+    handler.run.mockRejectedValue(new Error("boom"));
+    const job = fakeJob({ attempts: 2 });
+    const before = Date.now();
+
+    await jobService._run(job);
+
+    expect(job.status).toBe("pending");
+    expect(job.lastError).toBe("boom");
+    expect(job.nextRunAt.getTime()).toBeGreaterThanOrEqual(
+      before + jobService.baseDelay * 2
+    );
+    expect(handler.onFailed).not.toHaveBeenCalled();
+  });
+
+  it("gives up after the last attempt and calls onFailed", async () => {
+    const error = new Error("still broken");
+    handler.run.mockRejectedValue(error);
+    const job = fakeJob({ attempts: jobService.maxAttempts });
+
+    await jobService._run(job);
+
+    expect(job.status).toBe("failed");
+    expect(handler.onFailed).toHaveBeenCalledWith(job, error);
+  });
+});
+
+describe("jobService.processDue", () => {
+  const concurrency = jobService.concurrency;
+
+  afterEach(() => {
+    jobService.concurrency = concurrency;
+  });
+
+  it("never runs more jobs at once than the concurrency allows", async () => {
+    jobService.concurrency = 2;
+
+    let release;
+    const blocked = new Promise((resolve) => (release = resolve));
+    handler.run.mockReturnValue(blocked);
+    Job.findOneAndUpdate
+      .mockResolvedValueOnce(fakeJob({ _id: "j1" }))
+      .mockResolvedValueOnce(fakeJob({ _id: "j2" }))
+      .mockResolvedValue(null);
+
+    await jobService.processDue();
+
+    expect(handler.run).toHaveBeenCalledTimes(2);
+    expect(jobService.active).toBe(2);
+    expect(Job.findOneAndUpdate).toHaveBeenCalledTimes(2);
+
+    release();
+    await new Promise((resolve) => setImmediate(resolve));
+    expect(jobService.active).toBe(0);
+  });
+});
+
+describe("jobService.enqueue", () => {
+  it("stores the unique key with the job", async () => {
+    Job.create.mockResolvedValue(fakeJob({ status: "pending" }));
+    const runAt = new Date("2030-01-07T09:00:00Z");
+
+    await jobService.enqueue("test_job", null, {}, { runAt, uniqueKey: "k1" });
+
+    expect(Job.create).toHaveBeenCalledWith({
+      type: "test_job",
+      questionId: null,
+      payload: {},
+      nextRunAt: runAt,
+      uniqueKey: "k1",
+    });
+  });
+
+  it("returns the existing job when the unique key is taken", async () => {
+    const existing = fakeJob({ _id: "j0", status: "pending" });
+    Job.create.mockRejectedValue(
+      Object.assign(new Error("dup"), { code: 11000 })
+    );
+    Job.findOne.mockResolvedValue(existing);
+
+    await expect(
+      jobService.enqueue("test_job", null, {}, { uniqueKey: "k1" })
+    ).resolves.toBe(existing);
+    expect(Job.findOne).toHaveBeenCalledWith({ uniqueKey: "k1" });
+  });
+
+  it("passes other errors on", async () => {
+    Job.create.mockRejectedValue(new Error("connection lost"));
+
+    await expect(
+      jobService.enqueue("test_job", null, {}, { uniqueKey: "k1" })
+    ).rejects.toThrow("connection lost");
+  });
+});
@@ -0,0 +1,158 @@
+jest.mock("../utils/logger", () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+jest.mock("../models/question", () => ({
+  find: jest.fn(),
+  findOne: jest.fn(),
+}));
+
+const Question = require("../models/question");
+const knowledgeBaseService = require("../services/knowledgeBaseService");
+
+/**
+ * Make the text index return these approved questions
+ */
+function candidates(list) {
+  const chain = {
+    select: () => chain,
+    sort: () => chain,
+    limit: () => chain,
+    lean: () => Promise.resolve(list),
+  };
+  Question.find.mockReturnValue(chain);
+}
+
+/**
+ * Past question approved with the given answer
+ */
+function approved(id, question, answer, fields = {}) {
+  return {
+    _id: id,
+    question,
+    answer,
+    editedAnswer: null,
+    autoApprovedRule: null,
+    ...fields,
+  };
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe("knowledgeBaseService.findSimilar", () => {
+  it("ranks candidates by similarity and drops weak matches", async () => {
+    candidates([
+      approved("p1", "How do I solve quadratic equations?", "A"),
+      approved("p2", "Solve quadratic equations by factoring", "B"),
+      approved("p3", "What is photosynthesis?", "C"),
+    ]);
+
+    const matches = await knowledgeBaseService.findSimilar(
+      { _id: "q1", question: "How do I solve quadratic equations?" },
+      { minSimilarity: 0.5 }
+    );
+
+    expect(matches.map((match) => match.question._id)).toEqual(["p1", "p2"]);
+    expect(matches[0].score).toBeCloseTo(1);
+  });
+
+  it("tells apart questions that differ only in an operator", async () => {
+    candidates([approved("p1", "What is 2 - 3?", "-1")]);
+
+    const matches = await knowledgeBaseService.findSimilar(
+      { _id: "q1", question: "What is 2 + 3?" },
+      { minSimilarity: 0.9 }
+    );
+
+    expect(matches).toEqual([]);
+  });
+
+  it("searches the text index with words only", async () => {
+    candidates([]);
+
+    await knowledgeBaseService.findSimilar({
+      _id: "q1",
+      question: "Simplify x^2 - 4",
+    });
+
+    const [filter] = Question.find.mock.calls[0];
+    expect(filter.$text.$search).toBe("simplify x 2 4");
+    expect(filter).not.toHaveProperty("autoApprovedRule");
+  });
+
+  it("can leave out auto-approved answers", async () => {
+    candidates([]);
+
+    await knowledgeBaseService.findSimilar(
+      { _id: "q1", question: "Simplify x^2" },
+      { teacherApprovedOnly: true }
+    );
+
+    expect(Question.find.mock.calls[0][0].autoApprovedRule).toBeNull();
+  });
+
+  it("skips photos that could not be read", async () => {
+    const matches = await knowledgeBaseService.findSimilar({
+      _id: "q1",
+      question: "[unreadable image]",
+      ocrConfidence: 0,
+    });
+
+    expect(matches).toEqual([]);
+    expect(Question.find).not.toHaveBeenCalled();
+  });
+});
+
+describe("knowledgeBaseService.findRepeatedAnswer", () => {
+  it("counts teacher approvals of the same question", async () => {
+    candidates([
+      approved("p1", "what is 2^3", "8"),
+      approved("p2", "What is 2 ^ 3?", "8"),
+      approved("p3", "What is 2^3", "Eight", { editedAnswer: "8" }),
+    ]);
+
+    const repeated = await knowledgeBaseService.findRepeatedAnswer({
+      _id: "q1",
+      question: "What is 2^3?",
+    });
+
+    expect(repeated).toMatchObject({ answer: "8", approvals: 3 });
+    expect(Question.find.mock.calls[0][0].autoApprovedRule).toBeNull();
+  });
+
+  it("ignores questions with the same words in another order", async () => {
+    candidates([
+      approved("p1", "What is 3^2?", "9"),
+      approved("p2", "What is 3^2?", "9"),
+    ]);
+
+    await expect(
+      knowledgeBaseService.findRepeatedAnswer({
+        _id: "q1",
+        question: "What is 2^3?",
+      })
+    ).resolves.toBeNull();
+  });
+
+  it("picks the answer approved most often", async () => {
+    candidates([
+      approved("p1", "Define a prime number", "Short answer"),
+      approved("p2", "Define a prime number", "Long answer"),
+      approved("p3", "define a prime number.", "Long answer"),
+    ]);
+
+    const repeated = await knowledgeBaseService.findRepeatedAnswer({
+      _id: "q1",
+      question: "Define a prime number",
+    });
+
+    expect(repeated).toMatchObject({
+      answer: "Long answer",
+      approvals: 2,
+      sourceId: "p2",
+    });
+  });
+});
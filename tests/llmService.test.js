@@ -0,0 +1,114 @@
+jest.mock("../utils/logger", () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+jest.mock("../services/llm/openAiCompatibleProvider", () =>
+  jest.fn().mockImplementation((name, config) => ({
+    name,
+    model: config.model,
+    complete: jest.fn(),
+  }))
+);
+
+process.env.LLM_PROVIDER_CHAIN = "deepseek, openai";
+process.env.LLM_MAX_RETRIES = "0";
+process.env.LLM_BREAKER_THRESHOLD = "2";
+process.env.LLM_BREAKER_COOLDOWN_MS = "60000";
+
+const llmService = require("../services/llmService");
+
+const [primary, secondary] = llmService.providers;
+const messages = [{ role: "user", content: "What is 2 + 2?" }];
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  for (const { breaker } of llmService.providers) {
+    breaker.recordSuccess();
+  }
+});
+
+describe("complete", () => {
+  it("answers from the first provider in the chain", async () => {
+    primary.client.complete.mockResolvedValue("4");
+
+    await expect(llmService.complete(messages)).resolves.toEqual({
+      answer: "4",
+      provider: "deepseek",
+      model: primary.client.model,
+    });
+    expect(secondary.client.complete).not.toHaveBeenCalled();
+  });
+
+  it("fails over to the next provider", async () => {
+    primary.client.complete.mockRejectedValue(new Error("timeout"));
+    secondary.client.complete.mockResolvedValue("4");
+
+    const result = await llmService.complete(messages);
+
+    expect(result.provider).toBe("openai");
+    expect(primary.client.complete).toHaveBeenCalledTimes(1);
+  });
+
+  it("treats an empty answer as a failure", async () => {
+    primary.client.complete.mockResolvedValue("  ");
+    secondary.client.complete.mockResolvedValue("4");
+
+    const result = await llmService.complete(messages);
+
+    expect(result.provider).toBe("openai");
+  });
+
+  it("skips a provider whose circuit is open", async () => {
+    primary.client.complete.mockRejectedValue(new Error("down"));
+    secondary.client.complete.mockResolvedValue("4");
+
+    await llmService.complete(messages);
+    await llmService.complete(messages);
+    primary.client.complete.mockClear();
+    const result = await llmService.complete(messages);
+
+    expect(primary.breaker.isOpen()).toBe(true);
+    expect(primary.client.complete).not.toHaveBeenCalled();
+    expect(result.provider).toBe("openai");
+  });
+
+  it("throws the last error when every provider fails", async () => {
+    primary.client.complete.mockRejectedValue(new Error("down"));
+    secondary.client.complete.mockRejectedValue(new Error("quota"));
+
+    await expect(llmService.complete(messages)).rejects.toThrow("quota");
+  });
+});
+
+describe("generateAnswer", () => {
+  it("sends the system prompt, history and question in order", async () => {
+    primary.client.complete.mockResolvedValue("4");
+    const history = [
+      { role: "user", content: "Hi" },
+      { role: "assistant", content: "Hello" },
+    ];
+
+    await llmService.generateAnswer("What is 2 + 2?", {
+      systemPrompt: "Be brief",
+      history,
+    });
+
+    expect(primary.client.complete.mock.calls[0][0]).toEqual([
+      { role: "system", content: "Be brief" },
+      ...history,
+      { role: "user", content: "What is 2 + 2?" },
+    ]);
+  });
+
+  it("falls back to a canned response when every provider fails", async () => {
+    primary.client.complete.mockRejectedValue(new Error("down"));
+    secondary.client.complete.mockRejectedValue(new Error("down"));
+
+    const result = await llmService.generateAnswer("Solve this equation");
+
+    expect(result.provider).toBe("fallback");
+    expect(result.model).toBeNull();
+    expect(result.answer).toMatch(/teacher will review/);
+  });
+});
@@ -0,0 +1,212 @@
+jest.mock("../utils/logger", () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+jest.mock("../models/promptTemplate", () => ({
+  find: jest.fn(),
+  findOne: jest.fn(),
+  create: jest.fn(),
+  updateMany: jest.fn(),
+}));
+
+const PromptTemplate = require("../models/promptTemplate");
+const promptService = require("../services/promptService");
+
+/**
+ * Make PromptTemplate.find return the given active templates
+ */
+function mockTemplates(templates) {
+  PromptTemplate.find.mockReturnValue({
+    lean: () => Promise.resolve(templates),
+  });
+}
+
+/**
+ * Make PromptTemplate.findOne(...).sort(...).lean() return each record in turn
+ */
+function mockLatest(...records) {
+  for (const record of records) {
+    PromptTemplate.findOne.mockReturnValueOnce({
+      sort: () => ({ lean: () => Promise.resolve(record) }),
+    });
+  }
+}
+
+function duplicateKeyError() {
+  const error = new Error("E11000 duplicate key error");
+  error.code = 11000;
+  return error;
+}
+
+const fallback = {
+  name: "default",
+  version: 1,
+  subject: null,
+  cohort: null,
+  systemPrompt: "default",
+};
+const cohortOnly = {
+  name: "cohort",
+  version: 1,
+  subject: null,
+  cohort: "A",
+  systemPrompt: "cohort",
+};
+const subjectOnly = {
+  name: "math",
+  version: 1,
+  subject: "math",
+  cohort: null,
+  systemPrompt: "subject",
+};
+const subjectAndCohort = {
+  name: "math-a",
+  version: 1,
+  subject: "math",
+  cohort: "A",
+  systemPrompt: "subject and cohort",
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe("resolve", () => {
+  it("queries active templates for the subject, the cohort or any", async () => {
+    mockTemplates([]);
+
+    await promptService.resolve({ subject: "math", cohort: "A" });
+
+    expect(PromptTemplate.find).toHaveBeenCalledWith({
+      active: true,
+      subject: { $in: ["math", null] },
+      cohort: { $in: ["A", null] },
+    });
+  });
+
+  it.each([
+    [
+      "subject and cohort",
+      [fallback, cohortOnly, subjectOnly, subjectAndCohort],
+    ],
+    ["subject", [fallback, cohortOnly, subjectOnly]],
+    ["cohort", [fallback, cohortOnly]],
+    ["default", [fallback]],
+  ])("prefers the most specific match: %s", async (expected, templates) => {
+    mockTemplates(templates);
+
+    const { systemPrompt } = await promptService.resolve({
+      subject: "math",
+      cohort: "A",
+    });
+
+    expect(systemPrompt).toBe(expected);
+  });
+
+  it("picks the newest version among equally specific templates", async () => {
+    mockTemplates([
+      { ...subjectOnly, version: 2, systemPrompt: "v2" },
+      { ...subjectOnly, version: 5, systemPrompt: "v5" },
+      { ...subjectOnly, version: 3, systemPrompt: "v3" },
+    ]);
+
+    const { systemPrompt, template } = await promptService.resolve({
+      subject: "math",
+    });
+
+    expect(systemPrompt).toBe("v5");
+    expect(template.version).toBe(5);
+  });
+
+  it("renders variables and blanks unknown or missing ones", async () => {
+    mockTemplates([
+      {
+        ...fallback,
+        systemPrompt:
+          "Grade {{grade}}, {{ studentName }}, {{subject}}: {{topic}}{{unknown}}.",
+      },
+    ]);
+
+    const { systemPrompt } = await promptService.resolve({
+      variables: { grade: 7, studentName: "Ana", subject: null },
+    });
+
+    expect(systemPrompt).toBe("Grade 7, Ana, : .");
+  });
+
+  it("falls back to the default prompt when nothing matches", async () => {
+    mockTemplates([]);
+
+    await expect(promptService.resolve({ subject: "art" })).resolves.toEqual({
+      systemPrompt: null,
+      template: null,
+    });
+  });
+
+  it("falls back to the default prompt when templates cannot load", async () => {
+    PromptTemplate.find.mockReturnValue({
+      lean: () => Promise.reject(new Error("down")),
+    });
+
+    const { systemPrompt } = await promptService.resolve({ subject: "math" });
+
+    expect(systemPrompt).toBeNull();
+  });
+});
+
+describe("createVersion", () => {
+  const data = { name: "math", systemPrompt: "You tutor math" };
+
+  it("saves the next version and deactivates older ones", async () => {
+    mockLatest({ version: 3 });
+    PromptTemplate.create.mockImplementation((fields) =>
+      Promise.resolve({ _id: "t4", ...fields })
+    );
+
+    const template = await promptService.createVersion(data);
+
+    expect(template.version).toBe(4);
+    expect(PromptTemplate.updateMany).toHaveBeenCalledWith(
+      { name: "math", version: { $lt: 4 } },
+      { $set: { active: false } }
+    );
+  });
+
+  it("takes the next version after losing a race", async () => {
+    mockLatest({ version: 3 }, { version: 4 });
+    PromptTemplate.create
+      .mockRejectedValueOnce(duplicateKeyError())
+      .mockImplementation((fields) =>
+        Promise.resolve({ _id: "t5", ...fields })
+      );
+
+    const template = await promptService.createVersion(data);
+
+    expect(template.version).toBe(5);
+    expect(PromptTemplate.create).toHaveBeenCalledTimes(2);
+  });
+
+  it("reports a conflict after repeated collisions", async () => {
+    for (let i = 0; i < 5; i++) {
+      mockLatest({ version: 3 });
+    }
+    PromptTemplate.create.mockRejectedValue(duplicateKeyError());
+
+    await expect(promptService.createVersion(data)).rejects.toMatchObject({
+      statusCode: 409,
+    });
+    expect(PromptTemplate.create).toHaveBeenCalledTimes(5);
+    expect(PromptTemplate.updateMany).not.toHaveBeenCalled();
+  });
+
+  it("rethrows other errors", async () => {
+    mockLatest(null);
+    PromptTemplate.create.mockRejectedValue(new Error("validation failed"));
+
+    await expect(promptService.createVersion(data)).rejects.toThrow(
+      "validation failed"
+    );
+    expect(PromptTemplate.create).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,252 @@
+jest.mock("../utils/logger", () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+jest.mock("../models/question", () => ({
+  findById: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  updateOne: jest.fn(),
+}));
+jest.mock("../models/user", () => ({ findOne: jest.fn() }));
+jest.mock("../services/jobService", () => ({
+  register: jest.fn(),
+  enqueue: jest.fn(),
+}));
+jest.mock("../services/visionService", () => ({}));
+jest.mock("../services/llmService", () => ({
+  systemPrompt: "You are a tutor.",
+  generateAnswer: jest.fn(),
+}));
+jest.mock("../services/slackService", () => ({
+  updateApprovalCard: jest.fn(),
+  postThreadReply: jest.fn(),
+}));
+jest.mock("../services/subjectService", () => ({
+  labelFor: jest.fn((subject) => subject),
+  channelFor: jest.fn(() => "C-math"),
+}));
+jest.mock("../services/promptService", () => ({ resolve: jest.fn() }));
+jest.mock("../services/conversationService", () => ({
+  buildHistory: jest.fn(),
+}));
+jest.mock("../services/userService", () => ({
+  studentSubjectLabels: jest.fn(() => []),
+}));
+jest.mock("../services/knowledgeBaseService", () => ({
+  findSimilar: jest.fn(),
+}));
+jest.mock("../services/autoApprovalService", () => ({}));
+jest.mock("../services/deliveryService", () => ({}));
+jest.mock("../services/feedbackService", () => ({
+  reopenedNote: jest.fn(() => null),
+}));
+jest.mock("../services/telegramService", () => ({}));
+
+const Question = require("../models/question");
+const User = require("../models/user");
+const jobService = require("../services/jobService");
+const llmService = require("../services/llmService");
+const slackService = require("../services/slackService");
+const promptService = require("../services/promptService");
+const conversationService = require("../services/conversationService");
+const knowledgeBaseService = require("../services/knowledgeBaseService");
+const questionPipeline = require("../services/questionPipeline");
+
+const job = {
+  questionId: "q1",
+  payload: { instructions: "Use a number line", requestedBy: "U1" },
+};
+
+/**
+ * A question record as returned by Question.findById
+ */
+function questionRecord(fields = {}) {
+  return {
+    _id: "q1",
+    accountId: "42",
+    accountName: "Ana",
+    question: "What is -3 + 5?",
+    answer: "2",
+    subject: "math",
+    status: "pending_review",
+    isFromImage: false,
+    slackChannelId: "C-math",
+    slackMessageTs: "1.1",
+    slackOverflowTs: ["1.2"],
+    drafts: [],
+    ...fields,
+  };
+}
+
+/**
+ * The record findOneAndUpdate returns once the new draft is stored
+ */
+function updatedRecord(fields = {}) {
+  return questionRecord({
+    answer: "Start at -3 and move 5 steps right: 2",
+    drafts: [{ answer: "Start at -3 and move 5 steps right: 2" }],
+    transitionTo: jest.fn(),
+    save: jest.fn(),
+    ...fields,
+  });
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  User.findOne.mockReturnValue({ lean: () => Promise.resolve(null) });
+  promptService.resolve.mockResolvedValue({
+    systemPrompt: "Math prompt",
+    template: null,
+  });
+  conversationService.buildHistory.mockResolvedValue([]);
+  knowledgeBaseService.findSimilar.mockResolvedValue([]);
+  llmService.generateAnswer.mockResolvedValue({
+    answer: "Start at -3 and move 5 steps right: 2",
+    provider: "deepseek",
+    model: "deepseek-chat",
+  });
+  slackService.updateApprovalCard.mockResolvedValue({
+    ts: "1.1",
+    overflowTs: ["1.2", "1.3"],
+  });
+});
+
+describe("regenerate", () => {
+  it("queues a regeneration job with the teacher's guidance", async () => {
+    await questionPipeline.regenerate(questionRecord(), {
+      instructions: "Use a number line",
+      requestedBy: "U1",
+    });
+
+    expect(jobService.enqueue).toHaveBeenCalledWith("regenerate_answer", "q1", {
+      instructions: "Use a number line",
+      requestedBy: "U1",
+    });
+  });
+});
+
+describe("_regenerateAnswer", () => {
+  it("asks for a revision of the current draft", async () => {
+    Question.findById.mockResolvedValue(questionRecord());
+    Question.findOneAndUpdate.mockResolvedValue(updatedRecord());
+
+    await questionPipeline._regenerateAnswer(job);
+
+    expect(llmService.generateAnswer).toHaveBeenCalledWith("What is -3 + 5?", {
+      systemPrompt: "Math prompt",
+      history: [],
+      revision: { previousAnswer: "2", instructions: "Use a number line" },
+    });
+    expect(Question.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: "q1", status: { $in: ["pending_review", "ai_failed"] } },
+      expect.objectContaining({
+        $set: expect.objectContaining({
+          answer: "Start at -3 and move 5 steps right: 2",
+        }),
+        $push: {
+          drafts: expect.objectContaining({
+            instructions: "Use a number line",
+            requestedBy: "U1",
+          }),
+        },
+      }),
+      { new: true }
+    );
+  });
+
+  it("updates the approval card in place and keeps its thread replies", async () => {
+    Question.findById.mockResolvedValue(questionRecord());
+    Question.findOneAndUpdate.mockResolvedValue(updatedRecord());
+
+    await questionPipeline._regenerateAnswer(job);
+
+    const [messageTs, question, answer, id, name, isFromImage, details] =
+      slackService.updateApprovalCard.mock.calls[0];
+    expect([messageTs, question, answer, id, name, isFromImage]).toEqual([
+      "1.1",
+      "What is -3 + 5?",
+      "Start at -3 and move 5 steps right: 2",
+      "q1",
+      "Ana",
+      false,
+    ]);
+    expect(details).toMatchObject({
+      channelId: "C-math",
+      overflowTs: ["1.2"],
+      draftNote:
+        ":arrows_counterclockwise: Draft 1, regenerated for <@U1>: _Use a number line_",
+    });
+    expect(Question.updateOne).toHaveBeenCalledWith(
+      { _id: "q1" },
+      { $set: { slackOverflowTs: ["1.2", "1.3"] } }
+    );
+  });
+
+  it("puts a failed question back up for review", async () => {
+    const updated = updatedRecord({ status: "ai_failed" });
+    Question.findById.mockResolvedValue(
+      questionRecord({ status: "ai_failed" })
+    );
+    Question.findOneAndUpdate.mockResolvedValue(updated);
+
+    await questionPipeline._regenerateAnswer(job);
+
+    expect(updated.transitionTo).toHaveBeenCalledWith("pending_review", {
+      by: "U1",
+      note: "answer regenerated",
+    });
+    expect(updated.save).toHaveBeenCalled();
+  });
+
+  it("skips a question that was decided while the job was queued", async () => {
+    Question.findById.mockResolvedValue(questionRecord({ status: "approved" }));
+
+    await questionPipeline._regenerateAnswer(job);
+
+    expect(llmService.generateAnswer).not.toHaveBeenCalled();
+    expect(slackService.updateApprovalCard).not.toHaveBeenCalled();
+  });
+
+  it("discards the draft when a teacher decided while the AI was working", async () => {
+    Question.findById.mockResolvedValue(questionRecord());
+    Question.findOneAndUpdate.mockResolvedValue(null);
+
+    await questionPipeline._regenerateAnswer(job);
+
+    expect(llmService.generateAnswer).toHaveBeenCalled();
+    expect(slackService.updateApprovalCard).not.toHaveBeenCalled();
+    expect(Question.updateOne).not.toHaveBeenCalled();
+  });
+
+  it("keeps the current draft when every provider failed", async () => {
+    Question.findById.mockResolvedValue(questionRecord());
+    llmService.generateAnswer.mockResolvedValue({
+      answer: "A teacher will review your question.",
+      provider: "fallback",
+      model: null,
+    });
+
+    await expect(questionPipeline._regenerateAnswer(job)).rejects.toThrow(
+      "All LLM providers failed"
+    );
+    expect(Question.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+});
+
+describe("_regenerateAnswerFailed", () => {
+  it("tells the teacher in the card thread", async () => {
+    Question.findById.mockResolvedValue(questionRecord());
+
+    await questionPipeline._regenerateAnswerFailed(
+      job,
+      new Error("All LLM providers failed")
+    );
+
+    expect(slackService.postThreadReply).toHaveBeenCalledWith(
+      "C-math",
+      "1.1",
+      ":warning: <@U1> the answer could not be regenerated (All LLM providers failed). The current draft is unchanged."
+    );
+  });
+});
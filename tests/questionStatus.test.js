@@ -0,0 +1,166 @@
+const Question = require("../models/question");
+const {
+  QUESTION_STATUS,
+  QUESTION_TRANSITIONS,
+} = require("../config/constants");
+
+/**
+ * Unsaved question in the given status
+ */
+function questionIn(status) {
+  return new Question({
+    accountId: "42",
+    accountName: "Ada",
+    question: "What is 2 + 2?",
+    status,
+  });
+}
+
+describe("question status transitions", () => {
+  it("starts new questions in pending_review", () => {
+    expect(new Question().status).toBe(QUESTION_STATUS.PENDING_REVIEW);
+  });
+
+  it("lists a transition table entry for every status", () => {
+    expect(Object.keys(QUESTION_TRANSITIONS).sort()).toEqual(
+      Object.values(QUESTION_STATUS).sort()
+    );
+  });
+
+  it.each([
+    [QUESTION_STATUS.RECEIVED, QUESTION_STATUS.PENDING_REVIEW],
+    [QUESTION_STATUS.RECEIVED, QUESTION_STATUS.AI_FAILED],
+    [QUESTION_STATUS.PENDING_REVIEW, QUESTION_STATUS.APPROVED],
+    [QUESTION_STATUS.PENDING_REVIEW, QUESTION_STATUS.REJECTED],
+    [QUESTION_STATUS.APPROVED, QUESTION_STATUS.DELIVERED],
+    [QUESTION_STATUS.DELIVERY_FAILED, QUESTION_STATUS.DELIVERY_FAILED],
+  ])("allows %s -> %s", (from, to) => {
+    expect(questionIn(from).canTransitionTo(to)).toBe(true);
+  });
+
+  it.each([
+    [QUESTION_STATUS.RECEIVED, QUESTION_STATUS.DELIVERED],
+    [QUESTION_STATUS.PENDING_REVIEW, QUESTION_STATUS.DELIVERED],
+    [QUESTION_STATUS.REJECTED, QUESTION_STATUS.APPROVED],
+    [QUESTION_STATUS.DELIVERED, QUESTION_STATUS.APPROVED],
+  ])("refuses %s -> %s", (from, to) => {
+    expect(questionIn(from).canTransitionTo(to)).toBe(false);
+  });
+
+  it("records each transition in the status history", () => {
+    const question = questionIn(QUESTION_STATUS.PENDING_REVIEW);
+
+    question.transitionTo(QUESTION_STATUS.APPROVED, {
+      by: "U123",
+      note: "looks right",
+    });
+
+    expect(question.status).toBe(QUESTION_STATUS.APPROVED);
+    const entry = question.statusHistory[question.statusHistory.length - 1];
+    expect(entry.status).toBe(QUESTION_STATUS.APPROVED);
+    expect(entry.by).toBe("U123");
+    expect(entry.note).toBe("looks right");
+  });
+
+  it("throws ILLEGAL_TRANSITION and leaves the question untouched", () => {
+    const question = questionIn(QUESTION_STATUS.REJECTED);
+
+    expect(() => question.transitionTo(QUESTION_STATUS.APPROVED)).toThrow(
+      expect.objectContaining({ code: "ILLEGAL_TRANSITION" })
+    );
+    expect(question.status).toBe(QUESTION_STATUS.REJECTED);
+    expect(question.statusHistory).toHaveLength(0);
+  });
+
+  it("starts the review clock when a question starts waiting", () => {
+    const question = questionIn(QUESTION_STATUS.RECEIVED);
+
+    question.transitionTo(QUESTION_STATUS.AI_FAILED);
+    const requestedAt = question.reviewRequestedAt;
+    question.transitionTo(QUESTION_STATUS.PENDING_REVIEW);
+
+    expect(requestedAt).toBeInstanceOf(Date);
+    expect(question.reviewRequestedAt).toBe(requestedAt);
+  });
+});
+
+describe("Question.transitionAtomically", () => {
+  let findOneAndUpdate;
+
+  beforeEach(() => {
+    findOneAndUpdate = jest
+      .spyOn(Question, "findOneAndUpdate")
+      .mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    findOneAndUpdate.mockRestore();
+  });
+
+  it("only matches statuses the target can be reached from", async () => {
+    await Question.transitionAtomically("q1", QUESTION_STATUS.APPROVED);
+
+    const [filter] = findOneAndUpdate.mock.calls[0];
+    expect(filter._id).toBe("q1");
+    expect(filter.status.$in.sort()).toEqual(
+      [QUESTION_STATUS.AI_FAILED, QUESTION_STATUS.PENDING_REVIEW].sort()
+    );
+  });
+
+  it("sets the status and extra fields and appends to the history", async () => {
+    const approvedAt = new Date();
+    await Question.transitionAtomically("q1", QUESTION_STATUS.APPROVED, {
+      by: "U123",
+      note: "approved",
+      set: { approvedAt, approvedBy: "U123" },
+    });
+
+    const [, update, options] = findOneAndUpdate.mock.calls[0];
+    expect(update.$set).toMatchObject({
+      status: QUESTION_STATUS.APPROVED,
+      approvedAt,
+      approvedBy: "U123",
+    });
+    expect(update.$push.statusHistory).toMatchObject({
+      status: QUESTION_STATUS.APPROVED,
+      by: "U123",
+      note: "approved",
+    });
+    expect(options).toEqual({ new: true });
+  });
+
+  it("adds extra conditions without letting them widen the status check", async () => {
+    await Question.transitionAtomically("q1", QUESTION_STATUS.PENDING_REVIEW, {
+      filter: { autoApprovedRule: { $ne: null }, status: "anything" },
+    });
+
+    const [filter] = findOneAndUpdate.mock.calls[0];
+    expect(filter.autoApprovedRule).toEqual({ $ne: null });
+    expect(filter.status.$in).not.toContain(QUESTION_STATUS.REJECTED);
+    expect(filter.status.$in).not.toContain("anything");
+  });
+
+  it("restarts the SLA when a question goes back to review", async () => {
+    await Question.transitionAtomically("q1", QUESTION_STATUS.PENDING_REVIEW);
+
+    const [, update] = findOneAndUpdate.mock.calls[0];
+    expect(update.$set).toMatchObject({
+      reviewRequestedAt: expect.any(Date),
+      reminderSentAt: null,
+      escalatedAt: null,
+    });
+  });
+
+  it("leaves the SLA alone for answered questions", async () => {
+    await Question.transitionAtomically("q1", QUESTION_STATUS.DELIVERED);
+
+    const [, update] = findOneAndUpdate.mock.calls[0];
+    expect(update.$set).not.toHaveProperty("reviewRequestedAt");
+  });
+
+  it("returns null when another decision got there first", async () => {
+    await expect(
+      Question.transitionAtomically("q1", QUESTION_STATUS.REJECTED)
+    ).resolves.toBeNull();
+  });
+});
@@ -0,0 +1,127 @@
+jest.mock("../utils/logger", () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+jest.mock("../models/question", () => ({
+  countDocuments: jest.fn(),
+  exists: jest.fn(),
+}));
+
+const Question = require("../models/question");
+const rateLimitService = require("../services/rateLimitService");
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+/**
+ * Make countDocuments report the given count for each time window
+ */
+function questionCounts({ burst = 0, hour = 0, day = 0 }) {
+  Question.countDocuments.mockImplementation(({ createdAt }) => {
+    const windowMs = Date.now() - createdAt.$gte.getTime();
+    if (windowMs <= rateLimitService.burstWindowMs + 1000) {
+      return Promise.resolve(burst);
+    }
+    return Promise.resolve(windowMs <= HOUR_MS + 1000 ? hour : day);
+  });
+}
+
+let studentId = 0;
+
+/**
+ * A student who has never been told about a limit
+ */
+function newStudent() {
+  studentId += 1;
+  return { platformId: `student-${studentId}` };
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  Question.exists.mockResolvedValue(null);
+  questionCounts({});
+});
+
+describe("rateLimitService.check", () => {
+  it("allows a student under every limit", async () => {
+    await expect(
+      rateLimitService.check(newStudent(), "What is 2 + 2?")
+    ).resolves.toEqual({ allowed: true, reason: null, message: null });
+  });
+
+  it("counts only the student's own recent questions", async () => {
+    await rateLimitService.check({ platformId: "42" }, "Hi");
+
+    const windows = Question.countDocuments.mock.calls.map(([filter]) => {
+      expect(filter.accountId).toBe("42");
+      return Date.now() - filter.createdAt.$gte.getTime();
+    });
+    expect(windows).toHaveLength(3);
+    expect(Math.max(...windows)).toBeLessThanOrEqual(DAY_MS + 1000);
+  });
+
+  it("rejects the same question sent again", async () => {
+    Question.exists.mockResolvedValue({ _id: "q1" });
+
+    const result = await rateLimitService.check(newStudent(), "Same again");
+
+    expect(result).toMatchObject({ allowed: false, reason: "duplicate" });
+    expect(Question.exists.mock.calls[0][0].question).toBe("Same again");
+  });
+
+  it("does not look for duplicates of photos", async () => {
+    await rateLimitService.check(newStudent(), null);
+
+    expect(Question.exists).not.toHaveBeenCalled();
+  });
+
+  it.each([
+    ["burst", { burst: 3 }],
+    ["hourly", { burst: 0, hour: 10 }],
+    ["daily", { hour: 5, day: 30 }],
+  ])("applies the %s limit", async (reason, counts) => {
+    questionCounts(counts);
+
+    const result = await rateLimitService.check(newStudent(), "Next one");
+
+    expect(result.allowed).toBe(false);
+    expect(result.reason).toBe(reason);
+    expect(result.message).toEqual(expect.any(String));
+  });
+
+  it("tells the student about a limit only once per notice interval", async () => {
+    questionCounts({ burst: 3 });
+    const student = newStudent();
+
+    const first = await rateLimitService.check(student, "One");
+    const second = await rateLimitService.check(student, "Two");
+
+    expect(first.message).toEqual(expect.any(String));
+    expect(second).toMatchObject({ allowed: false, message: null });
+  });
+
+  it("skips checks whose limit is 0", async () => {
+    const perDay = rateLimitService.perDay;
+    rateLimitService.perDay = 0;
+    questionCounts({ day: 1000 });
+
+    try {
+      const result = await rateLimitService.check(newStudent(), "Fine");
+      expect(result.allowed).toBe(true);
+      expect(Question.countDocuments).toHaveBeenCalledTimes(2);
+    } finally {
+      rateLimitService.perDay = perDay;
+    }
+  });
+});
+
+describe("rateLimitService.blocked", () => {
+  it("denies blocked students with an explanation", () => {
+    expect(rateLimitService.blocked(newStudent())).toMatchObject({
+      allowed: false,
+      reason: "blocked",
+      message: expect.stringContaining("paused by a teacher"),
+    });
+  });
+});
@@ -0,0 +1,84 @@
+jest.mock("../utils/logger", () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+jest.mock("../models/question", () => ({
+  findOneAndUpdate: jest.fn(),
+}));
+jest.mock("../services/slackService", () => ({
+  postThreadReply: jest.fn(),
+  postMessage: jest.fn(),
+  getPermalink: jest.fn(),
+}));
+jest.mock("../services/telegramService", () => ({ sendMessage: jest.fn() }));
+
+const Question = require("../models/question");
+const slackService = require("../services/slackService");
+const telegramService = require("../services/telegramService");
+const reminderService = require("../services/reminderService");
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  Question.findOneAndUpdate.mockResolvedValue(null);
+});
+
+describe("reminderService._claim", () => {
+  it("counts waiting time from the latest move to review", async () => {
+    await reminderService._claim("reminderSentAt", 30);
+
+    const [filter, update] = Question.findOneAndUpdate.mock.calls[0];
+    const cutoff = filter.$or[0].reviewRequestedAt.$lte;
+    expect(filter.$or).toEqual([
+      { reviewRequestedAt: { $lte: cutoff } },
+      { reviewRequestedAt: null, createdAt: { $lte: cutoff } },
+    ]);
+    expect(Date.now() - cutoff.getTime()).toBeGreaterThanOrEqual(30 * 60000);
+    expect(Date.now() - cutoff.getTime()).toBeLessThan(31 * 60000);
+    expect(filter).not.toHaveProperty("createdAt");
+    expect(filter.reminderSentAt).toBeNull();
+    expect(update.$set.reminderSentAt).toBeInstanceOf(Date);
+  });
+
+  it("only claims questions waiting on a posted card", async () => {
+    await reminderService._claim("escalatedAt", 120);
+
+    const [filter] = Question.findOneAndUpdate.mock.calls[0];
+    expect(filter.status.$in.sort()).toEqual(["ai_failed", "pending_review"]);
+    expect(filter.slackMessageTs).toEqual({ $ne: null });
+    expect(filter.escalatedAt).toBeNull();
+  });
+});
+
+describe("reminderService notifications", () => {
+  const questionRecord = {
+    _id: "q1",
+    accountId: "42",
+    accountName: "<!here> Ana & Bo",
+    slackChannelId: "C1",
+    slackMessageTs: "1.1",
+  };
+
+  it("escapes the student's name in the reminder", async () => {
+    await reminderService._remind(questionRecord);
+
+    const [channel, threadTs, text] =
+      slackService.postThreadReply.mock.calls[0];
+    expect([channel, threadTs]).toEqual(["C1", "1.1"]);
+    expect(text).toContain("This question from &lt;!here&gt; Ana &amp; Bo has");
+    expect(telegramService.sendMessage).toHaveBeenCalledWith(
+      "42",
+      reminderService.studentMessage
+    );
+  });
+
+  it("escapes the student's name in the escalation", async () => {
+    slackService.getPermalink.mockResolvedValue("https://slack.example/p1");
+
+    await reminderService._escalate(questionRecord);
+
+    const text = slackService.postMessage.mock.calls[0][1];
+    expect(text).toContain("A question from &lt;!here&gt; Ana &amp; Bo has");
+    expect(text).toMatch(/: https:\/\/slack\.example\/p1$/);
+  });
+});
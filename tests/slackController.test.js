@@ -0,0 +1,332 @@
+jest.mock("../utils/logger", () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+jest.mock("../models/question", () => ({
+  findById: jest.fn(),
+  transitionAtomically: jest.fn(),
+  updateOne: jest.fn(),
+}));
+jest.mock("../services/slackService", () => ({
+  openRejectModal: jest.fn(),
+  openRegenerateModal: jest.fn(),
+  updateMessageRejected: jest.fn(),
+  postEphemeral: jest.fn(),
+  postThreadReply: jest.fn(),
+}));
+jest.mock("../services/telegramService", () => ({ sendMessage: jest.fn() }));
+jest.mock("../services/deliveryService", () => ({}));
+jest.mock("../services/googleSheetService", () => ({}));
+jest.mock("../services/userService", () => ({
+  block: jest.fn(),
+  unblock: jest.fn(),
+}));
+jest.mock("../services/knowledgeBaseService", () => ({}));
+jest.mock("../services/questionPipeline", () => ({ regenerate: jest.fn() }));
+jest.mock("../services/clarificationService", () => ({}));
+
+const Question = require("../models/question");
+const slackService = require("../services/slackService");
+const telegramService = require("../services/telegramService");
+const questionPipeline = require("../services/questionPipeline");
+const userService = require("../services/userService");
+const { handleInteraction } = require("../controllers/slackController");
+
+/**
+ * Send an interaction payload the way Slack posts it
+ */
+async function interact(payload) {
+  const res = { status: jest.fn().mockReturnThis(), send: jest.fn() };
+  await handleInteraction({ body: { payload: JSON.stringify(payload) } }, res);
+  return res;
+}
+
+/**
+ * A question record as returned by Question.findById
+ */
+function questionRecord(fields = {}) {
+  return {
+    _id: "q1",
+    accountId: "42",
+    question: "What is 2 + 2?",
+    status: "pending_review",
+    statusHistory: [],
+    canTransitionTo: jest.fn().mockReturnValue(true),
+    ...fields,
+  };
+}
+
+/**
+ * Submit the reject modal
+ */
+function submitReject(reason, type = "rejected") {
+  return interact({
+    type: "view_submission",
+    user: { id: "U1" },
+    view: {
+      callback_id: "reject_response_modal",
+      private_metadata: JSON.stringify({
+        channel_id: "C1",
+        message_ts: "1.1",
+        data_key: "q1",
+      }),
+      state: {
+        values: {
+          reject_reason: { reason_text: { value: reason } },
+          reject_type: { type_choice: { selected_option: { value: type } } },
+        },
+      },
+    },
+  });
+}
+
+/**
+ * Submit the regenerate modal
+ */
+function submitRegenerate(instructions) {
+  return interact({
+    type: "view_submission",
+    user: { id: "U1" },
+    view: {
+      callback_id: "regenerate_modal",
+      private_metadata: JSON.stringify({
+        channel_id: "C1",
+        message_ts: "1.1",
+        data_key: "q1",
+      }),
+      state: {
+        values: {
+          regenerate_instructions: {
+            instructions_text: { value: instructions },
+          },
+        },
+      },
+    },
+  });
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  delete process.env.REJECTION_STUDENT_MESSAGE;
+  delete process.env.NEEDS_TEACHER_STUDENT_MESSAGE;
+});
+
+describe("reject flow", () => {
+  it("opens the reject modal for a pending question", async () => {
+    const record = questionRecord();
+    Question.findById.mockResolvedValue(record);
+
+    const res = await interact({
+      type: "block_actions",
+      trigger_id: "t1",
+      user: { id: "U1" },
+      channel: { id: "C1" },
+      message: { ts: "1.1" },
+      actions: [{ action_id: "reject_button", value: "q1" }],
+    });
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(slackService.openRejectModal).toHaveBeenCalledWith(
+      "t1",
+      "q1",
+      "C1",
+      "1.1",
+      "What is 2 + 2?"
+    );
+  });
+
+  it("tells the teacher when the question was already decided", async () => {
+    const record = questionRecord({
+      status: "approved",
+      statusHistory: [{ status: "approved", by: "U2" }],
+      canTransitionTo: jest.fn().mockReturnValue(false),
+    });
+    Question.findById.mockResolvedValue(record);
+
+    await interact({
+      type: "block_actions",
+      trigger_id: "t1",
+      user: { id: "U1" },
+      channel: { id: "C1" },
+      message: { ts: "1.1" },
+      actions: [{ action_id: "reject_button", value: "q1" }],
+    });
+
+    expect(slackService.openRejectModal).not.toHaveBeenCalled();
+    expect(slackService.postEphemeral).toHaveBeenCalledWith(
+      "C1",
+      "U1",
+      "This question was already handled by <@U2> (approved)."
+    );
+  });
+
+  it("rejects the answer, updates the card and tells the student", async () => {
+    Question.transitionAtomically.mockResolvedValue(questionRecord());
+
+    await submitReject("Wrong sign");
+
+    expect(Question.transitionAtomically).toHaveBeenCalledWith(
+      "q1",
+      "rejected",
+      expect.objectContaining({
+        by: "U1",
+        note: "Wrong sign",
+        set: expect.objectContaining({
+          rejectedBy: "U1",
+          rejectionReason: "Wrong sign",
+          needsTeacher: false,
+        }),
+      })
+    );
+    expect(slackService.updateMessageRejected).toHaveBeenCalledWith(
+      "1.1",
+      "What is 2 + 2?",
+      "U1",
+      "Wrong sign",
+      false,
+      "C1"
+    );
+    expect(telegramService.sendMessage).toHaveBeenCalledWith(
+      "42",
+      "A teacher reviewed your question and will follow up with a better answer soon."
+    );
+  });
+
+  it("hands the question to a teacher", async () => {
+    Question.transitionAtomically.mockResolvedValue(questionRecord());
+
+    await submitReject("Needs a drawing", "needs_teacher");
+
+    expect(
+      Question.transitionAtomically.mock.calls[0][2].set.needsTeacher
+    ).toBe(true);
+    expect(telegramService.sendMessage).toHaveBeenCalledWith(
+      "42",
+      "A teacher is looking at your question personally and will get back to you soon."
+    );
+  });
+
+  it("leaves the card and the student alone when another decision won", async () => {
+    Question.transitionAtomically.mockResolvedValue(null);
+    Question.findById.mockResolvedValue(
+      questionRecord({ statusHistory: [{ status: "approved", by: "U2" }] })
+    );
+
+    await submitReject("Wrong sign");
+
+    expect(slackService.updateMessageRejected).not.toHaveBeenCalled();
+    expect(telegramService.sendMessage).not.toHaveBeenCalled();
+    expect(slackService.postEphemeral).toHaveBeenCalledWith(
+      "C1",
+      "U1",
+      "This question was already handled by <@U2> (approved)."
+    );
+  });
+});
+
+describe("regenerate flow", () => {
+  it("opens the regenerate modal for a pending question", async () => {
+    Question.findById.mockResolvedValue(questionRecord());
+
+    await interact({
+      type: "block_actions",
+      trigger_id: "t1",
+      user: { id: "U1" },
+      channel: { id: "C1" },
+      message: { ts: "1.1" },
+      actions: [{ action_id: "regenerate_button", value: "q1" }],
+    });
+
+    expect(slackService.openRegenerateModal).toHaveBeenCalledWith(
+      "t1",
+      "q1",
+      "C1",
+      "1.1",
+      "What is 2 + 2?"
+    );
+  });
+
+  it("queues a new draft and tells the teacher", async () => {
+    const record = questionRecord();
+    Question.findById.mockResolvedValue(record);
+
+    await submitRegenerate("Show the steps");
+
+    expect(questionPipeline.regenerate).toHaveBeenCalledWith(record, {
+      instructions: "Show the steps",
+      requestedBy: "U1",
+    });
+    expect(slackService.postEphemeral).toHaveBeenCalledWith(
+      "C1",
+      "U1",
+      "Regenerating the answer. The card will update with the new draft."
+    );
+  });
+
+  it("does not regenerate a question decided while the modal was open", async () => {
+    Question.findById.mockResolvedValue(
+      questionRecord({
+        status: "approved",
+        statusHistory: [{ status: "approved", by: "U2" }],
+        canTransitionTo: jest.fn().mockReturnValue(false),
+      })
+    );
+
+    await submitRegenerate("Show the steps");
+
+    expect(questionPipeline.regenerate).not.toHaveBeenCalled();
+    expect(slackService.postEphemeral).toHaveBeenCalledWith(
+      "C1",
+      "U1",
+      "This question was already handled by <@U2> (approved)."
+    );
+  });
+});
+
+describe("blocking students", () => {
+  /**
+   * Click a student button on an approval card or its thread
+   */
+  function click(actionId) {
+    return interact({
+      type: "block_actions",
+      user: { id: "U1" },
+      channel: { id: "C1" },
+      message: { ts: "1.1" },
+      actions: [{ action_id: actionId, value: "q1" }],
+    });
+  }
+
+  beforeEach(() => {
+    Question.findById.mockResolvedValue(
+      questionRecord({ accountName: "<!channel> Ana & Bo" })
+    );
+    userService.block.mockResolvedValue({ platformId: "42", blocked: true });
+    userService.unblock.mockResolvedValue({ platformId: "42" });
+  });
+
+  it("escapes the student's name when blocking", async () => {
+    await click("block_student_button");
+
+    expect(userService.block).toHaveBeenCalledWith("42", {
+      by: "U1",
+      reason: "Blocked from question q1",
+    });
+    const [, , text, blocks] = slackService.postThreadReply.mock.calls[0];
+    expect(text).toBe(
+      ":no_entry: <@U1> blocked &lt;!channel&gt; Ana &amp; Bo. They can't ask questions until unblocked."
+    );
+    expect(blocks[0].text.text).toBe(text);
+  });
+
+  it("escapes the student's name when unblocking", async () => {
+    await click("unblock_student_button");
+
+    expect(slackService.postThreadReply).toHaveBeenCalledWith(
+      "C1",
+      "1.1",
+      ":white_check_mark: <@U1> unblocked &lt;!channel&gt; Ana &amp; Bo."
+    );
+  });
+});
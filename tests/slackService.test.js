@@ -0,0 +1,244 @@
+jest.mock("../utils/logger", () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+jest.mock("@slack/web-api", () => {
+  const client = {
+    chat: {
+      postMessage: jest.fn(),
+      update: jest.fn(),
+      delete: jest.fn(),
+    },
+    views: { open: jest.fn() },
+  };
+  return { WebClient: jest.fn(() => client), client };
+});
+
+const { client } = require("@slack/web-api");
+const slackService = require("../services/slackService");
+const { SLACK_INPUT_LIMIT, SLACK_TEXT_LIMIT } = require("../utils/formatters");
+
+/**
+ * A paragraph of the given number of words
+ */
+function paragraph(words, word = "word") {
+  return `${word} `.repeat(words).trim();
+}
+
+/**
+ * Open the edit modal and submit it without changes
+ */
+async function submitUnchanged(answer) {
+  await slackService.openEditModal("t1", "q1", "C1", "1.1", "Q?", answer);
+
+  const view = client.views.open.mock.calls[0][0].view;
+  const values = {};
+  for (const block of view.blocks.filter((b) => b.type === "input")) {
+    values[block.block_id] = {
+      response_text: { value: block.element.initial_value || null },
+    };
+  }
+  const metadata = JSON.parse(view.private_metadata);
+  return { values, metadata, view };
+}
+
+let nextTs = 0;
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  client.views.open.mockResolvedValue({ ok: true });
+  client.chat.postMessage.mockImplementation(({ channel }) => {
+    nextTs += 1;
+    return Promise.resolve({ channel, ts: `9.${nextTs}` });
+  });
+  client.chat.update.mockResolvedValue({ ok: true });
+  client.chat.delete.mockResolvedValue({ ok: true });
+});
+
+describe("slackService edit modal", () => {
+  it("gives back a long answer unchanged when nothing was edited", async () => {
+    const code = Array(400).fill("    x = x + 1").join("\n");
+    const answer = [
+      paragraph(300),
+      paragraph(900, "long"),
+      "```py\n" + code + "\n```",
+      "Line one\nLine two",
+    ].join("\n\n");
+    expect(answer.length).toBeGreaterThan(SLACK_INPUT_LIMIT * 3);
+
+    const { values, metadata, view } = await submitUnchanged(answer);
+
+    const inputs = view.blocks.filter((block) => block.type === "input");
+    expect(inputs.length).toBeGreaterThan(3);
+    inputs.forEach((block) =>
+      expect((block.element.initial_value || "").length).toBeLessThanOrEqual(
+        SLACK_INPUT_LIMIT
+      )
+    );
+    expect(slackService.getEditedAnswer(values, metadata.separators)).toBe(
+      answer
+    );
+  });
+
+  it("keeps a short answer in a single input", async () => {
+    const { values, metadata } = await submitUnchanged("Just **this**.");
+
+    expect(Object.keys(values)).toEqual(["edited_response"]);
+    expect(slackService.getEditedAnswer(values, metadata.separators)).toBe(
+      "Just **this**."
+    );
+  });
+
+  it("starts a new paragraph for text written in a spare input", () => {
+    const answer = slackService.getEditedAnswer({
+      edited_response: { response_text: { value: "First" } },
+      edited_response_2: { response_text: { value: "Added" } },
+      edited_response_3: { response_text: { value: "  " } },
+    });
+
+    expect(answer).toBe("First\n\nAdded");
+  });
+});
+
+describe("slackService thread overflow", () => {
+  const maxAnswerBlocks = slackService.maxAnswerBlocks;
+
+  beforeEach(() => {
+    slackService.maxAnswerBlocks = 1;
+  });
+
+  afterAll(() => {
+    slackService.maxAnswerBlocks = maxAnswerBlocks;
+  });
+
+  /**
+   * Answer that renders to the given number of Slack sections
+   */
+  function answerOfParts(count) {
+    return Array.from({ length: count }, (_, i) =>
+      paragraph(400, `part${i}`)
+    ).join("\n\n");
+  }
+
+  it("posts the parts that don't fit on a new card to its thread", async () => {
+    const result = await slackService.sendQuestionForApproval(
+      "Q?",
+      answerOfParts(3),
+      "q1",
+      "Ada",
+      false,
+      { channelId: "C1" }
+    );
+
+    // The card and two thread replies
+    expect(client.chat.postMessage).toHaveBeenCalledTimes(3);
+    expect(result.overflowTs).toHaveLength(2);
+  });
+
+  it("edits the replies already posted instead of adding copies", async () => {
+    const result = await slackService.updateApprovalCard(
+      "1.1",
+      "Q?",
+      answerOfParts(3),
+      "q1",
+      "Ada",
+      false,
+      { channelId: "C1", overflowTs: ["5.1", "5.2"] }
+    );
+
+    expect(client.chat.postMessage).not.toHaveBeenCalled();
+    const editedTs = client.chat.update.mock.calls.map(([args]) => args.ts);
+    expect(editedTs).toEqual(["1.1", "5.1", "5.2"]);
+    expect(result.overflowTs).toEqual(["5.1", "5.2"]);
+  });
+
+  it("adds replies for a longer answer and deletes them for a shorter one", async () => {
+    const longer = await slackService.updateMessage(
+      "1.1",
+      answerOfParts(4),
+      "C1",
+      ["5.1"]
+    );
+    expect(longer.overflowTs).toEqual([
+      "5.1",
+      expect.any(String),
+      expect.any(String),
+    ]);
+    expect(client.chat.postMessage).toHaveBeenCalledTimes(2);
+
+    jest.clearAllMocks();
+    const shorter = await slackService.updateMessage(
+      "1.1",
+      answerOfParts(2),
+      "C1",
+      ["5.1", "5.2", "5.3"]
+    );
+    expect(shorter.overflowTs).toEqual(["5.1"]);
+    expect(client.chat.delete.mock.calls.map(([args]) => args.ts)).toEqual([
+      "5.2",
+      "5.3",
+    ]);
+  });
+});
+
+describe("slackService reject modal", () => {
+  it("escapes the question and keeps it within the Slack text limit", async () => {
+    const question = `Is x < y & y > z? ${"a".repeat(SLACK_TEXT_LIMIT)}`;
+
+    await slackService.openRejectModal("t1", "q1", "C1", "1.1", question);
+
+    const view = client.views.open.mock.calls[0][0].view;
+    const text = view.blocks[0].text.text;
+    expect(text).toMatch(
+      /^\*Original Question:\*\nIs x &lt; y &amp; y &gt; z\?/
+    );
+    expect(text.length).toBeLessThanOrEqual(SLACK_TEXT_LIMIT);
+    expect(JSON.parse(view.private_metadata)).toEqual({
+      channel_id: "C1",
+      message_ts: "1.1",
+      data_key: "q1",
+    });
+  });
+});
+
+describe("slackService student names", () => {
+  const name = "<!channel> Ana & <https://evil.example|Bo>";
+  const escaped = "&lt;!channel&gt; Ana &amp; &lt;https://evil.example|Bo&gt;";
+
+  it("escapes the student's name on approval cards", async () => {
+    await slackService.sendQuestionForApproval("Q?", "A.", "q1", name, false, {
+      studentGrade: "7",
+      studentSubjects: ["Math"],
+    });
+
+    const message = client.chat.postMessage.mock.calls[0][0];
+    expect(message.blocks[0].elements[0].text).toBe(
+      `*From:* ${escaped} (Grade 7, studies Math) | *Source:* Text`
+    );
+    const buttons = message.blocks.find((block) => block.type === "actions");
+    const block = buttons.elements.find(
+      (element) => element.action_id === "block_student_button"
+    );
+    expect(block.confirm.text.text).toBe(
+      `${escaped} won't be able to ask questions until a teacher unblocks them.`
+    );
+    expect(message.text).toBe(`New question from ${escaped}: Q?...`);
+  });
+
+  it("escapes the student's name on auto-approval notices", async () => {
+    await slackService.sendAutoApproved("Q?", "A.", "q1", name, {
+      rule: "repeat",
+    });
+
+    const message = client.chat.postMessage.mock.calls[0][0];
+    expect(message.blocks[0].elements[0].text).toBe(
+      `:zap: *Auto-approved* (rule: repeat) | *From:* ${escaped}`
+    );
+    const undo = message.blocks[message.blocks.length - 1].elements[0];
+    expect(undo.confirm.text.text).toBe(
+      `${escaped} will be told to disregard this answer, and the question goes back for review.`
+    );
+    expect(message.text).toBe(`Auto-approved answer for ${escaped}: Q?...`);
+  });
+});
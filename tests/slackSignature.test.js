@@ -0,0 +1,146 @@
+const crypto = require("crypto");
+
+jest.mock("../utils/logger", () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+const {
+  captureRawBody,
+  verifySlackSignature,
+} = require("../utils/slackSignature");
+
+const SECRET = "test-signing-secret";
+
+/**
+ * Fake Express request signed the way Slack signs it
+ */
+function signedRequest(body, options = {}) {
+  const timestamp =
+    options.timestamp !== undefined
+      ? options.timestamp
+      : Math.floor(Date.now() / 1000);
+  const signature =
+    options.signature ||
+    "v0=" +
+      crypto
+        .createHmac("sha256", options.secret || SECRET)
+        .update(`v0:${timestamp}:${body}`)
+        .digest("hex");
+
+  const headers = {
+    "X-Slack-Signature": signature,
+    "X-Slack-Request-Timestamp": String(timestamp),
+    ...(options.headers || {}),
+  };
+
+  return {
+    ip: "127.0.0.1",
+    rawBody: Buffer.from(body),
+    get: (name) => headers[name],
+  };
+}
+
+function verify(req) {
+  const next = jest.fn();
+  verifySlackSignature(req, {}, next);
+  return next;
+}
+
+describe("verifySlackSignature", () => {
+  const originalSecret = process.env.SLACK_SIGNING_SECRET;
+
+  beforeEach(() => {
+    process.env.SLACK_SIGNING_SECRET = SECRET;
+    delete process.env.SLACK_SIGNATURE_MAX_AGE_SECONDS;
+  });
+
+  afterAll(() => {
+    process.env.SLACK_SIGNING_SECRET = originalSecret;
+  });
+
+  it("accepts a correctly signed request", () => {
+    const next = verify(signedRequest("payload=%7B%7D"));
+
+    expect(next).toHaveBeenCalledWith();
+  });
+
+  it("rejects a request signed with another secret", () => {
+    const next = verify(
+      signedRequest("payload=%7B%7D", { secret: "someone-else" })
+    );
+
+    expect(next.mock.calls[0][0].statusCode).toBe(401);
+  });
+
+  it("rejects a tampered body", () => {
+    const req = signedRequest("payload=%7B%7D");
+    req.rawBody = Buffer.from("payload=%7B%22a%22%7D");
+
+    expect(verify(req).mock.calls[0][0].statusCode).toBe(401);
+  });
+
+  it("rejects a signature of a different length", () => {
+    const next = verify(signedRequest("body", { signature: "v0=abc" }));
+
+    expect(next.mock.calls[0][0].message).toBe("Invalid Slack signature");
+  });
+
+  it("rejects requests without signature headers", () => {
+    const req = signedRequest("body");
+    req.get = () => undefined;
+
+    expect(verify(req).mock.calls[0][0].message).toBe(
+      "Missing Slack signature"
+    );
+  });
+
+  it("rejects replays older than the allowed window", () => {
+    const stale = Math.floor(Date.now() / 1000) - 10 * 60;
+    const next = verify(signedRequest("body", { timestamp: stale }));
+
+    expect(next.mock.calls[0][0].message).toBe(
+      "Slack request timestamp out of range"
+    );
+  });
+
+  it("honours SLACK_SIGNATURE_MAX_AGE_SECONDS", () => {
+    process.env.SLACK_SIGNATURE_MAX_AGE_SECONDS = "900";
+    const older = Math.floor(Date.now() / 1000) - 10 * 60;
+
+    expect(
+      verify(signedRequest("body", { timestamp: older }))
+    ).toHaveBeenCalledWith();
+  });
+
+  it("rejects a non-numeric timestamp", () => {
+    const next = verify(signedRequest("body", { timestamp: "soon" }));
+
+    expect(next.mock.calls[0][0].statusCode).toBe(401);
+  });
+
+  it("rejects everything when no signing secret is configured", () => {
+    delete process.env.SLACK_SIGNING_SECRET;
+
+    expect(verify(signedRequest("body")).mock.calls[0][0].message).toBe(
+      "Slack signing secret not configured"
+    );
+  });
+});
+
+describe("captureRawBody", () => {
+  it("keeps the raw body for signature checks", () => {
+    const req = {};
+    captureRawBody(req, {}, Buffer.from("a=1"));
+
+    expect(req.rawBody.toString()).toBe("a=1");
+  });
+
+  it("ignores empty bodies", () => {
+    const req = {};
+    captureRawBody(req, {}, Buffer.alloc(0));
+
+    expect(req.rawBody).toBeUndefined();
+  });
+});
@@ -0,0 +1,44 @@
+jest.mock("../utils/logger", () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+jest.mock("../services/llmService", () => ({ complete: jest.fn() }));
+
+const subjectService = require("../services/subjectService");
+
+const classify = (text) => subjectService._classifyWithRules(text);
+
+describe("rule-based subject classification", () => {
+  it.each([
+    ["Solve the quadratic equation x^2 - 4 = 0", "math", "algebra"],
+    ["How do I differentiate sin(x)?", "math", "calculus"],
+    ["What is the area of a circle with radius 3?", "math", "geometry"],
+    ["Why does an acid neutralize a base?", "chemistry", "acids and bases"],
+    ["What is the voltage across the resistors?", "physics", "electricity"],
+  ])("classifies %j as %s/%s", (text, subject, topic) => {
+    expect(classify(text)).toEqual({ subject, topic, method: "rules" });
+  });
+
+  it("matches plurals of whole-word keywords", () => {
+    expect(classify("Both angles of the triangles").subject).toBe("math");
+  });
+
+  it.each([
+    "I played baseball yesterday",
+    "I am currently stuck on my homework",
+    "Can I do my workout later?",
+    "The molecular gastronomy club",
+  ])("doesn't classify ordinary words by prefix: %j", (text) => {
+    const { subject } = classify(text);
+    expect(subject).toBeNull();
+  });
+
+  it("returns no subject when nothing matches", () => {
+    expect(classify("Tell me a joke")).toEqual({
+      subject: null,
+      topic: null,
+      method: "rules",
+    });
+  });
+});
@@ -0,0 +1,262 @@
+jest.mock("../utils/logger", () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+jest.mock("../models/question", () => {
+  const Question = jest.fn(function (data) {
+    Object.assign(this, data, { _id: "q9", save: jest.fn() });
+  });
+  Question.find = jest.fn();
+  return Question;
+});
+jest.mock("../services/questionPipeline", () => ({ start: jest.fn() }));
+jest.mock("../services/conversationService", () => ({
+  startNewConversation: jest.fn(),
+}));
+jest.mock("../services/userService", () => ({
+  touch: jest.fn(),
+  recordQuestion: jest.fn(),
+  startOnboarding: jest.fn(async (user) => {
+    user.onboardingStep = "grade";
+  }),
+  gradeOptions: jest.fn(() => ["6", "7"]),
+  subjectLabels: jest.fn(() => ["Math"]),
+}));
+jest.mock("../services/rateLimitService", () => ({
+  check: jest.fn(),
+}));
+jest.mock("../services/clarificationService", () => ({
+  findOpen: jest.fn(),
+  recordStudentReply: jest.fn(),
+}));
+jest.mock("../services/feedbackService", () => ({
+  findOpenComment: jest.fn(),
+}));
+
+const Question = require("../models/question");
+const questionPipeline = require("../services/questionPipeline");
+const conversationService = require("../services/conversationService");
+const userService = require("../services/userService");
+const rateLimitService = require("../services/rateLimitService");
+const clarificationService = require("../services/clarificationService");
+const feedbackService = require("../services/feedbackService");
+const { processMessage } = require("../controllers/telegramController");
+
+const student = { _id: "u1", platformId: "42", grade: "7" };
+const openClarification = { _id: "q1", accountName: "Ana" };
+
+/**
+ * Make Question.find(...).sort(...).limit(...).lean() return the records
+ */
+function mockQuestions(records) {
+  const chain = {
+    sort: jest.fn(() => chain),
+    limit: jest.fn(() => chain),
+    lean: () => Promise.resolve(records),
+  };
+  Question.find.mockReturnValue(chain);
+  return chain;
+}
+
+/**
+ * Send a Telegram message from the student and collect the bot's replies
+ */
+async function receive(fields) {
+  const bot = { sendMessage: jest.fn().mockResolvedValue({}) };
+  await processMessage(
+    {
+      message_id: 7,
+      chat: { id: 42 },
+      from: { id: 42, first_name: "Ana" },
+      ...fields,
+    },
+    bot
+  );
+  return bot;
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  userService.touch.mockResolvedValue(student);
+  rateLimitService.check.mockResolvedValue({ allowed: true });
+  feedbackService.findOpenComment.mockResolvedValue(null);
+});
+
+describe("clarification replies", () => {
+  beforeEach(() => {
+    clarificationService.findOpen.mockResolvedValue(openClarification);
+  });
+
+  it("passes the student's next text message to the teacher", async () => {
+    const bot = await receive({ text: "Yes, it's squared" });
+
+    expect(clarificationService.recordStudentReply).toHaveBeenCalledWith(
+      openClarification,
+      "Yes, it's squared"
+    );
+    expect(bot.sendMessage).toHaveBeenCalledWith(
+      42,
+      "Thanks! I've passed your reply on to the teacher."
+    );
+    expect(questionPipeline.start).not.toHaveBeenCalled();
+  });
+
+  it("handles a command as a command and keeps waiting for the reply", async () => {
+    const bot = await receive({ text: "/help" });
+
+    expect(clarificationService.findOpen).not.toHaveBeenCalled();
+    expect(clarificationService.recordStudentReply).not.toHaveBeenCalled();
+    expect(bot.sendMessage.mock.calls[0][1]).toMatch(/^Send me a question/);
+  });
+
+  it("treats a photo as a new question", async () => {
+    const bot = await receive({
+      photo: [{ file_id: "small" }, { file_id: "big" }],
+    });
+
+    expect(clarificationService.recordStudentReply).not.toHaveBeenCalled();
+    expect(questionPipeline.start).toHaveBeenCalledWith(
+      expect.objectContaining({ isFromImage: true, telegramFileId: "big" })
+    );
+    expect(bot.sendMessage).toHaveBeenCalledWith(
+      42,
+      "I've received your image and am processing it. A teacher will review the answer shortly."
+    );
+  });
+
+  it("treats text as a new question once the clarification is answered", async () => {
+    clarificationService.findOpen.mockResolvedValue(null);
+
+    await receive({ text: "What is a prime number?" });
+
+    expect(clarificationService.recordStudentReply).not.toHaveBeenCalled();
+    expect(questionPipeline.start).toHaveBeenCalledWith(
+      expect.objectContaining({
+        question: "What is a prime number?",
+        isFromImage: false,
+      })
+    );
+  });
+});
+
+describe("/new", () => {
+  it("starts a fresh conversation for the student", async () => {
+    clarificationService.findOpen.mockResolvedValue(null);
+
+    const bot = await receive({ text: "/new" });
+
+    expect(conversationService.startNewConversation).toHaveBeenCalledWith(
+      student
+    );
+    expect(bot.sendMessage).toHaveBeenCalledWith(
+      42,
+      "Starting a fresh topic. Your next question won't use our earlier conversation."
+    );
+    expect(questionPipeline.start).not.toHaveBeenCalled();
+  });
+});
+
+describe("command router", () => {
+  beforeEach(() => {
+    clarificationService.findOpen.mockResolvedValue(null);
+  });
+
+  it.each([["/help"], ["/help@TutorBot"], ["/HELP"], ["/help please "]])(
+    "routes %j to /help",
+    async (text) => {
+      const bot = await receive({ text });
+
+      expect(bot.sendMessage).toHaveBeenCalledTimes(1);
+      expect(bot.sendMessage.mock.calls[0][1]).toMatch(/^Send me a question/);
+    }
+  );
+
+  it("answers unknown commands without asking the AI", async () => {
+    const bot = await receive({ text: "/solve 2x = 4" });
+
+    expect(bot.sendMessage).toHaveBeenCalledWith(
+      42,
+      "Sorry, I don't know that command. Send /help to see what I can do."
+    );
+    expect(questionPipeline.start).not.toHaveBeenCalled();
+  });
+
+  it("treats an unknown command for another bot as unknown", async () => {
+    const bot = await receive({ text: "/weather@OtherBot" });
+
+    expect(bot.sendMessage.mock.calls[0][1]).toMatch(/don't know that command/);
+  });
+
+  it("does not count commands against the question quota", async () => {
+    await receive({ text: "/status@TutorBot" });
+
+    expect(rateLimitService.check).not.toHaveBeenCalled();
+  });
+
+  it("welcomes back a student who finished onboarding", async () => {
+    const bot = await receive({ text: "/start" });
+
+    expect(userService.startOnboarding).not.toHaveBeenCalled();
+    expect(bot.sendMessage.mock.calls[0][1]).toMatch(/^Welcome back, Ana!/);
+  });
+
+  it("starts onboarding for a new student", async () => {
+    const newStudent = { _id: "u2", platformId: "42", grade: null };
+    userService.touch.mockResolvedValue(newStudent);
+
+    const bot = await receive({ text: "/start" });
+
+    expect(userService.startOnboarding).toHaveBeenCalledWith(newStudent);
+    expect(bot.sendMessage.mock.calls[1]).toEqual([
+      42,
+      "Which grade are you in?",
+      {
+        reply_markup: {
+          keyboard: [[{ text: "6" }], [{ text: "7" }], [{ text: "Skip" }]],
+          one_time_keyboard: true,
+          resize_keyboard: true,
+        },
+      },
+    ]);
+  });
+
+  it("lists the student's recent questions for /history", async () => {
+    const chain = mockQuestions([
+      {
+        question: "What is a prime number?",
+        status: "delivered",
+        createdAt: new Date(2026, 2, 2),
+      },
+      {
+        question: null,
+        status: "pending_review",
+        createdAt: new Date(2026, 2, 1),
+      },
+    ]);
+
+    const bot = await receive({ text: "/history" });
+
+    expect(Question.find).toHaveBeenCalledWith({ accountId: "42" });
+    expect(chain.limit).toHaveBeenCalledWith(5);
+    const reply = bot.sendMessage.mock.calls[0][1];
+    expect(reply).toMatch(/^Your recent questions:/);
+    expect(reply).toContain("1. What is a prime number?\n   Answered");
+    expect(reply).toContain("2. Photo question\n   Waiting for a teacher");
+  });
+
+  it("says so when nothing is waiting for /status", async () => {
+    mockQuestions([]);
+
+    const bot = await receive({ text: "/status" });
+
+    expect(Question.find).toHaveBeenCalledWith({
+      accountId: "42",
+      status: { $in: ["received", "ai_failed", "pending_review"] },
+    });
+    expect(bot.sendMessage).toHaveBeenCalledWith(
+      42,
+      "Nothing is waiting for a teacher right now."
+    );
+  });
+});
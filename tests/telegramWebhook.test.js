@@ -0,0 +1,94 @@
+jest.mock("../utils/logger", () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+jest.mock("../models/question", () => ({}));
+jest.mock("../services/questionPipeline", () => ({}));
+jest.mock("../services/conversationService", () => ({}));
+jest.mock("../services/userService", () => ({}));
+jest.mock("../services/rateLimitService", () => ({}));
+jest.mock("../services/clarificationService", () => ({}));
+jest.mock("../services/feedbackService", () => ({}));
+
+const { handleWebhook } = require("../controllers/telegramController");
+
+const SECRET = "webhook-secret";
+
+/**
+ * Fake Express request/response pair for the webhook route
+ */
+function webhookCall({ token, webhookMode = true } = {}) {
+  const bot = { processUpdate: jest.fn() };
+  const req = {
+    ip: "127.0.0.1",
+    body: { update_id: 1, message: { text: "hi" } },
+    app: { locals: { bot, telegramWebhook: webhookMode } },
+    get: (name) =>
+      name === "X-Telegram-Bot-Api-Secret-Token" ? token : undefined,
+  };
+  const res = {
+    status: jest.fn().mockReturnThis(),
+    send: jest.fn(),
+  };
+  const next = jest.fn();
+
+  handleWebhook(req, res, next);
+  return { bot, res, next };
+}
+
+describe("handleWebhook", () => {
+  const originalSecret = process.env.TELEGRAM_WEBHOOK_SECRET;
+
+  beforeEach(() => {
+    process.env.TELEGRAM_WEBHOOK_SECRET = SECRET;
+  });
+
+  afterAll(() => {
+    process.env.TELEGRAM_WEBHOOK_SECRET = originalSecret;
+  });
+
+  it("acknowledges and dispatches updates with the right secret", () => {
+    const { bot, res, next } = webhookCall({ token: SECRET });
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(bot.processUpdate).toHaveBeenCalledWith({
+      update_id: 1,
+      message: { text: "hi" },
+    });
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it("rejects a wrong secret", () => {
+    const { bot, next } = webhookCall({ token: "webhook-secreT" });
+
+    expect(next.mock.calls[0][0].statusCode).toBe(401);
+    expect(bot.processUpdate).not.toHaveBeenCalled();
+  });
+
+  it("rejects a missing secret", () => {
+    const { bot, next } = webhookCall({ token: undefined });
+
+    expect(next.mock.calls[0][0].statusCode).toBe(401);
+    expect(bot.processUpdate).not.toHaveBeenCalled();
+  });
+
+  it("rejects everything when no secret is configured", () => {
+    delete process.env.TELEGRAM_WEBHOOK_SECRET;
+    const { bot, next } = webhookCall({ token: "" });
+
+    expect(next.mock.calls[0][0].statusCode).toBe(401);
+    expect(bot.processUpdate).not.toHaveBeenCalled();
+  });
+
+  it("falls through to a 404 in polling mode", () => {
+    const { bot, res, next } = webhookCall({
+      token: SECRET,
+      webhookMode: false,
+    });
+
+    expect(next).toHaveBeenCalledWith();
+    expect(res.status).not.toHaveBeenCalled();
+    expect(bot.processUpdate).not.toHaveBeenCalled();
+  });
+});
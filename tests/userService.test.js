@@ -0,0 +1,100 @@
+jest.mock("../utils/logger", () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+jest.mock("../models/user", () => ({}));
+
+const userService = require("../services/userService");
+
+/**
+ * Student part-way through onboarding
+ */
+function onboardingUser(step) {
+  return {
+    platformId: "42",
+    onboardingStep: step,
+    grade: null,
+    subjects: [],
+    save: jest.fn().mockResolvedValue(undefined),
+  };
+}
+
+describe("userService.parseGrade", () => {
+  it.each([
+    ["9", "9"],
+    ["Grade 12", "12"],
+    ["grade6", "6"],
+  ])("reads %p as grade %p", (text, grade) => {
+    expect(userService.parseGrade(text)).toBe(grade);
+  });
+
+  it.each(["5", "13", "99", "ninth", "9th grade", ""])("rejects %p", (text) => {
+    expect(userService.parseGrade(text)).toBeNull();
+  });
+});
+
+describe("userService.saveOnboardingReply", () => {
+  it("stores a valid grade and moves on to subjects", async () => {
+    const user = onboardingUser("grade");
+
+    const result = await userService.saveOnboardingReply(user, "Grade 10");
+
+    expect(result).toEqual({ step: "subjects", error: null });
+    expect(user.grade).toBe("10");
+    expect(user.save).toHaveBeenCalled();
+  });
+
+  it("asks again for an out-of-range grade", async () => {
+    const user = onboardingUser("grade");
+
+    const result = await userService.saveOnboardingReply(user, "42");
+
+    expect(result.step).toBe("grade");
+    expect(result.error).toMatch(/from 6 to 12/);
+    expect(user.grade).toBeNull();
+    expect(user.save).not.toHaveBeenCalled();
+  });
+
+  it("asks again when no subject is recognised", async () => {
+    const user = onboardingUser("subjects");
+
+    const result = await userService.saveOnboardingReply(user, "Underwater");
+
+    expect(result.step).toBe("subjects");
+    expect(result.error).toMatch(/Math/);
+    expect(user.onboardingStep).toBe("subjects");
+  });
+
+  it("finishes onboarding with the chosen subjects", async () => {
+    const user = onboardingUser("subjects");
+
+    const result = await userService.saveOnboardingReply(
+      user,
+      "Math and physics"
+    );
+
+    expect(result).toEqual({ step: null, error: null });
+    expect(user.subjects).toEqual(["math", "physics"]);
+  });
+
+  it("lets the student skip a step", async () => {
+    const user = onboardingUser("grade");
+
+    await expect(
+      userService.saveOnboardingReply(user, "Skip")
+    ).resolves.toEqual({ step: "subjects", error: null });
+  });
+});
+
+describe("userService.studentSubjectLabels", () => {
+  it("labels known subjects and ignores the rest", () => {
+    expect(
+      userService.studentSubjectLabels({ subjects: ["physics", "latin"] })
+    ).toEqual(["Physics"]);
+  });
+
+  it("handles a missing student", () => {
+    expect(userService.studentSubjectLabels(null)).toEqual([]);
+  });
+});
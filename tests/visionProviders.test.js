@@ -0,0 +1,161 @@
+jest.mock("../utils/logger", () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+const mockGenerateContent = jest.fn();
+jest.mock("@google/generative-ai", () => ({
+  GoogleGenerativeAI: jest.fn().mockImplementation(() => ({
+    getGenerativeModel: () => ({ generateContent: mockGenerateContent }),
+  })),
+}));
+
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const GeminiVisionProvider = require("../services/vision/geminiVisionProvider");
+const FixtureVisionProvider = require("../services/vision/fixtureVisionProvider");
+
+let dir;
+let imagePath;
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "vision-"));
+  imagePath = path.join(dir, "question.png");
+  fs.writeFileSync(imagePath, "not really a png");
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe("GeminiVisionProvider", () => {
+  const provider = new GeminiVisionProvider();
+
+  /**
+   * Make the model reply with the given text
+   */
+  function reply(text) {
+    mockGenerateContent.mockResolvedValue({ response: { text: () => text } });
+  }
+
+  it("sends the prompt and the image with its MIME type", async () => {
+    reply('{"text": "Solve 2x = 4", "confidence": 0.9}');
+
+    await provider.extractText(imagePath);
+
+    const [prompt, image] = mockGenerateContent.mock.calls[0][0];
+    expect(prompt).toBe(provider.prompt);
+    expect(image.inlineData).toEqual({
+      data: Buffer.from("not really a png").toString("base64"),
+      mimeType: "image/png",
+    });
+  });
+
+  it.each([
+    ['{"text": " Solve 2x = 4 ", "confidence": 0.9}', 0.9],
+    ['```json\n{"text": "Solve 2x = 4", "confidence": 0.9}\n```', 0.9],
+    ['{"text": "Solve 2x = 4", "confidence": 1.7}', 1],
+    ['{"text": "Solve 2x = 4", "confidence": -1}', 0],
+    ['{"text": "Solve 2x = 4", "confidence": 0}', 0],
+  ])("parses %j", async (raw, confidence) => {
+    reply(raw);
+
+    await expect(provider.extractText(imagePath)).resolves.toEqual({
+      text: "Solve 2x = 4",
+      confidence,
+    });
+  });
+
+  it.each([
+    ['{"text": "Solve 2x = 4"}'],
+    ['{"text": "Solve 2x = 4", "confidence": null}'],
+    ['{"text": "Solve 2x = 4", "confidence": ""}'],
+    ['{"text": "Solve 2x = 4", "confidence": "high"}'],
+    ['{"text": "Solve 2x = 4", "confidence": false}'],
+  ])("stores an unknown confidence for %j", async (raw) => {
+    reply(raw);
+
+    const result = await provider.extractText(imagePath);
+
+    expect(result.confidence).toBeNull();
+  });
+
+  it("keeps a plain-text reply without a score", async () => {
+    reply("Solve 2x = 4");
+
+    await expect(provider.extractText(imagePath)).resolves.toEqual({
+      text: "Solve 2x = 4",
+      confidence: null,
+    });
+  });
+
+  it("throws on an empty reply", async () => {
+    reply("  ");
+
+    await expect(provider.extractText(imagePath)).rejects.toThrow(
+      "Empty response from Gemini vision model"
+    );
+  });
+});
+
+describe("FixtureVisionProvider", () => {
+  /**
+   * Write a fixture file and point a new provider at it
+   */
+  function providerWith(fixtures) {
+    const fixtureFile = path.join(dir, "fixtures.json");
+    fs.writeFileSync(fixtureFile, JSON.stringify(fixtures));
+    process.env.VISION_FIXTURE_FILE = fixtureFile;
+    return new FixtureVisionProvider();
+  }
+
+  afterEach(() => {
+    delete process.env.VISION_FIXTURE_FILE;
+  });
+
+  it("looks up the image by the hash of its bytes", async () => {
+    const hash = crypto
+      .createHash("sha256")
+      .update("not really a png")
+      .digest("hex");
+    const provider = providerWith({
+      [hash]: { text: "Solve 2x = 4", confidence: 0.95 },
+      default: { text: "Other" },
+    });
+
+    await expect(provider.extractText(imagePath)).resolves.toEqual({
+      text: "Solve 2x = 4",
+      confidence: 0.95,
+    });
+  });
+
+  it("falls back to the default entry without a score", async () => {
+    const provider = providerWith({ default: { text: "Other" } });
+
+    await expect(provider.extractText(imagePath)).resolves.toEqual({
+      text: "Other",
+      confidence: null,
+    });
+  });
+
+  it("throws for an unknown image without a default", async () => {
+    const provider = providerWith({});
+
+    await expect(provider.extractText(imagePath)).rejects.toThrow(
+      /No vision fixture for image/
+    );
+  });
+
+  it("throws when the fixture file is missing", async () => {
+    process.env.VISION_FIXTURE_FILE = path.join(dir, "missing.json");
+    const provider = new FixtureVisionProvider();
+
+    await expect(provider.extractText(imagePath)).rejects.toThrow(
+      /Vision fixture file not found/
+    );
+  });
+});
@@ -0,0 +1,27 @@
+const crypto = require("crypto");
+const logger = require("./logger");
+
+/**
+ * Express middleware that requires the admin API token as a bearer token
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.requireAdminToken = (req, res, next) => {
+  const expected = Buffer.from(process.env.ADMIN_API_TOKEN || "");
+  const header = req.get("Authorization") || "";
+  const received = Buffer.from(header.replace(/^Bearer\s+/i, ""));
+
+  if (
+    expected.length === 0 ||
+    expected.length !== received.length ||
+    !crypto.timingSafeEqual(expected, received)
+  ) {
+    logger.warn(`Unauthorized admin API request: ${req.ip}`);
+    const error = new Error("Unauthorized");
+    error.statusCode = 401;
+    return next(error);
+  }
+
+  next();
+};
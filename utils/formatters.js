@@ -29,3 +29,922 @@ exports.formatSuccess = (message, data) => {
     data,
   };
 };
+
+/*
+ * Answer formatting.
+ *
+ * LLM answers are markdown with LaTeX formulas. They are parsed once into
+ * blocks and inline nodes, with formulas converted to Unicode, and then
+ * rendered for Telegram (HTML subset) or Slack (mrkdwn). Anything that is not
+ * recognised markup is escaped, so stray "<" or "&" can't break a message.
+ */
+
+const LATEX_SYMBOLS = {
+  alpha: "α",
+  beta: "β",
+  gamma: "γ",
+  delta: "δ",
+  epsilon: "ε",
+  varepsilon: "ε",
+  zeta: "ζ",
+  eta: "η",
+  theta: "θ",
+  vartheta: "ϑ",
+  iota: "ι",
+  kappa: "κ",
+  lambda: "λ",
+  mu: "μ",
+  nu: "ν",
+  xi: "ξ",
+  pi: "π",
+  rho: "ρ",
+  sigma: "σ",
+  tau: "τ",
+  upsilon: "υ",
+  phi: "φ",
+  varphi: "φ",
+  chi: "χ",
+  psi: "ψ",
+  omega: "ω",
+  Gamma: "Γ",
+  Delta: "Δ",
+  Theta: "Θ",
+  Lambda: "Λ",
+  Xi: "Ξ",
+  Pi: "Π",
+  Sigma: "Σ",
+  Phi: "Φ",
+  Psi: "Ψ",
+  Omega: "Ω",
+  times: "×",
+  cdot: "·",
+  div: "÷",
+  pm: "±",
+  mp: "∓",
+  le: "≤",
+  leq: "≤",
+  ge: "≥",
+  geq: "≥",
+  ne: "≠",
+  neq: "≠",
+  approx: "≈",
+  equiv: "≡",
+  sim: "∼",
+  propto: "∝",
+  infty: "∞",
+  to: "→",
+  rightarrow: "→",
+  leftarrow: "←",
+  Rightarrow: "⇒",
+  Leftarrow: "⇐",
+  implies: "⇒",
+  iff: "⇔",
+  Leftrightarrow: "⇔",
+  leftrightarrow: "↔",
+  in: "∈",
+  notin: "∉",
+  subset: "⊂",
+  subseteq: "⊆",
+  supset: "⊃",
+  cup: "∪",
+  cap: "∩",
+  emptyset: "∅",
+  varnothing: "∅",
+  forall: "∀",
+  exists: "∃",
+  neg: "¬",
+  land: "∧",
+  lor: "∨",
+  partial: "∂",
+  nabla: "∇",
+  sum: "∑",
+  prod: "∏",
+  int: "∫",
+  oint: "∮",
+  angle: "∠",
+  perp: "⊥",
+  parallel: "∥",
+  triangle: "△",
+  circ: "∘",
+  degree: "°",
+  cdots: "⋯",
+  ldots: "…",
+  dots: "…",
+  prime: "′",
+  "{": "{",
+  "}": "}",
+  "%": "%",
+  $: "$",
+  "&": "&",
+  "#": "#",
+  _: "_",
+  "|": "‖",
+  ",": " ",
+  ":": " ",
+  ";": " ",
+  " ": " ",
+  quad: "  ",
+  qquad: "    ",
+  "!": "",
+  "\\": "\n",
+};
+
+// Commands whose argument is shown as plain text
+const LATEX_TEXT_COMMANDS = [
+  "text",
+  "textbf",
+  "textit",
+  "mathrm",
+  "mathbf",
+  "mathit",
+  "mathsf",
+  "mathbb",
+  "mathcal",
+  "operatorname",
+  "mbox",
+  "boxed",
+];
+
+// Combining characters for accents
+const LATEX_ACCENTS = {
+  vec: "⃗",
+  hat: "̂",
+  bar: "̄",
+  overline: "̅",
+  tilde: "̃",
+  dot: "̇",
+  ddot: "̈",
+};
+
+// Nth roots with a Unicode symbol of their own
+const LATEX_ROOTS = {
+  3: "∛",
+  4: "∜",
+};
+
+/**
+ * Look up a key in one of the tables above, ignoring what objects inherit,
+ * so \constructor or \toString are not mistaken for symbols
+ * @param {Object} table - Lookup table
+ * @param {string} key - Command name or character
+ * @returns {string|undefined}
+ */
+function lookup(table, key) {
+  return Object.prototype.hasOwnProperty.call(table, key)
+    ? table[key]
+    : undefined;
+}
+
+const SUPERSCRIPTS = {
+  0: "⁰",
+  1: "¹",
+  2: "²",
+  3: "³",
+  4: "⁴",
+  5: "⁵",
+  6: "⁶",
+  7: "⁷",
+  8: "⁸",
+  9: "⁹",
+  "+": "⁺",
+  "-": "⁻",
+  "−": "⁻",
+  "=": "⁼",
+  "(": "⁽",
+  ")": "⁾",
+  a: "ᵃ",
+  b: "ᵇ",
+  c: "ᶜ",
+  d: "ᵈ",
+  e: "ᵉ",
+  f: "ᶠ",
+  g: "ᵍ",
+  h: "ʰ",
+  i: "ⁱ",
+  j: "ʲ",
+  k: "ᵏ",
+  l: "ˡ",
+  m: "ᵐ",
+  n: "ⁿ",
+  o: "ᵒ",
+  p: "ᵖ",
+  r: "ʳ",
+  s: "ˢ",
+  t: "ᵗ",
+  u: "ᵘ",
+  v: "ᵛ",
+  w: "ʷ",
+  x: "ˣ",
+  y: "ʸ",
+  z: "ᶻ",
+};
+
+const SUBSCRIPTS = {
+  0: "₀",
+  1: "₁",
+  2: "₂",
+  3: "₃",
+  4: "₄",
+  5: "₅",
+  6: "₆",
+  7: "₇",
+  8: "₈",
+  9: "₉",
+  "+": "₊",
+  "-": "₋",
+  "−": "₋",
+  "=": "₌",
+  "(": "₍",
+  ")": "₎",
+  a: "ₐ",
+  e: "ₑ",
+  h: "ₕ",
+  i: "ᵢ",
+  j: "ⱼ",
+  k: "ₖ",
+  l: "ₗ",
+  m: "ₘ",
+  n: "ₙ",
+  o: "ₒ",
+  p: "ₚ",
+  r: "ᵣ",
+  s: "ₛ",
+  t: "ₜ",
+  u: "ᵤ",
+  v: "ᵥ",
+  x: "ₓ",
+};
+
+/**
+ * Read a LaTeX command argument: a {group}, a \command or a single character
+ * @param {string} src - LaTeX source
+ * @param {number} start - Index to read from
+ * @returns {{content: string, end: number}}
+ */
+function readLatexArgument(src, start) {
+  let i = start;
+  while (src[i] === " ") i++;
+
+  if (src[i] === "{") {
+    let depth = 0;
+    for (let j = i; j < src.length; j++) {
+      if (src[j] === "\\") {
+        j++;
+      } else if (src[j] === "{") {
+        depth++;
+      } else if (src[j] === "}" && --depth === 0) {
+        return { content: src.slice(i + 1, j), end: j + 1 };
+      }
+    }
+    return { content: src.slice(i + 1), end: src.length };
+  }
+
+  if (src[i] === "\\") {
+    const command = /^\\([A-Za-z]+|.)/.exec(src.slice(i));
+    if (command) {
+      return { content: command[0], end: i + command[0].length };
+    }
+  }
+
+  return { content: src[i] || "", end: i + 1 };
+}
+
+/**
+ * Raise or lower text with Unicode characters when every character has one
+ * @param {string} text - Converted script text
+ * @param {string} kind - "^" or "_"
+ * @returns {string}
+ */
+function toScript(text, kind) {
+  if (kind === "^" && (text === "∘" || text === "°")) {
+    return "°";
+  }
+  if (kind === "^" && text === "′") {
+    return "′";
+  }
+
+  const map = kind === "^" ? SUPERSCRIPTS : SUBSCRIPTS;
+  const chars = [...text];
+  if (chars.length > 0 && chars.every((char) => lookup(map, char))) {
+    return chars.map((char) => lookup(map, char)).join("");
+  }
+
+  return chars.length === 1 ? `${kind}${text}` : `${kind}(${text})`;
+}
+
+/**
+ * Parenthesise a fraction part unless it is a single term
+ * @param {string} text - Converted fraction part
+ * @returns {string}
+ */
+function wrapTerm(text) {
+  return /[\s+\-−×·÷=/,<>±]/.test(text) ? `(${text})` : text;
+}
+
+/**
+ * Convert a LaTeX formula into readable Unicode text
+ * @param {string} src - LaTeX source, without $ delimiters
+ * @returns {string}
+ */
+exports.latexToUnicode = (src) => {
+  let out = "";
+  let i = 0;
+
+  while (i < src.length) {
+    const char = src[i];
+
+    if (char === "\\") {
+      const command = /^\\([A-Za-z]+|.)/.exec(src.slice(i));
+      const name = command ? command[1] : "";
+      i += command ? command[0].length : 1;
+
+      if (["frac", "dfrac", "tfrac"].includes(name)) {
+        const numerator = readLatexArgument(src, i);
+        const denominator = readLatexArgument(src, numerator.end);
+        out += `${wrapTerm(
+          exports.latexToUnicode(numerator.content)
+        )}/${wrapTerm(exports.latexToUnicode(denominator.content))}`;
+        i = denominator.end;
+      } else if (name === "sqrt") {
+        let index = null;
+        const indexMatch = /^\[([^\]]*)\]/.exec(src.slice(i));
+        if (indexMatch) {
+          index = indexMatch[1].trim();
+          i += indexMatch[0].length;
+        }
+        const radicand = readLatexArgument(src, i);
+        const text = exports.latexToUnicode(radicand.content);
+        const root =
+          lookup(LATEX_ROOTS, index) ||
+          (index ? `${toScript(index, "^")}√` : "√");
+        out += root + ([...text].length > 1 ? `(${text})` : text);
+        i = radicand.end;
+      } else if (LATEX_TEXT_COMMANDS.includes(name)) {
+        const argument = readLatexArgument(src, i);
+        out += name.startsWith("text")
+          ? argument.content
+          : exports.latexToUnicode(argument.content);
+        i = argument.end;
+      } else if (lookup(LATEX_ACCENTS, name)) {
+        const argument = readLatexArgument(src, i);
+        out += [...exports.latexToUnicode(argument.content)]
+          .map((letter) => letter + lookup(LATEX_ACCENTS, name))
+          .join("");
+        i = argument.end;
+      } else if (name === "left" || name === "right") {
+        // \left. and \right. are invisible delimiters
+        if (src[i] === ".") i++;
+      } else if (lookup(LATEX_SYMBOLS, name) !== undefined) {
+        out += lookup(LATEX_SYMBOLS, name);
+      } else {
+        // \sin, \log, \lim and unknown commands read fine as their name
+        out += name;
+      }
+    } else if (char === "^" || char === "_") {
+      const argument = readLatexArgument(src, i + 1);
+      out += toScript(exports.latexToUnicode(argument.content), char);
+      i = argument.end;
+    } else if (char === "{") {
+      const group = readLatexArgument(src, i);
+      out += exports.latexToUnicode(group.content);
+      i = group.end;
+    } else if (char === "}") {
+      i++;
+    } else if (char === "~") {
+      out += " ";
+      i++;
+    } else {
+      out += char;
+      i++;
+    }
+  }
+
+  return out;
+};
+
+// Inline markup, tried in this order when two start at the same position
+const INLINE_PATTERNS = [
+  { type: "code", re: /`([^`\n]+)`/ },
+  { type: "math", re: /\$\$([^$]+?)\$\$/ },
+  { type: "math", re: /\\\((.+?)\\\)/ },
+  // "$5 and $10" is money: no space inside the delimiters, no digit after
+  { type: "math", re: /\$(?=\S)((?:\\\$|[^$\n])+?)(?<=\S)\$(?!\d)/ },
+  { type: "link", re: /\[([^\]\n]+)\]\((https?:\/\/[^)\s]+)\)/ },
+  { type: "bold", re: /\*\*(?=\S)(.+?)(?<=\S)\*\*/ },
+  { type: "bold", re: /__(?=\S)(.+?)(?<=\S)__/ },
+  { type: "strike", re: /~~(?=\S)(.+?)(?<=\S)~~/ },
+  { type: "italic", re: /\*(?=[^\s*])(.+?)(?<=[^\s*])\*/ },
+  {
+    type: "italic",
+    re: /(?<![A-Za-z0-9_])_(?=\S)(.+?)(?<=\S)_(?![A-Za-z0-9_])/,
+  },
+];
+
+/**
+ * Split inline markdown into nodes
+ * @param {string} text - One line of markdown
+ * @returns {Array<Object>} - { type, text } leaves and { type, children }
+ */
+function parseInline(text) {
+  const nodes = [];
+  let rest = text;
+
+  while (rest) {
+    let first = null;
+    for (const pattern of INLINE_PATTERNS) {
+      const match = pattern.re.exec(rest);
+      if (match && (!first || match.index < first.match.index)) {
+        first = { pattern, match };
+      }
+    }
+
+    if (!first) {
+      nodes.push({ type: "text", text: rest });
+      break;
+    }
+
+    const { pattern, match } = first;
+    if (match.index > 0) {
+      nodes.push({ type: "text", text: rest.slice(0, match.index) });
+    }
+
+    if (pattern.type === "code") {
+      nodes.push({ type: "code", text: match[1] });
+    } else if (pattern.type === "math") {
+      nodes.push({ type: "math", text: exports.latexToUnicode(match[1]) });
+    } else if (pattern.type === "link") {
+      nodes.push({
+        type: "link",
+        url: match[2],
+        children: parseInline(match[1]),
+      });
+    } else {
+      nodes.push({ type: pattern.type, children: parseInline(match[1]) });
+    }
+
+    rest = rest.slice(match.index + match[0].length);
+  }
+
+  return nodes;
+}
+
+/**
+ * Split markdown into blocks
+ * @param {string} markdown - Answer text
+ * @returns {Array<Object>} - Blocks, one per output line or group of lines
+ */
+function parseBlocks(markdown) {
+  const lines = (markdown || "").replace(/\r\n?/g, "\n").split("\n");
+  const blocks = [];
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const trimmed = line.trim();
+
+    // Fenced code keeps its content verbatim
+    const fence = /^```\s*([\w+-]*)\s*$/.exec(trimmed);
+    if (fence) {
+      const body = [];
+      while (++i < lines.length && lines[i].trim() !== "```") {
+        body.push(lines[i]);
+      }
+      blocks.push({ type: "pre", language: fence[1], text: body.join("\n") });
+      continue;
+    }
+
+    // Display math: $$ ... $$ or \[ ... \], possibly over several lines
+    const mathOpen = /^(\$\$|\\\[)/.exec(trimmed);
+    if (mathOpen) {
+      const close = mathOpen[1] === "$$" ? "$$" : "\\]";
+      let source = trimmed.slice(2);
+      while (!source.trimEnd().endsWith(close) && i + 1 < lines.length) {
+        source += ` ${lines[++i].trim()}`;
+      }
+      source = source.trimEnd();
+      if (source.endsWith(close)) {
+        source = source.slice(0, -2);
+      }
+      blocks.push({
+        type: "math",
+        text: exports.latexToUnicode(source.trim()),
+      });
+      continue;
+    }
+
+    const heading = /^#{1,6}\s+(.*?)\s*#*$/.exec(trimmed);
+    const bullet = /^(\s*)[-*+]\s+(.*)$/.exec(line);
+    const numbered = /^(\s*)(\d+[.)])\s+(.*)$/.exec(line);
+    const quote = /^>\s?(.*)$/.exec(trimmed);
+
+    if (!trimmed) {
+      blocks.push({ type: "blank" });
+    } else if (/^([-*_])(\s*\1){2,}$/.test(trimmed)) {
+      blocks.push({ type: "rule" });
+    } else if (heading) {
+      blocks.push({ type: "heading", children: parseInline(heading[1]) });
+    } else if (bullet) {
+      blocks.push({
+        type: "item",
+        indent: Math.floor(bullet[1].length / 2),
+        marker: "•",
+        children: parseInline(bullet[2]),
+      });
+    } else if (numbered) {
+      blocks.push({
+        type: "item",
+        indent: Math.floor(numbered[1].length / 2),
+        marker: numbered[2],
+        children: parseInline(numbered[3]),
+      });
+    } else if (quote) {
+      blocks.push({ type: "quote", children: parseInline(quote[1]) });
+    } else {
+      blocks.push({ type: "paragraph", children: parseInline(trimmed) });
+    }
+  }
+
+  return blocks;
+}
+
+/**
+ * Escape text for Telegram's HTML parse mode
+ * @param {string} text - Plain text
+ * @returns {string}
+ */
+exports.escapeHtml = (text) =>
+  String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+/**
+ * Escape text for Slack mrkdwn
+ * @param {string} text - Plain text
+ * @returns {string}
+ */
+exports.escapeSlack = (text) =>
+  String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+
+// How each target renders the parsed nodes
+const RENDERERS = {
+  telegram: {
+    escape: exports.escapeHtml,
+    bold: (inner) => `<b>${inner}</b>`,
+    italic: (inner) => `<i>${inner}</i>`,
+    strike: (inner) => `<s>${inner}</s>`,
+    code: (text) => `<code>${exports.escapeHtml(text)}</code>`,
+    link: (inner, url) => `<a href="${exports.escapeHtml(url)}">${inner}</a>`,
+    pre: (text, language) =>
+      language
+        ? `<pre><code class="language-${language}">${exports.escapeHtml(
+            text
+          )}</code></pre>`
+        : `<pre>${exports.escapeHtml(text)}</pre>`,
+    quote: (lines) => `<blockquote>${lines.join("\n")}</blockquote>`,
+  },
+  slack: {
+    escape: exports.escapeSlack,
+    bold: (inner) => `*${inner}*`,
+    italic: (inner) => `_${inner}_`,
+    strike: (inner) => `~${inner}~`,
+    code: (text) => `\`${exports.escapeSlack(text)}\``,
+    // "|" and ">" would end the URL early, so they are percent-encoded
+    link: (inner, url) =>
+      `<${url.replace(/[|<>]/g, encodeURIComponent)}|${inner}>`,
+    pre: (text) => `\`\`\`\n${exports.escapeSlack(text)}\n\`\`\``,
+    quote: (lines) => lines.map((line) => `> ${line}`).join("\n"),
+  },
+};
+
+/**
+ * Render inline nodes for a target
+ * @param {Array<Object>} nodes - Inline nodes
+ * @param {Object} renderer - Entry of RENDERERS
+ * @returns {string}
+ */
+function renderInline(nodes, renderer) {
+  return nodes
+    .map((node) => {
+      switch (node.type) {
+        case "text":
+        case "math":
+          return renderer.escape(node.text);
+        case "code":
+          return renderer.code(node.text);
+        case "link":
+          return renderer.link(renderInline(node.children, renderer), node.url);
+        default:
+          return renderer[node.type](renderInline(node.children, renderer));
+      }
+    })
+    .join("");
+}
+
+/**
+ * Render markdown for a target
+ * @param {string} markdown - Answer text
+ * @param {Object} renderer - Entry of RENDERERS
+ * @returns {string}
+ */
+function render(markdown, renderer) {
+  const lines = [];
+  let quote = [];
+
+  const flushQuote = () => {
+    if (quote.length > 0) {
+      lines.push(renderer.quote(quote));
+      quote = [];
+    }
+  };
+
+  for (const block of parseBlocks(markdown)) {
+    if (block.type === "quote") {
+      quote.push(renderInline(block.children, renderer));
+      continue;
+    }
+    flushQuote();
+
+    switch (block.type) {
+      case "blank":
+        lines.push("");
+        break;
+      case "rule":
+        lines.push("──────────");
+        break;
+      case "pre":
+        lines.push(renderer.pre(block.text, block.language));
+        break;
+      case "math":
+        lines.push(renderer.escape(block.text));
+        break;
+      case "heading":
+        lines.push(renderer.bold(renderInline(block.children, renderer)));
+        break;
+      case "item":
+        lines.push(
+          `${"    ".repeat(block.indent)}${block.marker} ${renderInline(
+            block.children,
+            renderer
+          )}`
+        );
+        break;
+      default:
+        lines.push(renderInline(block.children, renderer));
+    }
+  }
+  flushQuote();
+
+  // Collapse runs of blank lines left by the model
+  return lines
+    .join("\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+/**
+ * Convert answer markdown and LaTeX into Telegram's HTML subset
+ * @param {string} markdown - Answer text
+ * @returns {string} - Text for parse_mode "HTML"
+ */
+exports.toTelegramHtml = (markdown) => render(markdown, RENDERERS.telegram);
+
+/**
+ * Convert answer markdown and LaTeX into Slack mrkdwn
+ * @param {string} markdown - Answer text
+ * @returns {string} - Text for mrkdwn text objects
+ */
+exports.toSlackMrkdwn = (markdown) => render(markdown, RENDERERS.slack);
+
+// Size limits of the places answers are shown
+exports.TELEGRAM_MESSAGE_LIMIT = 4096;
+exports.SLACK_TEXT_LIMIT = 3000;
+exports.SLACK_INPUT_LIMIT = 3000;
+
+/**
+ * Split markdown into paragraphs, keeping fenced code and display math whole
+ * @param {string} markdown - Answer text
+ * @returns {Array<string>}
+ */
+function markdownUnits(markdown) {
+  const lines = (markdown || "").replace(/\r\n?/g, "\n").split("\n");
+  const units = [];
+  let paragraph = [];
+
+  const flush = () => {
+    if (paragraph.length > 0) {
+      units.push(paragraph.join("\n"));
+      paragraph = [];
+    }
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const trimmed = lines[i].trim();
+    const close = /^```/.test(trimmed)
+      ? "```"
+      : /^(\$\$|\\\[)/.test(trimmed)
+      ? trimmed.startsWith("$$")
+        ? "$$"
+        : "\\]"
+      : null;
+
+    if (close) {
+      flush();
+      const block = [lines[i]];
+      const closedOnSameLine =
+        close !== "```" && trimmed.length > 2 && trimmed.endsWith(close);
+      while (!closedOnSameLine && i + 1 < lines.length) {
+        block.push(lines[++i]);
+        if (lines[i].trim().endsWith(close)) break;
+      }
+      units.push(block.join("\n"));
+    } else if (!trimmed) {
+      flush();
+    } else {
+      paragraph.push(lines[i]);
+    }
+  }
+  flush();
+
+  return units;
+}
+
+/**
+ * Greedily join pieces while the result still fits
+ * @param {Array<string>} pieces - Text pieces, in order
+ * @param {string} separator - Put between joined pieces
+ * @param {number} maxLength - Limit per chunk
+ * @param {Function} measure - Length of a chunk as it will be sent
+ * @param {Function} splitPiece - Splits a piece that is too long on its own
+ * @returns {Array<string>}
+ */
+function packPieces(pieces, separator, maxLength, measure, splitPiece) {
+  const chunks = [];
+  let current = "";
+
+  for (const piece of pieces) {
+    const candidate = current ? current + separator + piece : piece;
+    if (measure(candidate) <= maxLength) {
+      current = candidate;
+      continue;
+    }
+
+    if (current) {
+      chunks.push(current);
+    }
+
+    if (measure(piece) <= maxLength) {
+      current = piece;
+    } else {
+      const parts = splitPiece(piece);
+      current = parts.pop();
+      chunks.push(...parts);
+    }
+  }
+
+  if (current) {
+    chunks.push(current);
+  }
+  return chunks;
+}
+
+/**
+ * Split one paragraph or block that is too long on its own
+ * @param {string} unit - Paragraph, code block or display math
+ * @param {number} maxLength - Limit per chunk
+ * @param {Function} measure - Length of a chunk as it will be sent
+ * @returns {Array<string>}
+ */
+function splitUnit(unit, maxLength, measure) {
+  const fence = /^```([\w+-]*)\n([\s\S]*?)\n?```$/.exec(unit.trim());
+
+  // Code is split between lines and each part gets its own fences
+  if (fence) {
+    const wrap = (code) => "```" + fence[1] + "\n" + code + "\n```";
+    return packPieces(
+      fence[2].split("\n"),
+      "\n",
+      maxLength,
+      (code) => measure(wrap(code)),
+      (line) => hardSplit(line, maxLength, (code) => measure(wrap(code)))
+    ).map(wrap);
+  }
+
+  return packPieces(unit.split("\n"), "\n", maxLength, measure, (line) =>
+    packPieces(line.split(" "), " ", maxLength, measure, (word) =>
+      hardSplit(word, maxLength, measure)
+    )
+  );
+}
+
+/**
+ * Cut text that has no better boundary into pieces that fit
+ * @param {string} text - Text without spaces or newlines to split on
+ * @param {number} maxLength - Limit per chunk
+ * @param {Function} measure - Length of a chunk as it will be sent
+ * @returns {Array<string>}
+ */
+function hardSplit(text, maxLength, measure) {
+  const parts = [];
+  let rest = text;
+
+  while (rest) {
+    let size = Math.min(rest.length, maxLength);
+    while (size > 1 && measure(rest.slice(0, size)) > maxLength) {
+      size = Math.floor(size * 0.9);
+    }
+    parts.push(rest.slice(0, size));
+    rest = rest.slice(size);
+  }
+
+  return parts;
+}
+
+/**
+ * Split markdown into chunks that each fit a size limit. Splits prefer
+ * paragraph boundaries, then lines, then words; code blocks and display math
+ * are kept whole when they fit and code is re-fenced when it doesn't.
+ * @param {string} markdown - Answer text
+ * @param {number} maxLength - Limit per chunk
+ * @param {Function} [measure] - Length of a chunk as it will be sent, e.g.
+ *   after conversion to HTML; defaults to the markdown length
+ * @returns {Array<string>} - Markdown chunks
+ */
+exports.splitMarkdown = (
+  markdown,
+  maxLength,
+  measure = (text) => text.length
+) =>
+  packPieces(markdownUnits(markdown), "\n\n", maxLength, measure, (unit) =>
+    splitUnit(unit, maxLength, measure)
+  );
+
+/**
+ * Convert an answer into Telegram messages, numbered when there are several
+ * @param {string} markdown - Answer text
+ * @param {number} [maxLength] - Limit per message
+ * @returns {Array<string>} - HTML messages, none for an empty answer
+ */
+exports.toTelegramMessages = (
+  markdown,
+  maxLength = exports.TELEGRAM_MESSAGE_LIMIT
+) => {
+  const header = (index, total) => `<i>(${index + 1}/${total})</i>\n`;
+  // Leave room for the longest header we could add
+  const room = maxLength - header(98, 99).length;
+
+  const parts = exports
+    .splitMarkdown(
+      markdown,
+      room,
+      (text) => exports.toTelegramHtml(text).length
+    )
+    .map((chunk) => exports.toTelegramHtml(chunk));
+
+  // Telegram rejects empty messages
+  if (parts.length <= 1) {
+    const html = exports.toTelegramHtml(markdown);
+    return html ? [html] : [];
+  }
+  return parts.map((part, index) => header(index, parts.length) + part);
+};
+
+/**
+ * Convert an answer into Slack mrkdwn chunks, one per section block
+ * @param {string} markdown - Answer text
+ * @param {number} [maxLength] - Limit per chunk
+ * @returns {Array<string>} - mrkdwn texts
+ */
+exports.toSlackMrkdwnChunks = (
+  markdown,
+  maxLength = exports.SLACK_TEXT_LIMIT
+) =>
+  exports
+    .splitMarkdown(
+      markdown,
+      maxLength,
+      (text) => exports.toSlackMrkdwn(text).length
+    )
+    .map((chunk) => exports.toSlackMrkdwn(chunk));
+
+/**
+ * Turn a Slack message into plain text for students: links and mentions are
+ * written out and entities decoded
+ * @param {string} text - Slack message text
+ * @returns {string}
+ */
+exports.slackToPlainText = (text) =>
+  String(text || "")
+    .replace(/<@[A-Z0-9]+(\|[^>]*)?>/g, "")
+    .replace(/<!(here|channel|everyone)[^>]*>/g, "")
+    .replace(/<(https?:[^|>]+)\|([^>]+)>/g, "$2 ($1)")
+    .replace(/<(https?:[^>]+)>/g, "$1")
+    .replace(/<#[A-Z0-9]+\|([^>]+)>/g, "#$1")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&amp;/g, "&")
+    .replace(/[ \t]+/g, " ")
+    .trim();
@@ -0,0 +1,84 @@
+const crypto = require("crypto");
+const logger = require("./logger");
+
+// Slack recommends rejecting requests older than five minutes
+const DEFAULT_MAX_AGE_SECONDS = 60 * 5;
+
+/**
+ * Keep the raw request body so the Slack signature can be verified.
+ * Passed as the `verify` option to the body-parser middlewares.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Buffer} buf - Raw request body
+ */
+exports.captureRawBody = (req, res, buf) => {
+  if (buf && buf.length) {
+    req.rawBody = buf;
+  }
+};
+
+/**
+ * Create an error carrying an HTTP status for the global error handler
+ * @param {string} message - Error message
+ * @returns {Error} - Error with a 401 statusCode
+ */
+function unauthorized(message) {
+  const error = new Error(message);
+  error.statusCode = 401;
+  return error;
+}
+
+/**
+ * Express middleware that verifies Slack request signatures
+ * @see https://api.slack.com/authentication/verifying-requests-from-slack
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+exports.verifySlackSignature = (req, res, next) => {
+  const signingSecret = process.env.SLACK_SIGNING_SECRET;
+  const maxAgeSeconds =
+    parseInt(process.env.SLACK_SIGNATURE_MAX_AGE_SECONDS, 10) ||
+    DEFAULT_MAX_AGE_SECONDS;
+
+  if (!signingSecret) {
+    logger.error("SLACK_SIGNING_SECRET is not set, rejecting Slack request");
+    return next(unauthorized("Slack signing secret not configured"));
+  }
+
+  const signature = req.get("X-Slack-Signature");
+  const timestamp = req.get("X-Slack-Request-Timestamp");
+
+  if (!signature || !timestamp) {
+    logger.warn(`Slack request without signature headers: ${req.ip}`);
+    return next(unauthorized("Missing Slack signature"));
+  }
+
+  // Reject replays outside the allowed time window
+  const age = Math.abs(Math.floor(Date.now() / 1000) - Number(timestamp));
+  if (!Number.isFinite(age) || age > maxAgeSeconds) {
+    logger.warn(`Stale Slack request rejected (age: ${age}s): ${req.ip}`);
+    return next(unauthorized("Slack request timestamp out of range"));
+  }
+
+  const rawBody = req.rawBody ? req.rawBody.toString("utf8") : "";
+  const expected =
+    "v0=" +
+    crypto
+      .createHmac("sha256", signingSecret)
+      .update(`v0:${timestamp}:${rawBody}`)
+      .digest("hex");
+
+  const expectedBuffer = Buffer.from(expected, "utf8");
+  const signatureBuffer = Buffer.from(signature, "utf8");
+
+  if (
+    expectedBuffer.length !== signatureBuffer.length ||
+    !crypto.timingSafeEqual(expectedBuffer, signatureBuffer)
+  ) {
+    logger.warn(`Invalid Slack signature rejected: ${req.ip}`);
+    return next(unauthorized("Invalid Slack signature"));
+  }
+
+  next();
+};